@@ -0,0 +1,18 @@
+/**
+ * Message configuration
+ * Time limits on changing messages after they are sent, and how widely
+ * one message can be forwarded
+ */
+const HOUR = 60 * 60 * 1000;
+
+module.exports = {
+  // How long after sending a message can be edited (default 24 hours)
+  editWindow: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 24 * HOUR,
+
+  // How long after sending the sender can delete a message for everyone
+  // (default 48 hours; moderators and above may do so at any time)
+  deleteWindow: parseInt(process.env.MESSAGE_DELETE_WINDOW_MS) || 48 * HOUR,
+
+  // How many chats a message can be forwarded to at once
+  forwardLimit: parseInt(process.env.MESSAGE_FORWARD_LIMIT) || 10,
+};
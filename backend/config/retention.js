@@ -0,0 +1,19 @@
+/**
+ * Message retention configuration
+ * Periods a chat can keep messages for (Chat.settings.messageRetention)
+ * and how often expired messages are swept
+ */
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+module.exports = {
+  // Retention policy name -> how long messages are kept (ms)
+  periods: {
+    "24h": 24 * HOUR,
+    "7d": 7 * DAY,
+    "90d": 90 * DAY,
+  },
+
+  // How often to look for expired messages (default 1 minute)
+  sweepInterval: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS) || 60 * 1000,
+};
@@ -0,0 +1,64 @@
+const path = require("path");
+
+/**
+ * Upload configuration
+ * Limits and storage settings for chat attachments
+ */
+const DEFAULT_ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "text/plain",
+  "text/csv",
+];
+
+// Voice messages and other audio
+const DEFAULT_AUDIO_TYPES = [
+  "audio/webm",
+  "audio/ogg",
+  "audio/mp4",
+  "audio/mpeg",
+  "audio/aac",
+  "audio/wav",
+];
+
+const parseList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+module.exports = {
+  // Storage driver name (see utils/storage)
+  driver: process.env.STORAGE_DRIVER || "local",
+
+  // Directory used by the local disk driver
+  localDir:
+    process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"),
+
+  // Maximum file size in bytes (default 10 MB)
+  maxFileSize: parseInt(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024,
+
+  // Allowed MIME types
+  allowedMimeTypes: process.env.UPLOAD_ALLOWED_TYPES
+    ? parseList(process.env.UPLOAD_ALLOWED_TYPES)
+    : DEFAULT_ALLOWED_TYPES,
+
+  // Allowed audio MIME types
+  allowedAudioTypes: process.env.UPLOAD_AUDIO_TYPES
+    ? parseList(process.env.UPLOAD_AUDIO_TYPES)
+    : DEFAULT_AUDIO_TYPES,
+
+  // Maximum audio file size in bytes (default 5 MB)
+  maxAudioSize: parseInt(process.env.UPLOAD_MAX_AUDIO_SIZE) || 5 * 1024 * 1024,
+
+  // Longest voice message in seconds (default 5 minutes)
+  maxAudioDuration: parseInt(process.env.UPLOAD_MAX_AUDIO_DURATION) || 300,
+};
@@ -9,6 +9,9 @@ const path = require("path");
 require("dotenv").config({ path: path.join(__dirname, ".env") });
 
 const connectDB = require("./config/database");
+const eventBus = require("./utils/eventBus");
+const { startScheduler } = require("./utils/scheduler");
+const { startRetentionSweeper } = require("./utils/retention");
 const { clerkMiddleware } = require("@clerk/express");
 
 // Route imports
@@ -16,6 +19,8 @@ const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const chatRoutes = require("./routes/chats");
 const messageRoutes = require("./routes/messages");
+const uploadRoutes = require("./routes/upload");
+const inviteRoutes = require("./routes/invites");
 
 // Initialize Express app
 const app = express();
@@ -32,6 +37,9 @@ const io = new Server(server, {
       : {},
 });
 
+// Make the Socket.IO server available to routes through the event bus
+eventBus.setIO(io);
+
 // Security middleware
 app.use(
   helmet({
@@ -72,8 +80,12 @@ if (process.env.NODE_ENV === "development") {
 // Clerk authentication middleware
 app.use(clerkMiddleware());
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start the background jobs
+// (scheduled message delivery and disappearing messages)
+connectDB().then(() => {
+  startScheduler();
+  startRetentionSweeper();
+});
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -102,6 +114,8 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/chats", chatRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/upload", uploadRoutes);
+app.use("/api/invites", inviteRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === "production") {
@@ -0,0 +1,88 @@
+const { verifyToken } = require("@clerk/express");
+const User = require("../models/User");
+
+// Tolerance for clock differences between Clerk and this server
+const CLOCK_SKEW_MS = 5000;
+
+/**
+ * Verify a Clerk session token with the same secret key clerkMiddleware uses
+ * Returns the token claims or throws if the token is invalid or expired
+ */
+const verifySessionToken = (token) =>
+  verifyToken(token, {
+    secretKey: process.env.CLERK_SECRET_KEY,
+    clockSkewInMs: CLOCK_SKEW_MS,
+  });
+
+/**
+ * Build an Error that Socket.IO forwards to the client's connect_error
+ */
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Socket.IO handshake middleware
+ * Requires a Clerk session token in socket.handshake.auth.token
+ */
+const socketAuth = async (socket, next) => {
+  try {
+    const { token } = socket.handshake.auth || {};
+
+    if (!token) {
+      return next(authError("Authentication token is required", "NO_TOKEN"));
+    }
+
+    let claims;
+    try {
+      claims = await verifySessionToken(token);
+    } catch (error) {
+      return next(authError("Invalid or expired token", "INVALID_TOKEN"));
+    }
+
+    const user = await User.findOne({ clerkId: claims.sub });
+    if (!user) {
+      return next(authError("User not found", "USER_NOT_FOUND"));
+    }
+
+    // Store verified identity on the socket
+    socket.userId = user._id.toString();
+    socket.clerkId = claims.sub;
+    socket.tokenExpiresAt = claims.exp * 1000;
+    socket.user = user;
+
+    next();
+  } catch (error) {
+    console.error("Socket authentication error:", error);
+    next(authError("Authentication failed", "AUTH_FAILED"));
+  }
+};
+
+/**
+ * Per-socket packet middleware
+ * Drops every event except "authenticate" once the session token has expired
+ */
+const requireFreshToken = (socket) => (packet, next) => {
+  const [event] = packet;
+
+  if (
+    event !== "authenticate" &&
+    Date.now() > socket.tokenExpiresAt + CLOCK_SKEW_MS
+  ) {
+    socket.emit("error", {
+      message: "Session expired, please re-authenticate",
+      code: "TOKEN_EXPIRED",
+    });
+    return;
+  }
+
+  next();
+};
+
+module.exports = {
+  socketAuth,
+  requireFreshToken,
+  verifySessionToken,
+};
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    chat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Chat",
+      required: true,
+      index: true,
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    driver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+      // Forwarded copies share a stored file (see utils/retention.js)
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 255,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the download URL served by routes/upload.js
+attachmentSchema.virtual("url").get(function () {
+  return `/api/upload/${this._id}`;
+});
+
+// Instance method to build the Message.content.file payload
+attachmentSchema.methods.toFileContent = function () {
+  return {
+    url: this.url,
+    name: this.name,
+    size: this.size,
+    mimeType: this.mimeType,
+  };
+};
+
+module.exports = mongoose.model("Attachment", attachmentSchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { PUBLIC_USER_FIELDS } = require("../utils/visibility");
+const { ROLES } = require("../utils/permissions");
+const retentionConfig = require("../config/retention");
 
 const chatSchema = new mongoose.Schema(
   {
@@ -24,19 +27,26 @@ const chatSchema = new mongoose.Schema(
           ref: "User",
           required: true,
         },
+        // Permissions per role live in utils/permissions.js
         role: {
           type: String,
-          enum: ["admin", "member"],
+          enum: ROLES,
           default: "member",
         },
         joinedAt: {
           type: Date,
           default: Date.now,
         },
+        // Read position: everything created up to lastRead has been read.
+        // This is the single source of truth for unread counts and receipts.
         lastRead: {
           type: Date,
           default: Date.now,
         },
+        lastReadMessage: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+        },
       },
     ],
     creator: {
@@ -52,6 +62,24 @@ const chatSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message",
     },
+    // Oldest first; capped at MAX_PINNED_MESSAGES (routes/chats.js)
+    pinnedMessages: [
+      {
+        message: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+          required: true,
+        },
+        pinnedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        pinnedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     lastActivity: {
       type: Date,
       default: Date.now,
@@ -69,6 +97,17 @@ const chatSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Messages older than this are deleted (null = kept forever)
+      messageRetention: {
+        type: String,
+        enum: [...Object.keys(retentionConfig.periods), null],
+        default: null,
+      },
+      // When the policy was turned on; earlier messages are never expired
+      messageRetentionSince: {
+        type: Date,
+        default: null,
+      },
     },
   },
   {
@@ -100,10 +139,8 @@ chatSchema.statics.findUserChats = function (userId) {
     "participants.user": userId,
     isActive: true,
   })
-    .populate(
-      "participants.user",
-      "username firstName lastName avatar isOnline"
-    )
+    // Callers filter presence per viewer (see utils/visibility.js)
+    .populate("participants.user", PUBLIC_USER_FIELDS)
     .populate("lastMessage")
     .sort({ lastActivity: -1 });
 };
@@ -114,10 +151,63 @@ chatSchema.statics.findDirectChat = function (user1Id, user2Id) {
     type: "direct",
     "participants.user": { $all: [user1Id, user2Id] },
     isActive: true,
-  }).populate(
-    "participants.user",
-    "username firstName lastName avatar isOnline"
+  }).populate("participants.user", PUBLIC_USER_FIELDS);
+};
+
+// Static method to point lastMessage at the newest message still in the
+// timeline (after messages were removed). Resolves to that message or null.
+chatSchema.statics.refreshLastMessage = async function (chatId) {
+  const lastMessage = await mongoose
+    .model("Message")
+    .findOne({ chat: chatId, isDeleted: false, threadRoot: null })
+    .sort({ createdAt: -1, _id: -1 });
+
+  await this.updateOne(
+    { _id: chatId },
+    { lastMessage: lastMessage ? lastMessage._id : null }
+  );
+
+  return lastMessage;
+};
+
+// Static method to pin a message
+// Atomic, so concurrent pins cannot pass the limit or pin a message twice.
+// Resolves to true when the message was pinned.
+chatSchema.statics.pinMessage = async function (
+  chatId,
+  messageId,
+  userId,
+  limit
+) {
+  const result = await this.updateOne(
+    {
+      _id: chatId,
+      "pinnedMessages.message": { $ne: messageId },
+      [`pinnedMessages.${limit - 1}`]: { $exists: false },
+    },
+    {
+      $push: {
+        pinnedMessages: {
+          message: messageId,
+          pinnedBy: userId,
+          pinnedAt: new Date(),
+        },
+      },
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Static method to unpin a message
+// Resolves to true when the message was pinned
+chatSchema.statics.unpinMessage = async function (chatId, messageId) {
+  const result = await this.updateOne(
+    { _id: chatId },
+    { $pull: { pinnedMessages: { message: messageId } } }
   );
+
+  return result.modifiedCount > 0;
 };
 
 // Instance method to add participant
@@ -147,16 +237,36 @@ chatSchema.methods.removeParticipant = function (userId) {
   return this.save();
 };
 
-// Instance method to update last read
-chatSchema.methods.updateLastRead = function (userId) {
+// Instance method to advance a participant's read position up to a message
+// Positions only move forward. Updated atomically so concurrent reads from
+// several devices cannot move it back (and lastActivity is left untouched).
+// Resolves to true when the position moved.
+chatSchema.methods.markReadUpTo = async function (userId, message) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      participants: {
+        $elemMatch: { user: userId, lastRead: { $lt: message.createdAt } },
+      },
+    },
+    {
+      $set: {
+        "participants.$.lastRead": message.createdAt,
+        "participants.$.lastReadMessage": message._id,
+      },
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Instance method to check whether a participant has read a message
+chatSchema.methods.hasRead = function (userId, message) {
   const participant = this.participants.find(
-    (p) => p.user.toString() === userId.toString()
+    (p) => (p.user._id || p.user).toString() === userId.toString()
   );
 
-  if (participant) {
-    participant.lastRead = new Date();
-    return this.save();
-  }
+  return Boolean(participant && participant.lastRead >= message.createdAt);
 };
 
 module.exports = mongoose.model("Chat", chatSchema);
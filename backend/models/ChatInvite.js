@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const chatInviteSchema = new mongoose.Schema(
+  {
+    chat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Chat",
+      required: true,
+      index: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // null = unlimited
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    // Joins wait for an admin to approve them
+    requireApproval: {
+      type: Boolean,
+      default: false,
+    },
+    joinRequests: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the frontend join page
+chatInviteSchema.virtual("path").get(function () {
+  return `/join/${this.code}`;
+});
+
+// Static method to generate a new URL-safe invite code
+chatInviteSchema.statics.generateCode = function () {
+  return crypto.randomBytes(9).toString("base64url");
+};
+
+// Query for links that are not revoked, expired or used up
+const usableFilter = () => ({
+  revokedAt: null,
+  $and: [
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] },
+  ],
+});
+
+// Static method to find a link that can still be used
+chatInviteSchema.statics.findUsable = function (code) {
+  return this.findOne({ code, ...usableFilter() });
+};
+
+// Static method to count one use of a link
+// Atomic, so concurrent joins cannot go past maxUses. Resolves to the
+// updated invite, or null when the link is no longer usable.
+chatInviteSchema.statics.claimUse = function (inviteId) {
+  return this.findOneAndUpdate(
+    { _id: inviteId, ...usableFilter() },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Instance method to check whether a user is waiting for approval
+chatInviteSchema.methods.hasJoinRequest = function (userId) {
+  return this.joinRequests.some(
+    (request) =>
+      (request.user._id || request.user).toString() === userId.toString()
+  );
+};
+
+module.exports = mongoose.model("ChatInvite", chatInviteSchema);
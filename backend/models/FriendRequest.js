@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+const friendRequestSchema = new mongoose.Schema(
+  {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "cancelled"],
+      default: "pending",
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for the incoming and outgoing request lists
+friendRequestSchema.index({ to: 1, status: 1, createdAt: -1 });
+friendRequestSchema.index({ from: 1, status: 1, createdAt: -1 });
+
+// At most one pending request per sender and recipient
+friendRequestSchema.index(
+  { from: 1, to: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+// Static method to find the pending request between two users, either way
+friendRequestSchema.statics.findPendingBetween = function (userId, otherUserId) {
+  return this.findOne({
+    status: "pending",
+    $or: [
+      { from: userId, to: otherUserId },
+      { from: otherUserId, to: userId },
+    ],
+  });
+};
+
+// Static method to cancel every pending request between two users
+friendRequestSchema.statics.cancelPendingBetween = function (
+  userId,
+  otherUserId
+) {
+  return this.updateMany(
+    {
+      status: "pending",
+      $or: [
+        { from: userId, to: otherUserId },
+        { from: otherUserId, to: userId },
+      ],
+    },
+    { status: "cancelled", respondedAt: new Date() }
+  );
+};
+
+// Instance method to close a pending request with a final status
+friendRequestSchema.methods.respond = function (status) {
+  this.status = status;
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model("FriendRequest", friendRequestSchema);
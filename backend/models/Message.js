@@ -1,4 +1,53 @@
 const mongoose = require("mongoose");
+const { extractMentions } = require("../utils/mentions");
+const messageConfig = require("../config/messages");
+
+// Poll option; votes refer to it by _id
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  voteCount: {
+    type: Number,
+    default: 0,
+  },
+  // Who voted for the option (always empty for anonymous polls)
+  voters: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+});
+
+// Poll details kept on "poll" messages, with live tallies
+// Votes themselves are PollVote documents (see utils/polls.js)
+const pollSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: true,
+      maxlength: 300,
+    },
+    options: [pollOptionSchema],
+    allowMultiple: {
+      type: Boolean,
+      default: false,
+    },
+    anonymous: {
+      type: Boolean,
+      default: false,
+    },
+    closesAt: Date,
+    voterCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
 
 const messageSchema = new mongoose.Schema(
   {
@@ -20,20 +69,78 @@ const messageSchema = new mongoose.Schema(
       },
       type: {
         type: String,
-        enum: ["text", "image", "file", "system"],
+        enum: ["text", "image", "file", "audio", "system", "poll"],
         default: "text",
       },
+      // How clients render the text, which is stored as written
+      format: {
+        type: String,
+        enum: ["plain", "markdown"],
+        default: "plain",
+      },
       file: {
         url: String,
         name: String,
         size: Number,
         mimeType: String,
+        // Audio only: length in seconds and peak levels (0-1) for display
+        duration: Number,
+        waveform: {
+          type: [Number],
+          default: undefined,
+        },
+      },
+      // Structured details of "system" messages (the sender is the actor)
+      // See utils/systemMessages.js
+      system: {
+        action: String,
+        targets: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+        data: mongoose.Schema.Types.Mixed,
+      },
+      poll: {
+        type: pollSchema,
+        default: undefined,
       },
     },
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message",
     },
+    // Root message of the thread this reply belongs to.
+    // Thread replies are kept out of the main chat timeline.
+    threadRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    // Where a forwarded message came from. Whatever the original sender
+    // or chat keeps private is left out (see routes/messages.js)
+    forwardedFrom: {
+      message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+      },
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Chat",
+      },
+    },
+    // Summary kept on thread root messages
+    thread: {
+      replyCount: {
+        type: Number,
+        default: 0,
+      },
+      lastReplyAt: Date,
+    },
     reactions: [
       {
         user: {
@@ -50,18 +157,6 @@ const messageSchema = new mongoose.Schema(
         },
       },
     ],
-    readBy: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-        },
-        readAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
     isEdited: {
       type: Boolean,
       default: false,
@@ -80,6 +175,17 @@ const messageSchema = new mongoose.Schema(
       default: false,
     },
     deletedAt: Date,
+    // Users who deleted this message for themselves only
+    // (not sent to clients, see getChatMessages)
+    hiddenFor: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      select: false,
+    },
     mentionedUsers: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -95,64 +201,254 @@ const messageSchema = new mongoose.Schema(
 );
 
 // Indexes for performance
+// Also backs (createdAt, _id) cursor pagination; _id only breaks ties
 messageSchema.index({ chat: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ createdAt: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1, _id: 1 });
+
+// Index for search functionality
+messageSchema.index({
+  "content.text": "text",
+  "content.file.name": "text",
+});
 
 // Virtual for formatted timestamp
 messageSchema.virtual("formattedTime").get(function () {
   return this.createdAt.toLocaleTimeString();
 });
 
-// Pre-save middleware to extract mentions
-messageSchema.pre("save", function (next) {
-  if (this.content.text && this.content.type === "text") {
-    // Extract @mentions from text
-    const mentions = this.content.text.match(/@(\w+)/g);
-    if (mentions) {
-      // You would need to resolve usernames to user IDs here
-      // This is a simplified example
-      this.mentionedUsers = []; // Populate with actual user IDs
-    }
+// Virtual for the end of the edit window (see config/messages.js)
+messageSchema.virtual("editableUntil").get(function () {
+  if (!this.createdAt) return undefined;
+  return new Date(this.createdAt.getTime() + messageConfig.editWindow);
+});
+
+// Virtual for the end of the sender's delete-for-everyone window
+messageSchema.virtual("deletableUntil").get(function () {
+  if (!this.createdAt) return undefined;
+  return new Date(this.createdAt.getTime() + messageConfig.deleteWindow);
+});
+
+// Pre-save middleware to resolve @mentions to chat participants
+// (in message text and in the captions of image and file messages)
+messageSchema.pre("save", async function () {
+  if (!this.isNew && !this.isModified("content.text")) return;
+
+  const previousMentions = this.mentionedUsers.map((id) => id.toString());
+  const usernames =
+    this.content.text && this.content.type !== "system"
+      ? extractMentions(this.content.text)
+      : [];
+
+  if (usernames.length === 0) {
+    this.mentionedUsers = [];
+    this.$locals.newMentions = [];
+    return;
   }
-  next();
+
+  // Only participants of the chat can be mentioned
+  const chat = await mongoose
+    .model("Chat")
+    .findById(this.chat)
+    .select("participants.user");
+  const participantIds = chat ? chat.participants.map((p) => p.user) : [];
+
+  const participants = await mongoose
+    .model("User")
+    .find({ _id: { $in: participantIds } })
+    .select("username");
+
+  this.mentionedUsers = participants
+    .filter((user) => usernames.includes(user.username.toLowerCase()))
+    .map((user) => user._id);
+
+  // Remember who was newly mentioned so callers can notify them
+  this.$locals.newMentions = this.mentionedUsers.filter(
+    (id) => !previousMentions.includes(id.toString())
+  );
 });
 
-// Static method to get chat messages with pagination
-messageSchema.statics.getChatMessages = function (
+// Static method to get chat messages with cursor pagination
+// `before` pages towards older messages, `after` towards newer ones.
+// Cursors are { createdAt, _id } positions (see utils/cursor.js).
+// With a userId, messages that user deleted for themselves are left out.
+// Resolves to { messages (oldest first), hasMore }.
+messageSchema.statics.getChatMessages = async function (
   chatId,
-  page = 1,
-  limit = 50
+  { before, after, limit = 50, userId } = {}
 ) {
-  const skip = (page - 1) * limit;
-
-  return this.find({
+  const query = {
     chat: chatId,
     isDeleted: false,
-  })
+    threadRoot: null,
+  };
+  if (userId) query.hiddenFor = { $ne: userId };
+
+  const cursor = after || before;
+  if (cursor) {
+    const op = after ? "$gt" : "$lt";
+    query.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ];
+  }
+
+  const direction = after ? 1 : -1;
+  const messages = await this.find(query)
     .populate("sender", "username firstName lastName avatar")
+    .populate("content.system.targets", "username firstName lastName avatar")
+    .populate("forwardedFrom.sender", "username firstName lastName avatar")
     .populate("replyTo", "content.text sender")
     .populate("reactions.user", "username")
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1);
+
+  // One extra document tells us whether another page exists
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+
+  return {
+    messages: after ? page : page.reverse(),
+    hasMore,
+  };
 };
 
-// Instance method to mark as read by user
-messageSchema.methods.markAsRead = function (userId) {
-  const existingRead = this.readBy.find(
-    (r) => r.user.toString() === userId.toString()
-  );
+// Static method to count unread timeline messages for a user in several chats
+// Reads are tracked by each participant's lastRead position (see Chat model).
+// Runs as one aggregation backed by the (chat, createdAt) index.
+// System notices never count as unread.
+// Resolves to a Map of chatId -> { unreadCount, unreadMentions }.
+messageSchema.statics.getUnreadCounts = async function (userId, chats) {
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+  const positions = chats
+    .map((chat) => {
+      const participant = chat.participants.find(
+        (p) => (p.user._id || p.user).toString() === userId.toString()
+      );
+      return participant && { chat: chat._id, lastRead: participant.lastRead };
+    })
+    .filter(Boolean);
+
+  const counts = new Map();
+  if (positions.length === 0) return counts;
+
+  const results = await this.aggregate([
+    {
+      $match: {
+        $or: positions.map(({ chat, lastRead }) => ({
+          chat,
+          createdAt: { $gt: lastRead },
+        })),
+        sender: { $ne: userObjectId },
+        "content.type": { $ne: "system" },
+        isDeleted: false,
+        hiddenFor: { $ne: userObjectId },
+        threadRoot: null,
+      },
+    },
+    {
+      $group: {
+        _id: "$chat",
+        unreadCount: { $sum: 1 },
+        unreadMentions: {
+          $sum: {
+            $cond: [
+              { $in: [userObjectId, { $ifNull: ["$mentionedUsers", []] }] },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  results.forEach(({ _id, unreadCount, unreadMentions }) => {
+    counts.set(_id.toString(), { unreadCount, unreadMentions });
+  });
+
+  return counts;
+};
+
+// Static method to resolve the root message a thread reply should attach to
+// Replying to a reply attaches to that reply's root, so threads stay one level deep
+messageSchema.statics.findThreadRoot = async function (messageId, chatId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+
+  let root = await this.findOne({
+    _id: messageId,
+    chat: chatId,
+    isDeleted: false,
+  });
 
-  if (!existingRead) {
-    this.readBy.push({
-      user: userId,
-      readAt: new Date(),
+  if (root && root.threadRoot) {
+    root = await this.findOne({
+      _id: root.threadRoot,
+      chat: chatId,
+      isDeleted: false,
     });
-    return this.save();
   }
 
-  return Promise.resolve(this);
+  if (!root || root.content.type === "system") return null;
+  return root;
+};
+
+// Static method to update a root message's thread summary
+// With recount, replies are counted again instead of adding increment.
+// Resolves to the updated summary ({ replyCount, lastReplyAt })
+messageSchema.statics.updateThreadSummary = async function (
+  rootId,
+  { increment = 1, lastReplyAt, recount = false } = {}
+) {
+  const update = recount
+    ? {
+        $set: {
+          "thread.replyCount": await this.countDocuments({
+            threadRoot: rootId,
+            isDeleted: false,
+          }),
+        },
+      }
+    : { $inc: { "thread.replyCount": increment } };
+  if (lastReplyAt) update.$max = { "thread.lastReplyAt": lastReplyAt };
+
+  const root = await this.findByIdAndUpdate(rootId, update, {
+    new: true,
+  }).select("thread");
+
+  return root ? root.thread : null;
+};
+
+// Static method to get thread replies (oldest first) with cursor pagination
+// With a userId, replies that user deleted for themselves are left out
+messageSchema.statics.getThreadReplies = async function (
+  rootId,
+  { after, limit = 50, userId } = {}
+) {
+  const query = {
+    threadRoot: rootId,
+    isDeleted: false,
+  };
+  if (userId) query.hiddenFor = { $ne: userId };
+
+  if (after) {
+    query.$or = [
+      { createdAt: { $gt: after.createdAt } },
+      { createdAt: after.createdAt, _id: { $gt: after._id } },
+    ];
+  }
+
+  const replies = await this.find(query)
+    .populate("sender", "username firstName lastName avatar")
+    .populate("reactions.user", "username")
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1);
+
+  return {
+    messages: replies.slice(0, limit),
+    hasMore: replies.length > limit,
+  };
 };
 
 // Instance method to add reaction
@@ -197,13 +493,79 @@ messageSchema.methods.editMessage = function (newContent) {
   return this.save();
 };
 
+// Instance method to check whether the edit window is still open
+messageSchema.methods.isEditable = function () {
+  return Date.now() <= this.editableUntil.getTime();
+};
+
+// Instance method to get every version of the text, oldest first
+// Each version is { text, writtenAt }; the last one is the current text.
+messageSchema.methods.getVersions = function () {
+  const versions = [];
+  let writtenAt = this.createdAt;
+
+  this.editHistory.forEach((entry) => {
+    versions.push({ text: entry.content, writtenAt });
+    writtenAt = entry.editedAt;
+  });
+  versions.push({ text: this.content.text, writtenAt });
+
+  return versions;
+};
+
+// Instance method to check whether a user may delete the message for
+// everyone: its sender within the delete window, or anyone allowed to
+// delete others' messages (canModerate)
+messageSchema.methods.canDeleteForEveryone = function (userId, canModerate) {
+  if (canModerate) return true;
+
+  return (
+    this.sender.toString() === userId.toString() &&
+    Date.now() <= this.deletableUntil.getTime()
+  );
+};
+
+// Instance method to hide the message for one user only
+messageSchema.methods.hideFor = function (userId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $addToSet: { hiddenFor: userId } }
+  );
+};
+
 // Instance method to soft delete
-messageSchema.methods.softDelete = function () {
+// Past versions go too, so the deleted text cannot be recovered.
+// Resolves to false when the message was already deleted.
+messageSchema.methods.softDelete = async function () {
+  const deletedAt = new Date();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, isDeleted: false },
+    {
+      $set: {
+        isDeleted: true,
+        deletedAt,
+        "content.text": "[Message deleted]",
+        editHistory: [],
+        mentionedUsers: [],
+      },
+      $unset: { "content.poll": 1 },
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
   this.isDeleted = true;
-  this.deletedAt = new Date();
+  this.deletedAt = deletedAt;
   this.content.text = "[Message deleted]";
+  this.editHistory = [];
+  this.mentionedUsers = [];
 
-  return this.save();
+  // Deleted polls keep neither their options nor their votes
+  if (this.content.poll) {
+    this.content.poll = undefined;
+    await mongoose.model("PollVote").deleteMany({ message: this._id });
+  }
+
+  return true;
 };
 
 module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// One user's vote on a poll message: every option they chose
+// Tallies are kept on the message itself (see utils/polls.js)
+const pollVoteSchema = new mongoose.Schema(
+  {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    options: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user has a single vote per poll, so concurrent requests cannot leave
+// two choices on a single-choice poll
+pollVoteSchema.index({ message: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("PollVote", pollVoteSchema);
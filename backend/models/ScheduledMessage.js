@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    chat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Chat",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      text: {
+        type: String,
+        maxlength: 2000,
+      },
+      type: {
+        type: String,
+        enum: ["text", "image", "file", "audio"],
+        default: "text",
+      },
+      format: {
+        type: String,
+        enum: ["plain", "markdown"],
+        default: "plain",
+      },
+      file: {
+        url: String,
+        name: String,
+        size: Number,
+        mimeType: String,
+        duration: Number,
+        waveform: {
+          type: [Number],
+          default: undefined,
+        },
+      },
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+    },
+    // pending -> sending (claimed by the scheduler) -> sent | failed
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    // ID the delivered message is created with, chosen up front so a
+    // retried delivery can never create the message twice
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: () => new mongoose.Types.ObjectId(),
+    },
+    claimedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    sentAt: Date,
+    failureReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the scheduler queue and per-chat lists
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ chat: 1, sender: 1, status: 1, sendAt: 1 });
+
+// Static method to claim the next due message for delivery
+// Messages left "sending" by a crashed process are claimed again once
+// staleAfterMs has passed. Resolves to the claimed message or null.
+scheduledMessageSchema.statics.claimNextDue = function (staleAfterMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", sendAt: { $lte: now } },
+        {
+          status: "sending",
+          claimedAt: { $lte: new Date(now.getTime() - staleAfterMs) },
+        },
+      ],
+    },
+    { status: "sending", claimedAt: now, $inc: { attempts: 1 } },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
+
+module.exports = mongoose.model("ScheduledMessage", scheduledMessageSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { getPresenceVisibility } = require("../utils/visibility");
 
 const userSchema = new mongoose.Schema(
   {
@@ -81,6 +82,17 @@ const userSchema = new mongoose.Schema(
           type: Boolean,
           default: true,
         },
+        // Who may see online status and last seen at all
+        presenceVisibleTo: {
+          type: String,
+          enum: ["everyone", "friends"],
+          default: "everyone",
+        },
+        // Whether forwarded copies of this user's messages name them
+        showNameOnForwards: {
+          type: Boolean,
+          default: true,
+        },
       },
     },
     blockedUsers: [
@@ -108,6 +120,9 @@ userSchema.virtual("fullName").get(function () {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Index for block checks in both directions
+userSchema.index({ blockedUsers: 1 });
+
 // Index for search functionality
 userSchema.index({
   username: "text",
@@ -144,7 +159,10 @@ userSchema.statics.search = function (searchTerm, excludeIds = []) {
 };
 
 // Instance method to get public profile
-userSchema.methods.getPublicProfile = function () {
+// Presence fields are filtered for the viewer (see utils/visibility.js)
+userSchema.methods.getPublicProfile = function (viewerId) {
+  const visibility = getPresenceVisibility(this, viewerId);
+
   return {
     _id: this._id,
     username: this.username,
@@ -153,8 +171,8 @@ userSchema.methods.getPublicProfile = function () {
     fullName: this.fullName,
     avatar: this.avatar,
     bio: this.bio,
-    isOnline: this.isOnline,
-    lastSeen: this.lastSeen,
+    isOnline: visibility.online ? this.isOnline : false,
+    lastSeen: visibility.lastSeen ? this.lastSeen : null,
   };
 };
 
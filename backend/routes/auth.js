@@ -1,6 +1,8 @@
 const express = require("express");
 const { protect, getUserFromClerk } = require("../middleware/auth");
 const User = require("../models/User");
+const { broadcastPresence } = require("../utils/visibility");
+const presence = require("../utils/presence");
 const router = express.Router();
 
 /**
@@ -43,7 +45,7 @@ router.post("/sync", protect, getUserFromClerk, async (req, res) => {
       success: true,
       message: "User synced successfully",
       data: {
-        user: user.getPublicProfile(),
+        user: user.getPublicProfile(user._id),
       },
     });
   } catch (error) {
@@ -131,11 +133,16 @@ router.put("/profile", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
+    // Privacy changes take effect for friends immediately
+    if (updates.preferences) {
+      await broadcastPresence(user._id);
+    }
+
     res.status(200).json({
       success: true,
       message: "Profile updated successfully",
       data: {
-        user: user.getPublicProfile(),
+        user: user.getPublicProfile(user._id),
       },
     });
   } catch (error) {
@@ -158,19 +165,26 @@ router.put("/profile", protect, getUserFromClerk, async (req, res) => {
 
 /**
  * @route   POST /api/auth/status
- * @desc    Update user online status
+ * @desc    Refresh the user's last seen time. Online status follows their
+ *          open sockets (see utils/presence.js), so the isOnline sent by a
+ *          single tab is ignored.
  * @access  Private
  */
 router.post("/status", protect, getUserFromClerk, async (req, res) => {
   try {
     const { userId } = req.auth;
-    const { isOnline } = req.body;
 
+    const currentUser = await User.findOne({ clerkId: userId }).select("_id");
+    const isOnline = currentUser
+      ? presence.isUserConnected(currentUser._id)
+      : false;
+
+    // Going offline is left to the socket handler's grace period
     const user = await User.findOneAndUpdate(
       { clerkId: userId },
       {
-        isOnline: isOnline,
         lastSeen: new Date(),
+        ...(isOnline && { isOnline: true }),
       },
       { new: true }
     );
@@ -182,6 +196,8 @@ router.post("/status", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
+    await broadcastPresence(user._id);
+
     res.status(200).json({
       success: true,
       message: "Status updated successfully",
@@ -3,8 +3,41 @@ const { protect, getUserFromClerk } = require("../middleware/auth");
 const Chat = require("../models/Chat");
 const User = require("../models/User");
 const Message = require("../models/Message");
+const ChatInvite = require("../models/ChatInvite");
+const {
+  PUBLIC_USER_FIELDS,
+  toVisibleChat,
+} = require("../utils/visibility");
+const { BLOCKED_MESSAGE, isBlockedWithAny } = require("../utils/blocking");
+const {
+  ROLES,
+  getRole,
+  hasPermission,
+  outranks,
+  isLastAdmin,
+  isRoleAtLeast,
+} = require("../utils/permissions");
+const { emitToChat, emitToUser } = require("../utils/eventBus");
+const { postSystemMessage } = require("../utils/systemMessages");
+const { isValidRetention } = require("../utils/retention");
 const router = express.Router();
 
+// Creator and join requests as shown in the invite links list
+const INVITE_USER_FIELDS = "username firstName lastName avatar";
+
+// Most messages a chat can have pinned at once
+const MAX_PINNED_MESSAGES =
+  parseInt(process.env.MAX_PINNED_MESSAGES, 10) || 10;
+
+/**
+ * Pins can be managed by any participant of a direct chat, and by
+ * roles with the "pin" permission in groups
+ */
+const canPin = (chat, userId) =>
+  chat.type === "direct"
+    ? Boolean(getRole(chat, userId))
+    : hasPermission(chat, userId, "pin");
+
 /**
  * @route   GET /api/chats
  * @desc    Get all chats for the current user
@@ -23,12 +56,13 @@ router.get("/", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Get user's chats
+    // Get user's chats and their unread counters
     const chats = await Chat.findUserChats(currentUser._id);
+    const unreadCounts = await Message.getUnreadCounts(currentUser._id, chats);
 
     // Format chats for response
     const formattedChats = chats.map((chat) => {
-      const chatObj = chat.toObject();
+      const chatObj = toVisibleChat(chat, currentUser._id);
 
       // For direct chats, set name to other participant's name
       if (chat.type === "direct") {
@@ -42,6 +76,10 @@ router.get("/", protect, getUserFromClerk, async (req, res) => {
         }
       }
 
+      const unread = unreadCounts.get(chat._id.toString());
+      chatObj.unreadCount = unread ? unread.unreadCount : 0;
+      chatObj.unreadMentions = unread ? unread.unreadMentions : 0;
+
       return chatObj;
     });
 
@@ -88,6 +126,17 @@ router.post("/", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
+    // Blocked users cannot be brought into a chat together
+    if (
+      Array.isArray(participantIds) &&
+      (await isBlockedWithAny(currentUser._id, participantIds))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: BLOCKED_MESSAGE,
+      });
+    }
+
     // For direct chats, check if chat already exists
     if (type === "direct") {
       if (!participantIds || participantIds.length !== 1) {
@@ -105,7 +154,7 @@ router.post("/", protect, getUserFromClerk, async (req, res) => {
         return res.status(200).json({
           success: true,
           message: "Chat already exists",
-          data: { chat: existingChat },
+          data: { chat: toVisibleChat(existingChat, currentUser._id) },
         });
       }
     }
@@ -123,7 +172,7 @@ router.post("/", protect, getUserFromClerk, async (req, res) => {
     const chatParticipants = [
       {
         user: currentUser._id,
-        role: "admin",
+        role: "owner",
       },
       ...participantIds.map((id) => ({
         user: id,
@@ -141,15 +190,12 @@ router.post("/", protect, getUserFromClerk, async (req, res) => {
     });
 
     // Populate the chat
-    await chat.populate(
-      "participants.user",
-      "username firstName lastName avatar isOnline"
-    );
+    await chat.populate("participants.user", PUBLIC_USER_FIELDS);
 
     res.status(201).json({
       success: true,
       message: "Chat created successfully",
-      data: { chat },
+      data: { chat: toVisibleChat(chat, currentUser._id) },
     });
   } catch (error) {
     console.error("Error creating chat:", error);
@@ -181,10 +227,7 @@ router.get("/:chatId", protect, getUserFromClerk, async (req, res) => {
 
     // Get the chat
     const chat = await Chat.findById(chatId)
-      .populate(
-        "participants.user",
-        "username firstName lastName avatar isOnline"
-      )
+      .populate("participants.user", PUBLIC_USER_FIELDS)
       .populate("lastMessage");
 
     if (!chat) {
@@ -208,7 +251,7 @@ router.get("/:chatId", protect, getUserFromClerk, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: { chat },
+      data: { chat: toVisibleChat(chat, currentUser._id) },
     });
   } catch (error) {
     console.error("Error getting chat:", error);
@@ -228,7 +271,7 @@ router.put("/:chatId", protect, getUserFromClerk, async (req, res) => {
   try {
     const { chatId } = req.params;
     const { userId } = req.auth;
-    const { name, description, avatar } = req.body;
+    const { name, description, avatar, settings } = req.body;
 
     // Get current user
     const currentUser = await User.findOne({ clerkId: userId });
@@ -248,25 +291,85 @@ router.put("/:chatId", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Check if user is admin of the chat
-    const userParticipant = chat.participants.find(
-      (p) => p.user.toString() === currentUser._id.toString()
+    // Name, description and avatar need "rename", settings "changeSettings"
+    const isRenaming = [name, description, avatar].some(
+      (value) => value !== undefined
     );
 
-    if (!userParticipant || userParticipant.role !== "admin") {
+    if (isRenaming && !hasPermission(chat, currentUser._id, "rename")) {
       return res.status(403).json({
         success: false,
-        message: "Only chat admins can update chat details",
+        message: "You do not have permission to update chat details",
       });
     }
 
-    // Update chat
-    if (name !== undefined) chat.name = name;
-    if (description !== undefined) chat.description = description;
-    if (avatar !== undefined) chat.avatar = avatar;
+    if (
+      settings !== undefined &&
+      !hasPermission(chat, currentUser._id, "changeSettings")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to change chat settings",
+      });
+    }
+
+    if (
+      settings?.messageRetention !== undefined &&
+      !isValidRetention(settings.messageRetention)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid message retention period",
+      });
+    }
+
+    // Update chat, noting which details actually changed
+    const changes = [];
+    if (name !== undefined && name !== chat.name) {
+      changes.push(["chat_renamed", { name, previousName: chat.name }]);
+      chat.name = name;
+    }
+    if (description !== undefined && description !== chat.description) {
+      changes.push(["description_changed", { description }]);
+      chat.description = description;
+    }
+    if (avatar !== undefined && avatar !== chat.avatar) {
+      changes.push(["avatar_changed", { avatar }]);
+      chat.avatar = avatar;
+    }
+    if (settings && typeof settings.allowInvites === "boolean") {
+      chat.settings.allowInvites = settings.allowInvites;
+    }
+    if (settings && typeof settings.muteNotifications === "boolean") {
+      chat.settings.muteNotifications = settings.muteNotifications;
+    }
+    if (
+      settings?.messageRetention !== undefined &&
+      settings.messageRetention !== chat.settings.messageRetention
+    ) {
+      changes.push([
+        "retention_changed",
+        {
+          retention: settings.messageRetention,
+          previousRetention: chat.settings.messageRetention,
+        },
+      ]);
+      // Switching between periods keeps the original start, so only
+      // turning the policy on starts a new one
+      if (!settings.messageRetention) {
+        chat.settings.messageRetentionSince = null;
+      } else if (!chat.settings.messageRetention) {
+        chat.settings.messageRetentionSince = new Date();
+      }
+      chat.settings.messageRetention = settings.messageRetention;
+    }
 
     await chat.save();
 
+    for (const [action, data] of changes) {
+      await postSystemMessage(chat, currentUser._id, action, { data });
+    }
+
     res.status(200).json({
       success: true,
       message: "Chat updated successfully",
@@ -323,20 +426,21 @@ router.post(
       }
 
       // Check if user has permission to add participants
-      const userParticipant = chat.participants.find(
-        (p) => p.user.toString() === currentUser._id.toString()
-      );
-
-      if (
-        !userParticipant ||
-        (!chat.settings.allowInvites && userParticipant.role !== "admin")
-      ) {
+      if (!hasPermission(chat, currentUser._id, "invite")) {
         return res.status(403).json({
           success: false,
           message: "Insufficient permissions to add participants",
         });
       }
 
+      // Blocked users cannot be added by the user they are blocked with
+      if (await isBlockedWithAny(currentUser._id, participantIds)) {
+        return res.status(403).json({
+          success: false,
+          message: BLOCKED_MESSAGE,
+        });
+      }
+
       // Validate new participants
       const newParticipants = await User.find({ _id: { $in: participantIds } });
       if (newParticipants.length !== participantIds.length) {
@@ -346,21 +450,25 @@ router.post(
         });
       }
 
-      // Add participants
-      for (const participantId of participantIds) {
+      // Add participants (people already in the chat are skipped)
+      const addedIds = participantIds.filter((id) => !getRole(chat, id));
+      for (const participantId of addedIds) {
         await chat.addParticipant(participantId);
       }
 
+      if (addedIds.length > 0) {
+        await postSystemMessage(chat, currentUser._id, "participants_added", {
+          targets: addedIds,
+        });
+      }
+
       // Populate and return updated chat
-      await chat.populate(
-        "participants.user",
-        "username firstName lastName avatar isOnline"
-      );
+      await chat.populate("participants.user", PUBLIC_USER_FIELDS);
 
       res.status(200).json({
         success: true,
         message: "Participants added successfully",
-        data: { chat },
+        data: { chat: toVisibleChat(chat, currentUser._id) },
       });
     } catch (error) {
       console.error("Error adding participants:", error);
@@ -404,24 +512,65 @@ router.delete(
         });
       }
 
-      // Check permissions
-      const userParticipant = chat.participants.find(
-        (p) => p.user.toString() === currentUser._id.toString()
-      );
+      if (!getRole(chat, participantId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Participant not found",
+        });
+      }
 
+      // Check permissions: anyone may leave, removing others needs the
+      // "remove" permission and a higher role than the target
       const isRemovingSelf = participantId === currentUser._id.toString();
-      const isAdmin = userParticipant && userParticipant.role === "admin";
 
-      if (!isRemovingSelf && !isAdmin) {
+      if (
+        !isRemovingSelf &&
+        !(
+          hasPermission(chat, currentUser._id, "remove") &&
+          outranks(chat, currentUser._id, participantId)
+        )
+      ) {
         return res.status(403).json({
           success: false,
           message: "Insufficient permissions",
         });
       }
 
+      // A group must keep at least one admin
+      if (isRemovingSelf && isLastAdmin(chat, participantId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Make another member an admin before leaving the group",
+        });
+      }
+
+      // A leaving owner hands ownership to the longest-standing admin
+      let successor;
+      if (getRole(chat, participantId) === "owner") {
+        successor = chat.participants
+          .filter((p) => p.role === "admin")
+          .sort((a, b) => a.joinedAt - b.joinedAt)[0];
+        if (successor) successor.role = "owner";
+      }
+
       // Remove participant
       await chat.removeParticipant(participantId);
 
+      if (isRemovingSelf) {
+        await postSystemMessage(chat, currentUser._id, "participant_left");
+      } else {
+        await postSystemMessage(chat, currentUser._id, "participant_removed", {
+          targets: [participantId],
+        });
+      }
+
+      if (successor) {
+        await postSystemMessage(chat, currentUser._id, "role_changed", {
+          targets: [successor.user],
+          data: { role: "owner", previousRole: "admin" },
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: "Participant removed successfully",
@@ -436,4 +585,644 @@ router.delete(
   }
 );
 
+/**
+ * @route   POST /api/chats/:chatId/participants/:participantId/:action
+ *          action: promote | demote
+ * @desc    Move a participant one role up or down (or to body.role)
+ * @access  Private
+ */
+router.post(
+  "/:chatId/participants/:participantId/:action(promote|demote)",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId, participantId, action } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Get the chat
+      const chat = await Chat.findById(chatId);
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
+        });
+      }
+
+      if (chat.type !== "group") {
+        return res.status(400).json({
+          success: false,
+          message: "Roles only apply to group chats",
+        });
+      }
+
+      const currentRole = getRole(chat, participantId);
+      if (!currentRole) {
+        return res.status(404).json({
+          success: false,
+          message: "Participant not found",
+        });
+      }
+
+      // Default to one step up or down the hierarchy
+      const step = action === "promote" ? 1 : -1;
+      const role = req.body.role || ROLES[ROLES.indexOf(currentRole) + step];
+      const actorRole = getRole(chat, currentUser._id);
+
+      const movesInDirection =
+        action === "promote"
+          ? ROLES.indexOf(role) > ROLES.indexOf(currentRole)
+          : ROLES.indexOf(role) < ROLES.indexOf(currentRole);
+
+      if (!ROLES.includes(role) || role === "owner" || !movesInDirection) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot ${action} this participant to ${
+            role || "that role"
+          }`,
+        });
+      }
+
+      // Roles can only be changed by someone above the target, and never
+      // to a role above the actor's own
+      if (
+        !hasPermission(chat, currentUser._id, "changeRoles") ||
+        !outranks(chat, currentUser._id, participantId) ||
+        !isRoleAtLeast(actorRole, role)
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Insufficient permissions",
+        });
+      }
+
+      const participant = chat.participants.find(
+        (p) => p.user.toString() === participantId
+      );
+      participant.role = role;
+
+      await chat.save();
+
+      await postSystemMessage(chat, currentUser._id, "role_changed", {
+        targets: [participantId],
+        data: { role, previousRole: currentRole },
+      });
+
+      emitToChat(chat._id, "role-changed", {
+        chatId: chat._id.toString(),
+        userId: participantId,
+        role,
+      });
+
+      await chat.populate("participants.user", PUBLIC_USER_FIELDS);
+
+      res.status(200).json({
+        success: true,
+        message: `Participant is now ${role === "admin" ? "an" : "a"} ${role}`,
+        data: { chat: toVisibleChat(chat, currentUser._id) },
+      });
+    } catch (error) {
+      console.error("Error changing participant role:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error changing participant role",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/chats/:chatId/invites
+ * @desc    Create an invite link for a group chat
+ *          Body: expiresIn (seconds, optional), maxUses (optional),
+ *          requireApproval (boolean)
+ * @access  Private
+ */
+router.post("/:chatId/invites", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userId } = req.auth;
+    const { expiresIn, maxUses, requireApproval = false } = req.body;
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Get the chat
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat not found",
+      });
+    }
+
+    if (chat.type !== "group") {
+      return res.status(400).json({
+        success: false,
+        message: "Invite links are only available for group chats",
+      });
+    }
+
+    // Honors settings.allowInvites (admins only while it is off)
+    if (!hasPermission(chat, currentUser._id, "invite")) {
+      return res.status(403).json({
+        success: false,
+        message: "Insufficient permissions to invite to this chat",
+      });
+    }
+
+    if (
+      (expiresIn !== undefined && expiresIn !== null && !(expiresIn > 0)) ||
+      (maxUses !== undefined &&
+        maxUses !== null &&
+        !(Number.isInteger(maxUses) && maxUses > 0))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry and maximum uses must be positive numbers",
+      });
+    }
+
+    const invite = await ChatInvite.create({
+      chat: chat._id,
+      code: ChatInvite.generateCode(),
+      createdBy: currentUser._id,
+      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
+      maxUses: maxUses || null,
+      requireApproval: Boolean(requireApproval),
+    });
+
+    await invite.populate("createdBy", INVITE_USER_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: "Invite link created",
+      data: { invite },
+    });
+  } catch (error) {
+    console.error("Error creating invite link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating invite link",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/chats/:chatId/invites
+ * @desc    List a chat's invite links that have not been revoked
+ * @access  Private (admins)
+ */
+router.get("/:chatId/invites", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userId } = req.auth;
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Get the chat
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat not found",
+      });
+    }
+
+    if (!hasPermission(chat, currentUser._id, "manageInvites")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only chat admins can manage invite links",
+      });
+    }
+
+    const invites = await ChatInvite.find({ chat: chat._id, revokedAt: null })
+      .populate("createdBy", INVITE_USER_FIELDS)
+      .populate("joinRequests.user", INVITE_USER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invites,
+        count: invites.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting invite links:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving invite links",
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/chats/:chatId/invites/:inviteId
+ * @desc    Revoke an invite link
+ * @access  Private (admins, or the link's creator)
+ */
+router.delete(
+  "/:chatId/invites/:inviteId",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId, inviteId } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Get the chat and the link
+      const [chat, invite] = await Promise.all([
+        Chat.findById(chatId),
+        ChatInvite.findOne({ _id: inviteId, chat: chatId, revokedAt: null }),
+      ]);
+      if (!chat || !invite) {
+        return res.status(404).json({
+          success: false,
+          message: "Invite link not found",
+        });
+      }
+
+      if (
+        !invite.createdBy.equals(currentUser._id) &&
+        !hasPermission(chat, currentUser._id, "manageInvites")
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Only chat admins can revoke invite links",
+        });
+      }
+
+      invite.revokedAt = new Date();
+      await invite.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Invite link revoked",
+      });
+    } catch (error) {
+      console.error("Error revoking invite link:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error revoking invite link",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/chats/:chatId/invites/:inviteId/requests/:requesterId/:action
+ *          action: approve | decline
+ * @desc    Answer a join request made through a require-approval link
+ * @access  Private (admins)
+ */
+router.post(
+  "/:chatId/invites/:inviteId/requests/:requesterId/:action(approve|decline)",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId, inviteId, requesterId, action } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Get the chat and the link
+      const [chat, invite] = await Promise.all([
+        Chat.findById(chatId),
+        ChatInvite.findOne({ _id: inviteId, chat: chatId }),
+      ]);
+      if (!chat || !invite || !invite.hasJoinRequest(requesterId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Join request not found",
+        });
+      }
+
+      if (!hasPermission(chat, currentUser._id, "manageInvites")) {
+        return res.status(403).json({
+          success: false,
+          message: "Only chat admins can answer join requests",
+        });
+      }
+
+      const joining = action === "approve" && !getRole(chat, requesterId);
+
+      // Approvals count as a use, claimed atomically like a direct join so
+      // revoked, expired or full links cannot be approved past their limit
+      if (joining && !(await ChatInvite.claimUse(invite._id))) {
+        return res.status(400).json({
+          success: false,
+          message: "This invite link is no longer valid",
+        });
+      }
+
+      // The request is settled either way
+      await ChatInvite.updateOne(
+        { _id: invite._id },
+        { $pull: { joinRequests: { user: requesterId } } }
+      );
+
+      if (joining) {
+        await chat.addParticipant(requesterId);
+        await postSystemMessage(chat, currentUser._id, "participants_added", {
+          targets: [requesterId],
+        });
+      }
+
+      emitToUser(requesterId, "join-request-updated", {
+        chatId: chat._id.toString(),
+        status: action === "approve" ? "approved" : "declined",
+      });
+
+      res.status(200).json({
+        success: true,
+        message:
+          action === "approve" ? "Join request approved" : "Join request declined",
+      });
+    } catch (error) {
+      console.error("Error answering join request:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error answering join request",
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/chats/:chatId/pins
+ * @desc    Get a chat's pinned messages, most recently pinned first
+ * @access  Private
+ */
+router.get("/:chatId/pins", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userId } = req.auth;
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Get the chat with its pinned messages
+    const chat = await Chat.findById(chatId).populate([
+      {
+        path: "pinnedMessages.message",
+        populate: { path: "sender", select: "username firstName lastName avatar" },
+      },
+      { path: "pinnedMessages.pinnedBy", select: "username firstName lastName" },
+    ]);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat not found",
+      });
+    }
+
+    if (!getRole(chat, currentUser._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const pins = chat.pinnedMessages
+      .filter((pin) => pin.message && !pin.message.isDeleted)
+      .reverse();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pins,
+        count: pins.length,
+        limit: MAX_PINNED_MESSAGES,
+        canPin: canPin(chat, currentUser._id),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting pinned messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving pinned messages",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/chats/:chatId/pins
+ * @desc    Pin a message (body: messageId)
+ * @access  Private
+ */
+router.post("/:chatId/pins", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userId } = req.auth;
+    const { messageId } = req.body;
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Get the chat
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat not found",
+      });
+    }
+
+    if (!canPin(chat, currentUser._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to pin messages",
+      });
+    }
+
+    // Only visible timeline messages of this chat can be pinned
+    const message = await Message.findOne({
+      _id: messageId,
+      chat: chat._id,
+      isDeleted: false,
+      threadRoot: null,
+      "content.type": { $ne: "system" },
+    });
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    const pinned = await Chat.pinMessage(
+      chat._id,
+      message._id,
+      currentUser._id,
+      MAX_PINNED_MESSAGES
+    );
+
+    if (!pinned) {
+      const alreadyPinned = chat.pinnedMessages.some((pin) =>
+        pin.message.equals(message._id)
+      );
+      return res.status(400).json({
+        success: false,
+        message: alreadyPinned
+          ? "Message is already pinned"
+          : `A chat can have at most ${MAX_PINNED_MESSAGES} pinned messages`,
+      });
+    }
+
+    await message.populate("sender", "username firstName lastName avatar");
+    const pin = {
+      message,
+      pinnedBy: {
+        _id: currentUser._id,
+        username: currentUser.username,
+        firstName: currentUser.firstName,
+        lastName: currentUser.lastName,
+      },
+      pinnedAt: new Date(),
+    };
+
+    emitToChat(chat._id, "message-pinned", {
+      chatId: chat._id.toString(),
+      pin,
+    });
+
+    await postSystemMessage(chat, currentUser._id, "message_pinned", {
+      data: {
+        messageId: message._id,
+        excerpt: (message.content.text || message.content.file?.name || "")
+          .slice(0, 100),
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Message pinned",
+      data: { pin },
+    });
+  } catch (error) {
+    console.error("Error pinning message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error pinning message",
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/chats/:chatId/pins/:messageId
+ * @desc    Unpin a message
+ * @access  Private
+ */
+router.delete(
+  "/:chatId/pins/:messageId",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId, messageId } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Get the chat
+      const chat = await Chat.findById(chatId);
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
+        });
+      }
+
+      if (!canPin(chat, currentUser._id)) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to unpin messages",
+        });
+      }
+
+      if (!(await Chat.unpinMessage(chat._id, messageId))) {
+        return res.status(404).json({
+          success: false,
+          message: "Message is not pinned",
+        });
+      }
+
+      emitToChat(chat._id, "message-unpinned", {
+        chatId: chat._id.toString(),
+        messageId,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Message unpinned",
+      });
+    } catch (error) {
+      console.error("Error unpinning message:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error unpinning message",
+      });
+    }
+  }
+);
+
 module.exports = router;
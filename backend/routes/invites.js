@@ -0,0 +1,176 @@
+const express = require("express");
+const { protect, getUserFromClerk } = require("../middleware/auth");
+const ChatInvite = require("../models/ChatInvite");
+const Chat = require("../models/Chat");
+const User = require("../models/User");
+const {
+  hasPermission,
+  getUsersWithPermission,
+} = require("../utils/permissions");
+const { emitToUser } = require("../utils/eventBus");
+const { postSystemMessage } = require("../utils/systemMessages");
+const router = express.Router();
+
+const INVALID_INVITE_MESSAGE = "This invite link is invalid or has expired";
+
+/**
+ * Find a usable link and its chat
+ * A link stops working once its chat is gone or its creator may no
+ * longer invite (e.g. settings.allowInvites was turned off for members)
+ */
+const findUsableInvite = async (code) => {
+  const invite = await ChatInvite.findUsable(code);
+  if (!invite) return {};
+
+  const chat = await Chat.findOne({ _id: invite.chat, isActive: true });
+  if (!chat || !hasPermission(chat, invite.createdBy, "invite")) return {};
+
+  return { invite, chat };
+};
+
+/**
+ * @route   GET /api/invites/:code
+ * @desc    Preview the group behind an invite link
+ * @access  Private
+ */
+router.get("/:code", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { invite, chat } = await findUsableInvite(req.params.code);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: INVALID_INVITE_MESSAGE,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invite: {
+          code: invite.code,
+          expiresAt: invite.expiresAt,
+          requireApproval: invite.requireApproval,
+        },
+        chat: {
+          _id: chat._id,
+          name: chat.name,
+          description: chat.description,
+          avatar: chat.avatar,
+          participantCount: chat.participants.length,
+        },
+        isMember: chat.participants.some((p) => p.user.equals(currentUser._id)),
+        hasPendingRequest: invite.hasJoinRequest(currentUser._id),
+      },
+    });
+  } catch (error) {
+    console.error("Error previewing invite link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving invite link",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/invites/:code/join
+ * @desc    Join a group through an invite link (or ask to, when the
+ *          link requires approval)
+ * @access  Private
+ */
+router.post("/:code/join", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { invite, chat } = await findUsableInvite(req.params.code);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: INVALID_INVITE_MESSAGE,
+      });
+    }
+
+    if (chat.participants.some((p) => p.user.equals(currentUser._id))) {
+      return res.status(200).json({
+        success: true,
+        message: "You are already a member of this chat",
+        data: { chatId: chat._id, status: "joined" },
+      });
+    }
+
+    // Approval mode: queue the request and tell the chat's admins
+    if (invite.requireApproval) {
+      if (!invite.hasJoinRequest(currentUser._id)) {
+        await ChatInvite.updateOne(
+          { _id: invite._id },
+          { $push: { joinRequests: { user: currentUser._id } } }
+        );
+
+        getUsersWithPermission(chat, "manageInvites").forEach((adminId) => {
+          emitToUser(adminId, "join-request", {
+            chatId: chat._id.toString(),
+            inviteId: invite._id.toString(),
+            user: {
+              _id: currentUser._id,
+              username: currentUser.username,
+              firstName: currentUser.firstName,
+              lastName: currentUser.lastName,
+              avatar: currentUser.avatar,
+            },
+          });
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: "Join request sent to the chat admins",
+        data: { chatId: chat._id, status: "pending" },
+      });
+    }
+
+    // Count the use first so concurrent joins cannot go past maxUses
+    const claimed = await ChatInvite.claimUse(invite._id);
+    if (!claimed) {
+      return res.status(404).json({
+        success: false,
+        message: INVALID_INVITE_MESSAGE,
+      });
+    }
+
+    await chat.addParticipant(currentUser._id);
+    await postSystemMessage(chat, currentUser._id, "participant_joined", {
+      data: { inviteId: invite._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Joined chat successfully",
+      data: { chatId: chat._id, status: "joined" },
+    });
+  } catch (error) {
+    console.error("Error joining through invite link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error joining chat",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,207 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { protect, getUserFromClerk } = require("../middleware/auth");
 const Message = require("../models/Message");
 const Chat = require("../models/Chat");
 const User = require("../models/User");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const { notifyMentionedUsers } = require("../utils/mentions");
+const { emitToChat, emitToUser } = require("../utils/eventBus");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { getSearchTerms, buildSnippet } = require("../utils/search");
+const { markChatRead } = require("../utils/readReceipts");
+const { hasPermission } = require("../utils/permissions");
+const { resolveFileContent, copyFileContent } = require("../utils/attachments");
+const {
+  BLOCKED_MESSAGE,
+  isBlockedBetween,
+  isChatBlocked,
+} = require("../utils/blocking");
+const { isPollClosed, getUserVotes, setVotes } = require("../utils/polls");
+const messageConfig = require("../config/messages");
+const {
+  prepareMessage,
+  deliverMessage,
+} = require("../utils/messageDelivery");
 const router = express.Router();
 
+/**
+ * @route   GET /api/messages/search
+ * @desc    Search messages in the current user's chats
+ *          Query: q, and optional chatId, senderId, from, to,
+ *          type (text|image|file), limit, before=<cursor>
+ * @access  Private
+ */
+router.get("/search", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { q: searchTerm, chatId, senderId, from, to, type, before } =
+      req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (!searchTerm || searchTerm.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Search term must be at least 2 characters long",
+      });
+    }
+
+    if (type && !["text", "image", "file"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid content type",
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    const cursor = before ? decodeCursor(before) : null;
+    if (
+      (fromDate && isNaN(fromDate)) ||
+      (toDate && isNaN(toDate)) ||
+      (before && !cursor) ||
+      (chatId && !mongoose.Types.ObjectId.isValid(chatId)) ||
+      (senderId && !mongoose.Types.ObjectId.isValid(senderId))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid search filters",
+      });
+    }
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Only search chats the user belongs to
+    const chatQuery = { "participants.user": currentUser._id, isActive: true };
+    if (chatId) chatQuery._id = chatId;
+
+    const chats = await Chat.find(chatQuery)
+      .select("name type avatar participants")
+      .populate("participants.user", "username firstName lastName avatar");
+
+    if (chatId && chats.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const query = {
+      $text: { $search: searchTerm.trim() },
+      chat: { $in: chats.map((chat) => chat._id) },
+      isDeleted: false,
+      hiddenFor: { $ne: currentUser._id },
+    };
+    if (senderId) query.sender = senderId;
+    if (type) query["content.type"] = type;
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+    if (cursor) {
+      query.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    // Newest hits first so results read like the chat timeline
+    const messages = await Message.find(query)
+      .populate("sender", "username firstName lastName avatar")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    const terms = getSearchTerms(searchTerm);
+    const chatsById = new Map(chats.map((chat) => [chat._id.toString(), chat]));
+
+    const results = page.map((message) => {
+      const chat = chatsById.get(message.chat.toString());
+
+      // For direct chats, name the chat after the other participant
+      let chatName = chat.name;
+      if (chat.type === "direct") {
+        const otherParticipant = chat.participants.find(
+          (p) => p.user && p.user._id.toString() !== currentUser._id.toString()
+        );
+        chatName = otherParticipant
+          ? otherParticipant.user.fullName || otherParticipant.user.username
+          : chatName;
+      }
+
+      return {
+        message,
+        chat: { _id: chat._id, name: chatName, type: chat.type },
+        snippet: buildSnippet(
+          message.content.text || message.content.file?.name,
+          terms
+        ),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results,
+        count: results.length,
+        pagination: {
+          limit,
+          hasMore,
+          endCursor: page.length
+            ? encodeCursor(page[page.length - 1])
+            : null,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error searching messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error searching messages",
+    });
+  }
+});
+
 /**
  * @route   GET /api/messages/:chatId
  * @desc    Get messages for a specific chat
+ *          Query: limit, and one of before=<cursor>, after=<cursor> or
+ *          around=<messageId> (no cursor returns the latest messages)
  * @access  Private
  */
 router.get("/:chatId", protect, getUserFromClerk, async (req, res) => {
   try {
     const { chatId } = req.params;
     const { userId } = req.auth;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after, around } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Use only one of before, after or around",
+      });
+    }
+
+    const cursor = before || after ? decodeCursor(before || after) : null;
+    if (
+      ((before || after) && !cursor) ||
+      (around && !mongoose.Types.ObjectId.isValid(around))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid cursor",
+      });
+    }
 
     // Get current user
     const currentUser = await User.findOne({ clerkId: userId });
@@ -45,24 +232,91 @@ router.get("/:chatId", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Get messages
-    const messages = await Message.getChatMessages(
-      chatId,
-      parseInt(page),
-      parseInt(limit)
-    );
+    // Get messages (oldest first)
+    let messages;
+    let hasMoreBefore;
+    let hasMoreAfter;
+
+    if (around) {
+      // Window centred on a target message, e.g. a search hit or reply
+      // Thread replies are not in the timeline, so centre on their root
+      const aroundMessage = await Message.findOne({
+        _id: around,
+        chat: chatId,
+      }).select("threadRoot");
+      const target = await Message.findOne({
+        _id: aroundMessage?.threadRoot || around,
+        chat: chatId,
+        isDeleted: false,
+        hiddenFor: { $ne: currentUser._id },
+      })
+        .populate("sender", "username firstName lastName avatar")
+        .populate(
+          "content.system.targets",
+          "username firstName lastName avatar"
+        )
+        .populate(
+          "forwardedFrom.sender",
+          "username firstName lastName avatar"
+        )
+        .populate("replyTo", "content.text sender")
+        .populate("reactions.user", "username");
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
 
-    // Update last read for the user
-    await chat.updateLastRead(currentUser._id);
+      const half = Math.floor(limit / 2);
+      const [older, newer] = await Promise.all([
+        Message.getChatMessages(chatId, {
+          before: target,
+          limit: half,
+          userId: currentUser._id,
+        }),
+        Message.getChatMessages(chatId, {
+          after: target,
+          limit: limit - half - 1,
+          userId: currentUser._id,
+        }),
+      ]);
+
+      messages = [...older.messages, target, ...newer.messages];
+      hasMoreBefore = older.hasMore;
+      hasMoreAfter = newer.hasMore;
+    } else {
+      const page = await Message.getChatMessages(chatId, {
+        before: before ? cursor : undefined,
+        after: after ? cursor : undefined,
+        limit,
+        userId: currentUser._id,
+      });
+
+      messages = page.messages;
+      hasMoreBefore = after ? true : page.hasMore;
+      hasMoreAfter = after ? page.hasMore : Boolean(before);
+    }
+
+    // Reaching the newest message marks the chat as read
+    if (!hasMoreAfter && messages.length > 0) {
+      await markChatRead(chat, currentUser._id, messages[messages.length - 1]);
+    }
 
     res.status(200).json({
       success: true,
       data: {
-        messages: messages.reverse(), // Reverse to show oldest first
+        messages,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          hasMore: messages.length === parseInt(limit),
+          limit,
+          hasMore: hasMoreBefore,
+          hasMoreBefore,
+          hasMoreAfter,
+          startCursor: messages.length ? encodeCursor(messages[0]) : null,
+          endCursor: messages.length
+            ? encodeCursor(messages[messages.length - 1])
+            : null,
         },
       },
     });
@@ -84,7 +338,7 @@ router.post("/:chatId", protect, getUserFromClerk, async (req, res) => {
   try {
     const { chatId } = req.params;
     const { userId } = req.auth;
-    const { content, replyTo } = req.body;
+    const { content, replyTo, threadRoot } = req.body;
 
     // Get current user
     const currentUser = await User.findOne({ clerkId: userId });
@@ -95,7 +349,7 @@ router.post("/:chatId", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Check if chat exists and user is a participant
+    // Check if chat exists
     const chat = await Chat.findById(chatId);
     if (!chat) {
       return res.status(404).json({
@@ -104,48 +358,19 @@ router.post("/:chatId", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    const isParticipant = chat.participants.some(
-      (p) => p.user.toString() === currentUser._id.toString()
-    );
-
-    if (!isParticipant) {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied",
-      });
-    }
-
-    // Validate content
-    if (!content || !content.text || content.text.trim().length === 0) {
-      return res.status(400).json({
+    // Validates, stores and broadcasts the message
+    const { message, error } = await deliverMessage(chat, currentUser._id, {
+      content,
+      replyTo,
+      threadRoot,
+    });
+    if (error) {
+      return res.status(error.status).json({
         success: false,
-        message: "Message content is required",
+        message: error.message,
       });
     }
 
-    // Create message
-    const message = await Message.create({
-      chat: chatId,
-      sender: currentUser._id,
-      content: {
-        text: content.text.trim(),
-        type: content.type || "text",
-        file: content.file || undefined,
-      },
-      replyTo: replyTo || undefined,
-    });
-
-    // Update chat's last message and activity
-    chat.lastMessage = message._id;
-    chat.lastActivity = new Date();
-    await chat.save();
-
-    // Populate message for response
-    await message.populate("sender", "username firstName lastName avatar");
-    if (replyTo) {
-      await message.populate("replyTo", "content.text sender");
-    }
-
     res.status(201).json({
       success: true,
       message: "Message sent successfully",
@@ -197,9 +422,18 @@ router.put("/:messageId", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Check if message is too old to edit (24 hours)
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    if (message.createdAt < twentyFourHoursAgo) {
+    if (
+      message.isDeleted ||
+      ["system", "poll", "audio"].includes(message.content.type)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "This message cannot be edited",
+      });
+    }
+
+    // Check if message is too old to edit (MESSAGE_EDIT_WINDOW_MS)
+    if (!message.isEditable()) {
       return res.status(400).json({
         success: false,
         message: "Message is too old to edit",
@@ -217,6 +451,14 @@ router.put("/:messageId", protect, getUserFromClerk, async (req, res) => {
     // Edit message
     await message.editMessage(content.trim());
 
+    // Broadcast the edit and notify users newly mentioned by it
+    await message.populate("sender", "username firstName lastName avatar");
+    emitToChat(message.chat, "message-updated", {
+      message,
+      chatId: message.chat.toString(),
+    });
+    await notifyMentionedUsers(message);
+
     res.status(200).json({
       success: true,
       message: "Message updated successfully",
@@ -234,12 +476,22 @@ router.put("/:messageId", protect, getUserFromClerk, async (req, res) => {
 /**
  * @route   DELETE /api/messages/:messageId
  * @desc    Delete a message
+ *          Query: scope=everyone (default) or scope=me to hide it only
+ *          for the current user
  * @access  Private
  */
 router.delete("/:messageId", protect, getUserFromClerk, async (req, res) => {
   try {
     const { messageId } = req.params;
     const { userId } = req.auth;
+    const scope = req.query.scope || "everyone";
+
+    if (!["me", "everyone"].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid delete scope",
+      });
+    }
 
     // Get current user
     const currentUser = await User.findOne({ clerkId: userId });
@@ -251,7 +503,10 @@ router.delete("/:messageId", protect, getUserFromClerk, async (req, res) => {
     }
 
     // Get message
-    const message = await Message.findById(messageId);
+    const message = await Message.findOne({
+      _id: messageId,
+      isDeleted: false,
+    });
     if (!message) {
       return res.status(404).json({
         success: false,
@@ -259,25 +514,84 @@ router.delete("/:messageId", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Check if user is the sender or chat admin
-    const isOwner = message.sender.toString() === currentUser._id.toString();
-
-    // Get chat to check if user is admin
     const chat = await Chat.findById(message.chat);
-    const userParticipant = chat.participants.find(
-      (p) => p.user.toString() === currentUser._id.toString()
+    const isParticipant =
+      chat &&
+      chat.participants.some(
+        (p) => p.user.toString() === currentUser._id.toString()
+      );
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    // Delete for me: hidden for the current user (on all their devices)
+    if (scope === "me") {
+      await message.hideFor(currentUser._id);
+
+      emitToUser(currentUser._id, "message-hidden", {
+        messageId: message._id,
+        chatId: message.chat.toString(),
+        ...(message.threadRoot && { rootId: message.threadRoot }),
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Message deleted for you",
+      });
+    }
+
+    // Delete for everyone: the sender within the delete window, or
+    // anyone who may delete others' messages
+    const canModerate = hasPermission(
+      chat,
+      currentUser._id,
+      "deleteOthersMessages"
     );
-    const isAdmin = userParticipant && userParticipant.role === "admin";
 
-    if (!isOwner && !isAdmin) {
+    if (!message.canDeleteForEveryone(currentUser._id, canModerate)) {
+      const isOwner =
+        message.sender.toString() === currentUser._id.toString();
       return res.status(403).json({
         success: false,
-        message: "You can only delete your own messages or be a chat admin",
+        message: isOwner
+          ? "This message is too old to delete for everyone"
+          : "You can only delete your own messages",
+      });
+    }
+
+    // Soft delete message (a concurrent delete may have got there first)
+    if (!(await message.softDelete())) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    // Deleted replies no longer count towards their thread
+    let thread;
+    if (message.threadRoot) {
+      thread = await Message.updateThreadSummary(message.threadRoot, {
+        increment: -1,
       });
     }
 
-    // Soft delete message
-    await message.softDelete();
+    emitToChat(message.chat, "message-deleted", {
+      messageId: message._id,
+      chatId: message.chat.toString(),
+      ...(message.threadRoot && { rootId: message.threadRoot, thread }),
+    });
+
+    // Deleted messages do not stay pinned
+    if (await Chat.unpinMessage(message.chat, message._id)) {
+      emitToChat(message.chat, "message-unpinned", {
+        chatId: message.chat.toString(),
+        messageId: message._id,
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -292,6 +606,214 @@ router.delete("/:messageId", protect, getUserFromClerk, async (req, res) => {
   }
 });
 
+/**
+ * Build the forwardedFrom reference for a copy of a message
+ * Copies of a forwarded message point at the original. The sender is only
+ * named if they allow it, and direct chats are never named.
+ */
+const getForwardedFrom = async (message, sourceChat, forwarderId) => {
+  if (message.forwardedFrom && message.forwardedFrom.message) {
+    const { message: original, sender, chat } = message.forwardedFrom;
+    return { message: original, sender, chat };
+  }
+
+  let sender;
+  if (message.sender.toString() === forwarderId.toString()) {
+    sender = message.sender;
+  } else {
+    const originalSender = await User.findById(message.sender).select(
+      "preferences.privacy.showNameOnForwards"
+    );
+    if (originalSender?.preferences?.privacy?.showNameOnForwards !== false) {
+      sender = message.sender;
+    }
+  }
+
+  return {
+    message: message._id,
+    sender,
+    chat: sourceChat.type === "group" ? sourceChat._id : undefined,
+  };
+};
+
+/**
+ * @route   POST /api/messages/:messageId/forward
+ * @desc    Forward a message to one or more chats (body: chatIds)
+ * @access  Private
+ */
+router.post(
+  "/:messageId/forward",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      const { userId } = req.auth;
+      const chatIds = Array.isArray(req.body.chatIds)
+        ? [...new Set(req.body.chatIds.map(String))]
+        : [];
+
+      if (
+        !mongoose.Types.ObjectId.isValid(messageId) ||
+        chatIds.length === 0 ||
+        chatIds.some((id) => !mongoose.Types.ObjectId.isValid(id))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Choose at least one chat to forward to",
+        });
+      }
+
+      if (chatIds.length > messageConfig.forwardLimit) {
+        return res.status(400).json({
+          success: false,
+          message: `A message can be forwarded to at most ${messageConfig.forwardLimit} chats at once`,
+        });
+      }
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // The message must be one the current user can see
+      const message = await Message.findOne({
+        _id: messageId,
+        isDeleted: false,
+        "content.type": { $ne: "system" },
+        hiddenFor: { $ne: currentUser._id },
+      });
+      const sourceChat = message && (await Chat.findById(message.chat));
+      const canSee =
+        sourceChat &&
+        sourceChat.participants.some(
+          (p) => p.user.toString() === currentUser._id.toString()
+        );
+
+      if (!canSee) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      // Votes belong to the original poll
+      if (message.content.type === "poll") {
+        return res.status(400).json({
+          success: false,
+          message: "Polls cannot be forwarded",
+        });
+      }
+
+      // Every target must be a chat the current user can send to,
+      // checked before anything is sent
+      const targets = await Chat.find({
+        _id: { $in: chatIds },
+        isActive: true,
+      });
+      if (targets.length !== chatIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
+        });
+      }
+
+      for (const target of targets) {
+        const isParticipant = target.participants.some(
+          (p) => p.user.toString() === currentUser._id.toString()
+        );
+        if (!isParticipant) {
+          return res.status(403).json({
+            success: false,
+            message: "You can only forward messages to chats you are in",
+          });
+        }
+
+        if (await isChatBlocked(target, currentUser._id)) {
+          return res.status(403).json({
+            success: false,
+            message: BLOCKED_MESSAGE,
+          });
+        }
+      }
+
+      const { text, type, format, file } = message.content;
+      const hasFile = Boolean(file && file.url);
+      if (hasFile && !(await resolveFileContent(file, sourceChat._id))) {
+        return res.status(400).json({
+          success: false,
+          message: "The attached file is no longer available",
+        });
+      }
+
+      const forwardedFrom = await getForwardedFrom(
+        message,
+        sourceChat,
+        currentUser._id
+      );
+
+      // Each copy gets its own attachment record in the target chat
+      const messages = [];
+      for (const target of targets) {
+        const content = { text, type, format };
+        if (hasFile) {
+          content.file = await copyFileContent(
+            file,
+            sourceChat._id,
+            target._id,
+            currentUser._id
+          );
+          if (content.file && type === "audio") {
+            content.file.duration = file.duration;
+            content.file.waveform = file.waveform;
+          }
+        }
+
+        const { message: copy, error } = await deliverMessage(
+          target,
+          currentUser._id,
+          { content },
+          { forwardedFrom }
+        );
+        if (error) {
+          console.error(
+            `Error forwarding message ${message._id} to chat ${target._id}:`,
+            error.message
+          );
+          continue;
+        }
+        messages.push(copy);
+      }
+
+      if (messages.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Message could not be forwarded",
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message:
+          messages.length === 1
+            ? "Message forwarded"
+            : `Message forwarded to ${messages.length} chats`,
+        data: { messages },
+      });
+    } catch (error) {
+      console.error("Error forwarding message:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error forwarding message",
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/messages/:messageId/react
  * @desc    Add reaction to a message
@@ -325,6 +847,21 @@ router.post(
         });
       }
 
+      // Only participants may react in the chat
+      const chat = await Chat.findById(message.chat);
+      const isParticipant =
+        chat &&
+        chat.participants.some(
+          (p) => p.user.toString() === currentUser._id.toString()
+        );
+
+      if (!isParticipant) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
       // Validate emoji
       if (!emoji || emoji.trim().length === 0) {
         return res.status(400).json({
@@ -333,9 +870,24 @@ router.post(
         });
       }
 
+      // Users cannot react to messages of users they are blocked with
+      if (await isBlockedBetween(currentUser._id, message.sender)) {
+        return res.status(403).json({
+          success: false,
+          message: BLOCKED_MESSAGE,
+        });
+      }
+
       // Add reaction
       await message.addReaction(currentUser._id, emoji.trim());
 
+      emitToChat(message.chat, "reaction-added", {
+        messageId: message._id,
+        chatId: message.chat.toString(),
+        userId: currentUser._id,
+        emoji: emoji.trim(),
+      });
+
       res.status(200).json({
         success: true,
         message: "Reaction added successfully",
@@ -383,9 +935,31 @@ router.delete(
         });
       }
 
+      // Only participants may react in the chat
+      const chat = await Chat.findById(message.chat);
+      const isParticipant =
+        chat &&
+        chat.participants.some(
+          (p) => p.user.toString() === currentUser._id.toString()
+        );
+
+      if (!isParticipant) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
       // Remove reaction
       await message.removeReaction(currentUser._id, emoji);
 
+      emitToChat(message.chat, "reaction-removed", {
+        messageId: message._id,
+        chatId: message.chat.toString(),
+        userId: currentUser._id,
+        emoji,
+      });
+
       res.status(200).json({
         success: true,
         message: "Reaction removed successfully",
@@ -402,7 +976,7 @@ router.delete(
 
 /**
  * @route   POST /api/messages/:messageId/read
- * @desc    Mark message as read
+ * @desc    Mark a chat as read up to and including this message
  * @access  Private
  */
 router.post("/:messageId/read", protect, getUserFromClerk, async (req, res) => {
@@ -428,8 +1002,23 @@ router.post("/:messageId/read", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
+    // Check if user is a participant of the message's chat
+    const chat = await Chat.findById(message.chat);
+    const isParticipant =
+      chat &&
+      chat.participants.some(
+        (p) => p.user.toString() === currentUser._id.toString()
+      );
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
     // Mark as read
-    await message.markAsRead(currentUser._id);
+    await markChatRead(chat, currentUser._id, message);
 
     res.status(200).json({
       success: true,
@@ -444,4 +1033,710 @@ router.post("/:messageId/read", protect, getUserFromClerk, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/messages/:messageId/receipts
+ * @desc    Get which participants have read a message
+ * @access  Private
+ */
+router.get(
+  "/:messageId/receipts",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      const message = await Message.findById(messageId);
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      const chat = await Chat.findById(message.chat).populate(
+        "participants.user",
+        "username firstName lastName avatar"
+      );
+      const isParticipant =
+        chat &&
+        chat.participants.some(
+          (p) => p.user._id.toString() === currentUser._id.toString()
+        );
+
+      if (!isParticipant) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      // Receipts come from each participant's read position; the sender
+      // has implicitly read their own message
+      const recipients = chat.participants.filter(
+        (p) => p.user._id.toString() !== message.sender.toString()
+      );
+      const readBy = recipients.filter((p) =>
+        chat.hasRead(p.user._id, message)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          messageId: message._id,
+          readBy: readBy.map((p) => p.user),
+          unreadBy: recipients
+            .filter((p) => !readBy.includes(p))
+            .map((p) => p.user),
+          readCount: readBy.length,
+          recipientCount: recipients.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error getting read receipts:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error retrieving read receipts",
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/messages/:messageId/history
+ * @desc    Get every version of an edited message, oldest first
+ * @access  Private
+ */
+router.get(
+  "/:messageId/history",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      // Deleted messages keep no history
+      const message = await Message.findOne({
+        _id: messageId,
+        isDeleted: false,
+      });
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      const chat = await Chat.findById(message.chat);
+      const isParticipant =
+        chat &&
+        chat.participants.some(
+          (p) => p.user.toString() === currentUser._id.toString()
+        );
+
+      if (!isParticipant) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          messageId: message._id,
+          versions: message.getVersions(),
+          editableUntil: message.editableUntil,
+        },
+      });
+    } catch (error) {
+      console.error("Error getting edit history:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error retrieving edit history",
+      });
+    }
+  }
+);
+
+/**
+ * Find a poll message in one of the user's chats
+ * Resolves to { message }, or { error: { status, message } }
+ */
+const findPoll = async (messageId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { error: { status: 404, message: "Poll not found" } };
+  }
+
+  const message = await Message.findOne({
+    _id: messageId,
+    isDeleted: false,
+    "content.type": "poll",
+  });
+  if (!message) {
+    return { error: { status: 404, message: "Poll not found" } };
+  }
+
+  const chat = await Chat.findById(message.chat);
+  const isParticipant =
+    chat &&
+    chat.participants.some((p) => p.user.toString() === userId.toString());
+  if (!isParticipant) {
+    return { error: { status: 403, message: "Access denied" } };
+  }
+
+  return { message };
+};
+
+/**
+ * @route   GET /api/messages/:messageId/poll
+ * @desc    Get a poll's results and the current user's votes
+ * @access  Private
+ */
+router.get("/:messageId/poll", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { userId } = req.auth;
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { message, error } = await findPoll(messageId, currentUser._id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messageId: message._id,
+        poll: message.content.poll,
+        closed: isPollClosed(message.content.poll),
+        myVotes: await getUserVotes(message._id, currentUser._id),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting poll:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving poll",
+    });
+  }
+});
+
+/**
+ * Shared handler for voting and retracting
+ * optionIds is the user's full choice; an empty list retracts their votes
+ */
+const updateVotes = async (req, res, optionIds) => {
+  try {
+    const { messageId } = req.params;
+    const { userId } = req.auth;
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { message, error } = await findPoll(messageId, currentUser._id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const result = await setVotes(message, currentUser._id, optionIds);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    // Everyone in the chat sees the new tallies
+    emitToChat(message.chat, "poll-updated", {
+      chatId: message.chat.toString(),
+      messageId: message._id,
+      poll: result.poll,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: optionIds.length > 0 ? "Vote recorded" : "Vote retracted",
+      data: {
+        messageId: message._id,
+        poll: result.poll,
+        myVotes: result.myVotes,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating poll votes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating poll votes",
+    });
+  }
+};
+
+/**
+ * @route   POST /api/messages/:messageId/poll
+ * @desc    Vote in a poll (body: optionIds), replacing any earlier votes
+ * @access  Private
+ */
+router.post("/:messageId/poll", protect, getUserFromClerk, (req, res) => {
+  const { optionIds } = req.body;
+
+  if (!Array.isArray(optionIds) || optionIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Choose at least one option",
+    });
+  }
+
+  return updateVotes(req, res, optionIds);
+});
+
+/**
+ * @route   DELETE /api/messages/:messageId/poll
+ * @desc    Retract the current user's votes in a poll
+ * @access  Private
+ */
+router.delete("/:messageId/poll", protect, getUserFromClerk, (req, res) =>
+  updateVotes(req, res, [])
+);
+
+/**
+ * @route   GET /api/messages/:messageId/thread
+ * @desc    Get a thread's root message and its replies (oldest first)
+ *          Query: limit, after=<cursor>
+ * @access  Private
+ */
+router.get(
+  "/:messageId/thread",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      const { userId } = req.auth;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+      const cursor = req.query.after ? decodeCursor(req.query.after) : null;
+      if (req.query.after && !cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      const message = await Message.findById(messageId).select("chat");
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      // Check if user is a participant of the message's chat
+      const chat = await Chat.findById(message.chat);
+      const isParticipant =
+        chat &&
+        chat.participants.some(
+          (p) => p.user.toString() === currentUser._id.toString()
+        );
+
+      if (!isParticipant) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      // Opening a reply shows the whole thread it belongs to
+      const root = await Message.findThreadRoot(messageId, message.chat);
+      if (!root) {
+        return res.status(404).json({
+          success: false,
+          message: "Thread not found",
+        });
+      }
+
+      await root.populate([
+        { path: "sender", select: "username firstName lastName avatar" },
+        { path: "reactions.user", select: "username" },
+      ]);
+
+      const { messages: replies, hasMore } = await Message.getThreadReplies(
+        root._id,
+        { after: cursor, limit, userId: currentUser._id }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          root,
+          replies,
+          pagination: {
+            limit,
+            hasMore,
+            endCursor: replies.length
+              ? encodeCursor(replies[replies.length - 1])
+              : null,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error getting thread:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error retrieving thread",
+      });
+    }
+  }
+);
+
+/**
+ * Parse a scheduled send time; it must lie in the future
+ * Resolves to the date, or null when it is missing or invalid
+ */
+const parseSendAt = (value) => {
+  const sendAt = new Date(value);
+  return value && !isNaN(sendAt) && sendAt > new Date() ? sendAt : null;
+};
+
+/**
+ * @route   GET /api/messages/:chatId/scheduled
+ * @desc    Get the current user's pending scheduled messages in a chat
+ * @access  Private
+ */
+router.get(
+  "/:chatId/scheduled",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const scheduledMessages = await ScheduledMessage.find({
+        chat: chatId,
+        sender: currentUser._id,
+        status: { $in: ["pending", "failed"] },
+      }).sort({ sendAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        data: { scheduledMessages },
+      });
+    } catch (error) {
+      console.error("Error getting scheduled messages:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error retrieving scheduled messages",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/messages/:chatId/scheduled
+ * @desc    Schedule a message (body: content, replyTo, sendAt)
+ * @access  Private
+ */
+router.post(
+  "/:chatId/scheduled",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId } = req.params;
+      const { userId } = req.auth;
+      const { content, replyTo } = req.body;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Check if chat exists
+      const chat = await Chat.findById(chatId);
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
+        });
+      }
+
+      const sendAt = parseSendAt(req.body.sendAt);
+      if (!sendAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Scheduled time must be in the future",
+        });
+      }
+
+      if (content && content.type === "poll") {
+        return res.status(400).json({
+          success: false,
+          message: "Polls cannot be scheduled",
+        });
+      }
+
+      // Checked now so mistakes surface straight away; the scheduler
+      // checks again when the message is due
+      const prepared = await prepareMessage(chat, currentUser._id, {
+        content,
+        replyTo,
+      });
+      if (prepared.error) {
+        return res.status(prepared.error.status).json({
+          success: false,
+          message: prepared.error.message,
+        });
+      }
+
+      const scheduledMessage = await ScheduledMessage.create({
+        chat: chat._id,
+        sender: currentUser._id,
+        content: {
+          text: prepared.text,
+          type: prepared.type,
+          format: prepared.format,
+          file: prepared.file,
+        },
+        replyTo: prepared.replyTo,
+        sendAt,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Message scheduled",
+        data: { scheduledMessage },
+      });
+    } catch (error) {
+      console.error("Error scheduling message:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error scheduling message",
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/messages/:chatId/scheduled/:scheduledId
+ * @desc    Change a pending scheduled message's text or send time
+ * @access  Private
+ */
+router.put(
+  "/:chatId/scheduled/:scheduledId",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId, scheduledId } = req.params;
+      const { userId } = req.auth;
+      const { text, sendAt } = req.body;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const updates = {};
+      if (sendAt !== undefined) {
+        updates.sendAt = parseSendAt(sendAt);
+        if (!updates.sendAt) {
+          return res.status(400).json({
+            success: false,
+            message: "Scheduled time must be in the future",
+          });
+        }
+      }
+
+      const query = {
+        _id: scheduledId,
+        chat: chatId,
+        sender: currentUser._id,
+      };
+
+      if (text !== undefined) {
+        const trimmed = typeof text === "string" ? text.trim() : "";
+        const existing = await ScheduledMessage.findOne(query);
+        if (!trimmed && !existing?.content.file?.url) {
+          return res.status(400).json({
+            success: false,
+            message: "Message content is required",
+          });
+        }
+        updates["content.text"] = trimmed;
+      }
+
+      // Failed messages go back in the queue when edited
+      const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+        { ...query, status: { $in: ["pending", "failed"] } },
+        {
+          ...updates,
+          status: "pending",
+          attempts: 0,
+          $unset: { failureReason: 1 },
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!scheduledMessage) {
+        return res.status(404).json({
+          success: false,
+          message: "Scheduled message not found or already sent",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Scheduled message updated",
+        data: { scheduledMessage },
+      });
+    } catch (error) {
+      console.error("Error updating scheduled message:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating scheduled message",
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/messages/:chatId/scheduled/:scheduledId
+ * @desc    Cancel a scheduled message
+ * @access  Private
+ */
+router.delete(
+  "/:chatId/scheduled/:scheduledId",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { chatId, scheduledId } = req.params;
+      const { userId } = req.auth;
+
+      // Get current user
+      const currentUser = await User.findOne({ clerkId: userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Messages the scheduler has claimed can no longer be cancelled
+      const result = await ScheduledMessage.deleteOne({
+        _id: scheduledId,
+        chat: chatId,
+        sender: currentUser._id,
+        status: { $in: ["pending", "failed"] },
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Scheduled message not found or already sent",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Scheduled message cancelled",
+      });
+    } catch (error) {
+      console.error("Error cancelling scheduled message:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error cancelling scheduled message",
+      });
+    }
+  }
+);
+
 module.exports = router;
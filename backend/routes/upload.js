@@ -0,0 +1,287 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { protect, getUserFromClerk } = require("../middleware/auth");
+const uploadConfig = require("../config/upload");
+const { getStorage } = require("../utils/storage");
+const Attachment = require("../models/Attachment");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const router = express.Router();
+
+/**
+ * MIME type without parameters (recorders send e.g. "audio/webm;codecs=opus")
+ */
+const getMimeType = (file) => file.mimetype.split(";")[0].trim().toLowerCase();
+
+const isAudioType = (mimeType) =>
+  uploadConfig.allowedAudioTypes.includes(mimeType);
+
+/**
+ * Size limit in bytes for a MIME type
+ */
+const getSizeLimit = (mimeType) =>
+  isAudioType(mimeType) ? uploadConfig.maxAudioSize : uploadConfig.maxFileSize;
+
+// Multer stops reading at the larger limit; the one for the file's type
+// is checked once it has been read
+const uploadLimit = Math.max(
+  uploadConfig.maxFileSize,
+  uploadConfig.maxAudioSize
+);
+
+const formatLimit = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`;
+
+// Files are buffered in memory and handed to the storage driver afterwards
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploadLimit,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const mimeType = getMimeType(file);
+    if (
+      !uploadConfig.allowedMimeTypes.includes(mimeType) &&
+      !isAudioType(mimeType)
+    ) {
+      const error = new Error("File type not allowed");
+      error.code = "UNSUPPORTED_FILE_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Middleware to parse a single "file" field and report upload errors
+ */
+const parseUpload = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        success: false,
+        message: `File exceeds the ${formatLimit(uploadLimit)} limit`,
+      });
+    }
+
+    if (err.code === "UNSUPPORTED_FILE_TYPE") {
+      return res.status(415).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * @route   POST /api/upload
+ * @desc    Upload a file attachment for a chat
+ * @access  Private
+ */
+router.post("/", protect, getUserFromClerk, parseUpload, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { chatId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "File is required",
+      });
+    }
+
+    if (!chatId) {
+      return res.status(400).json({
+        success: false,
+        message: "Chat ID is required",
+      });
+    }
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const mimeType = getMimeType(req.file);
+    const sizeLimit = getSizeLimit(mimeType);
+    if (req.file.size > sizeLimit) {
+      const kind = isAudioType(mimeType) ? "Audio" : "File";
+      return res.status(413).json({
+        success: false,
+        message: `${kind} exceeds the ${formatLimit(sizeLimit)} limit`,
+      });
+    }
+
+    // Check if chat exists and user is a participant
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat not found",
+      });
+    }
+
+    const isParticipant = chat.participants.some(
+      (p) => p.user.toString() === currentUser._id.toString()
+    );
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    // Store the file
+    const storage = getStorage();
+    const storageKey = await storage.save(req.file.buffer, {
+      originalName: req.file.originalname,
+      mimeType,
+    });
+
+    const attachment = await Attachment.create({
+      chat: chat._id,
+      uploader: currentUser._id,
+      driver: storage.name,
+      storageKey,
+      name: req.file.originalname,
+      size: req.file.size,
+      mimeType,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "File uploaded successfully",
+      data: {
+        attachmentId: attachment._id,
+        type: attachment.mimeType.startsWith("image/")
+          ? "image"
+          : isAudioType(attachment.mimeType)
+          ? "audio"
+          : "file",
+        file: attachment.toFileContent(),
+      },
+    });
+  } catch (error) {
+    console.error("Error uploading file:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error uploading file",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/upload/:attachmentId
+ * @desc    Download a file attachment (chat participants only)
+ * @access  Private
+ */
+router.get("/:attachmentId", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const { userId } = req.auth;
+    const { download } = req.query;
+
+    // Get current user
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const attachment = mongoose.Types.ObjectId.isValid(attachmentId)
+      ? await Attachment.findById(attachmentId)
+      : null;
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    // Only participants of the chat the file was shared in may fetch it
+    const chat = await Chat.findById(attachment.chat);
+    const isParticipant =
+      chat &&
+      chat.participants.some(
+        (p) => p.user.toString() === currentUser._id.toString()
+      );
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    // Files of messages deleted for everyone are gone too
+    const deleted = await Message.exists({
+      chat: attachment.chat,
+      "content.file.url": attachment.url,
+      isDeleted: true,
+    });
+    if (deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    // Images render inline, everything else is served as a download
+    const disposition =
+      download || !attachment.mimeType.startsWith("image/")
+        ? "attachment"
+        : "inline";
+
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": attachment.size,
+      "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(
+        attachment.name
+      )}`,
+      "Cache-Control": "private, max-age=3600",
+    });
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+    stream.on("error", (error) => {
+      console.error("Error reading file:", error);
+      if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        res.status(404).json({
+          success: false,
+          message: "File not found",
+        });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("Error downloading file:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving file",
+    });
+  }
+});
+
+module.exports = router;
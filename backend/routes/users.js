@@ -1,8 +1,74 @@
 const express = require("express");
 const { protect, getUserFromClerk } = require("../middleware/auth");
 const User = require("../models/User");
+const FriendRequest = require("../models/FriendRequest");
+const {
+  PUBLIC_USER_FIELDS,
+  toVisibleUser,
+  broadcastPresence,
+} = require("../utils/visibility");
+const { emitToUser } = require("../utils/eventBus");
+const {
+  BLOCKED_MESSAGE,
+  isBlockedBetween,
+  getBlockedUserIds,
+} = require("../utils/blocking");
 const router = express.Router();
 
+/**
+ * Plain copy of a populated friend request as the viewer may see it
+ */
+const toVisibleFriendRequest = (request, viewerId) => {
+  const visible = request.toObject();
+  visible.from = toVisibleUser(visible.from, viewerId);
+  visible.to = toVisibleUser(visible.to, viewerId);
+  return visible;
+};
+
+/**
+ * Send a friend request change to both users as a "friend-request" event
+ * action: "received" | "accepted" | "declined" | "cancelled"
+ */
+const emitFriendRequest = async (request, action) => {
+  await request.populate([
+    { path: "from", select: PUBLIC_USER_FIELDS },
+    { path: "to", select: PUBLIC_USER_FIELDS },
+  ]);
+
+  [request.from, request.to].forEach((user) => {
+    emitToUser(user._id, "friend-request", {
+      action,
+      request: toVisibleFriendRequest(request, user._id),
+    });
+  });
+};
+
+/**
+ * Accept a pending request: both users become friends
+ */
+const acceptFriendRequest = async (request) => {
+  await request.respond("accepted");
+
+  await Promise.all([
+    User.updateOne(
+      { _id: request.from },
+      { $addToSet: { friends: request.to } }
+    ),
+    User.updateOne(
+      { _id: request.to },
+      { $addToSet: { friends: request.from } }
+    ),
+  ]);
+
+  // Friends-only presence becomes visible to the new friend
+  await Promise.all([
+    broadcastPresence(request.from),
+    broadcastPresence(request.to),
+  ]);
+
+  await emitFriendRequest(request, "accepted");
+};
+
 /**
  * @route   GET /api/users/search
  * @desc    Search for users
@@ -20,9 +86,11 @@ router.get("/search", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Get current user to exclude from results
+    // Exclude the current user and anyone blocked in either direction
     const currentUser = await User.findOne({ clerkId: userId });
-    const excludeIds = currentUser ? [currentUser._id] : [];
+    const excludeIds = currentUser
+      ? [currentUser._id, ...(await getBlockedUserIds(currentUser._id))]
+      : [];
 
     // Search for users
     const users = await User.search(searchTerm.trim(), excludeIds).limit(
@@ -30,7 +98,9 @@ router.get("/search", protect, getUserFromClerk, async (req, res) => {
     );
 
     // Return public profiles only
-    const publicProfiles = users.map((user) => user.getPublicProfile());
+    const publicProfiles = users.map((user) =>
+      user.getPublicProfile(currentUser && currentUser._id)
+    );
 
     res.status(200).json({
       success: true,
@@ -48,6 +118,245 @@ router.get("/search", protect, getUserFromClerk, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/users/blocked
+ * @desc    Get users the current user has blocked
+ * @access  Private
+ */
+router.get("/blocked", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+
+    const user = await User.findOne({ clerkId: userId }).populate(
+      "blockedUsers",
+      "username firstName lastName avatar"
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: user.blockedUsers,
+        count: user.blockedUsers.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting blocked users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving blocked users",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/friends
+ * @desc    Get current user's friends list
+ * @access  Private
+ */
+router.get("/friends", protect, getUserFromClerk, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+
+    const user = await User.findOne({ clerkId: userId }).populate(
+      "friends",
+      PUBLIC_USER_FIELDS
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        friends: user.friends.map((friend) =>
+          friend.getPublicProfile(user._id)
+        ),
+        count: user.friends.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting friends:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving friends",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/friend-requests/incoming
+ * @desc    Get pending friend requests sent to the current user
+ * @access  Private
+ */
+router.get(
+  "/friend-requests/incoming",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const currentUser = await User.findOne({ clerkId: req.auth.userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const requests = await FriendRequest.find({
+        to: currentUser._id,
+        status: "pending",
+      })
+        .populate("from", PUBLIC_USER_FIELDS)
+        .populate("to", PUBLIC_USER_FIELDS)
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          requests: requests.map((request) =>
+            toVisibleFriendRequest(request, currentUser._id)
+          ),
+          count: requests.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error getting incoming friend requests:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error retrieving friend requests",
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/users/friend-requests/outgoing
+ * @desc    Get pending friend requests sent by the current user
+ * @access  Private
+ */
+router.get(
+  "/friend-requests/outgoing",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const currentUser = await User.findOne({ clerkId: req.auth.userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const requests = await FriendRequest.find({
+        from: currentUser._id,
+        status: "pending",
+      })
+        .populate("from", PUBLIC_USER_FIELDS)
+        .populate("to", PUBLIC_USER_FIELDS)
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          requests: requests.map((request) =>
+            toVisibleFriendRequest(request, currentUser._id)
+          ),
+          count: requests.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error getting outgoing friend requests:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error retrieving friend requests",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/users/friend-requests/:requestId/:action
+ * @desc    Accept or decline an incoming request, or cancel an outgoing one
+ * @access  Private
+ */
+router.post(
+  "/friend-requests/:requestId/:action(accept|decline|cancel)",
+  protect,
+  getUserFromClerk,
+  async (req, res) => {
+    try {
+      const { requestId, action } = req.params;
+
+      const currentUser = await User.findOne({ clerkId: req.auth.userId });
+      if (!currentUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const request = await FriendRequest.findById(requestId);
+
+      // Only the recipient answers a request, only the sender cancels it
+      const party = action === "cancel" ? request?.from : request?.to;
+      if (!request || !party.equals(currentUser._id)) {
+        return res.status(404).json({
+          success: false,
+          message: "Friend request not found",
+        });
+      }
+
+      if (request.status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Friend request already ${request.status}`,
+        });
+      }
+
+      if (action === "accept") {
+        if (await isBlockedBetween(request.from, request.to)) {
+          return res.status(403).json({
+            success: false,
+            message: BLOCKED_MESSAGE,
+          });
+        }
+
+        await acceptFriendRequest(request);
+      } else {
+        const status = action === "decline" ? "declined" : "cancelled";
+        await request.respond(status);
+        await emitFriendRequest(request, status);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Friend request ${request.status}`,
+        data: {
+          request: toVisibleFriendRequest(request, currentUser._id),
+        },
+      });
+    } catch (error) {
+      console.error("Error updating friend request:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating friend request",
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/users/:userId
  * @desc    Get user profile by ID
@@ -57,7 +366,10 @@ router.get("/:userId", protect, getUserFromClerk, async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select("-blockedUsers -clerkId");
+    // Presence is filtered for the requesting user
+    const currentUser = await User.findOne({ clerkId: req.auth.userId });
+
+    const user = await User.findById(userId).select("-clerkId");
 
     if (!user) {
       return res.status(404).json({
@@ -69,7 +381,7 @@ router.get("/:userId", protect, getUserFromClerk, async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        user: user.getPublicProfile(),
+        user: user.getPublicProfile(currentUser && currentUser._id),
       },
     });
   } catch (error) {
@@ -83,7 +395,7 @@ router.get("/:userId", protect, getUserFromClerk, async (req, res) => {
 
 /**
  * @route   POST /api/users/:userId/friend
- * @desc    Add user as friend
+ * @desc    Send a friend request (accepts theirs if they already sent one)
  * @access  Private
  */
 router.post("/:userId/friend", protect, getUserFromClerk, async (req, res) => {
@@ -109,6 +421,21 @@ router.post("/:userId/friend", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
+    // Blocked users cannot become friends
+    if (await isBlockedBetween(currentUser._id, targetUser._id)) {
+      return res.status(403).json({
+        success: false,
+        message: BLOCKED_MESSAGE,
+      });
+    }
+
+    if (currentUser._id.equals(targetUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot send a friend request to yourself",
+      });
+    }
+
     // Check if already friends
     if (currentUser.friends.includes(targetUserId)) {
       return res.status(400).json({
@@ -117,21 +444,58 @@ router.post("/:userId/friend", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Add to friends list (both ways)
-    currentUser.friends.push(targetUserId);
-    targetUser.friends.push(currentUser._id);
+    const pending = await FriendRequest.findPendingBetween(
+      currentUser._id,
+      targetUser._id
+    );
+
+    if (pending && pending.from.equals(currentUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Friend request already sent",
+      });
+    }
+
+    // The other user already asked: sending one back accepts theirs
+    if (pending) {
+      await acceptFriendRequest(pending);
 
-    await Promise.all([currentUser.save(), targetUser.save()]);
+      return res.status(200).json({
+        success: true,
+        message: "Friend request accepted",
+        data: {
+          request: toVisibleFriendRequest(pending, currentUser._id),
+        },
+      });
+    }
 
-    res.status(200).json({
+    const request = await FriendRequest.create({
+      from: currentUser._id,
+      to: targetUser._id,
+    });
+
+    await emitFriendRequest(request, "received");
+
+    res.status(201).json({
       success: true,
-      message: "Friend added successfully",
+      message: "Friend request sent",
+      data: {
+        request: toVisibleFriendRequest(request, currentUser._id),
+      },
     });
   } catch (error) {
-    console.error("Error adding friend:", error);
+    // Unique index: a concurrent request between the same users won
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Friend request already sent",
+      });
+    }
+
+    console.error("Error sending friend request:", error);
     res.status(500).json({
       success: false,
-      message: "Error adding friend",
+      message: "Error sending friend request",
     });
   }
 });
@@ -192,43 +556,6 @@ router.delete(
   }
 );
 
-/**
- * @route   GET /api/users/friends
- * @desc    Get current user's friends list
- * @access  Private
- */
-router.get("/friends", protect, getUserFromClerk, async (req, res) => {
-  try {
-    const { userId } = req.auth;
-
-    const user = await User.findOne({ clerkId: userId }).populate(
-      "friends",
-      "username firstName lastName avatar isOnline lastSeen"
-    );
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      data: {
-        friends: user.friends.map((friend) => friend.getPublicProfile()),
-        count: user.friends.length,
-      },
-    });
-  } catch (error) {
-    console.error("Error getting friends:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error retrieving friends",
-    });
-  }
-});
-
 /**
  * @route   POST /api/users/:userId/block
  * @desc    Block a user
@@ -264,13 +591,27 @@ router.post("/:userId/block", protect, getUserFromClerk, async (req, res) => {
       });
     }
 
-    // Add to blocked list and remove from friends if present
+    // Add to blocked list and end the friendship (both ways) if present
     currentUser.blockedUsers.push(targetUserId);
     currentUser.friends = currentUser.friends.filter(
       (id) => id.toString() !== targetUserId
     );
+    targetUser.friends = targetUser.friends.filter(
+      (id) => id.toString() !== currentUser._id.toString()
+    );
 
-    await currentUser.save();
+    await Promise.all([
+      currentUser.save(),
+      targetUser.save(),
+      FriendRequest.cancelPendingBetween(currentUser._id, targetUser._id),
+    ]);
+
+    // The blocked user stops seeing our presence right away
+    emitToUser(targetUser._id, "friend-status-change", {
+      userId: currentUser._id,
+      isOnline: false,
+      lastSeen: null,
+    });
 
     res.status(200).json({
       success: true,
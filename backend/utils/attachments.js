@@ -0,0 +1,94 @@
+const Attachment = require("../models/Attachment");
+const uploadConfig = require("../config/upload");
+
+// Most peaks kept for a voice message's waveform
+const MAX_WAVEFORM_SAMPLES = 64;
+
+/**
+ * Resolve a client-supplied Message.content.file against stored attachments
+ * Returns trusted file metadata, or null if the file does not belong to the chat
+ */
+const resolveFileContent = async (file, chatId) => {
+  if (!file || typeof file.url !== "string") return null;
+
+  const match = file.url.match(/^\/api\/upload\/([a-f0-9]{24})$/i);
+  if (!match) return null;
+
+  const attachment = await Attachment.findOne({
+    _id: match[1],
+    chat: chatId,
+  });
+
+  return attachment ? attachment.toFileContent() : null;
+};
+
+/**
+ * Make a message's file available in another chat (used when forwarding)
+ * The copy shares the stored file; returns its Message.content.file
+ * payload, or null if the file does not belong to the source chat
+ */
+const copyFileContent = async (file, fromChatId, toChatId, uploaderId) => {
+  if (!file || typeof file.url !== "string") return null;
+
+  const match = file.url.match(/^\/api\/upload\/([a-f0-9]{24})$/i);
+  if (!match) return null;
+
+  const attachment = await Attachment.findOne({
+    _id: match[1],
+    chat: fromChatId,
+  });
+  if (!attachment) return null;
+
+  const copy = await Attachment.create({
+    chat: toChatId,
+    uploader: uploaderId,
+    driver: attachment.driver,
+    storageKey: attachment.storageKey,
+    name: attachment.name,
+    size: attachment.size,
+    mimeType: attachment.mimeType,
+  });
+
+  return copy.toFileContent();
+};
+
+/**
+ * Check the client-measured details of an audio attachment
+ * Returns { duration, waveform } (either may be undefined), or null if
+ * they are invalid
+ */
+const resolveAudioDetails = ({ duration, waveform }) => {
+  const details = {};
+
+  if (duration !== undefined && duration !== null) {
+    if (
+      !Number.isFinite(duration) ||
+      duration <= 0 ||
+      duration > uploadConfig.maxAudioDuration
+    ) {
+      return null;
+    }
+    details.duration = Math.round(duration * 10) / 10;
+  }
+
+  if (waveform !== undefined && waveform !== null) {
+    if (
+      !Array.isArray(waveform) ||
+      waveform.length > MAX_WAVEFORM_SAMPLES ||
+      waveform.some((peak) => !Number.isFinite(peak))
+    ) {
+      return null;
+    }
+    details.waveform = waveform.map(
+      (peak) => Math.round(Math.min(Math.max(peak, 0), 1) * 100) / 100
+    );
+  }
+
+  return details;
+};
+
+module.exports = {
+  resolveFileContent,
+  resolveAudioDetails,
+  copyFileContent,
+};
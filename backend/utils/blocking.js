@@ -0,0 +1,72 @@
+const User = require("../models/User");
+
+// Response message for anything refused because of a block
+const BLOCKED_MESSAGE = "You cannot interact with this user";
+
+/**
+ * Check whether either user has blocked the other
+ */
+const isBlockedBetween = async (userId, otherUserId) => {
+  const count = await User.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  });
+
+  return count > 0;
+};
+
+/**
+ * Check whether any of the given users blocked, or is blocked by, the user
+ */
+const isBlockedWithAny = async (userId, otherUserIds) => {
+  if (otherUserIds.length === 0) return false;
+
+  const count = await User.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: { $in: otherUserIds } },
+      { _id: { $in: otherUserIds }, blockedUsers: userId },
+    ],
+  });
+
+  return count > 0;
+};
+
+/**
+ * IDs of users the user has blocked or has been blocked by
+ */
+const getBlockedUserIds = async (userId) => {
+  const [user, blockers] = await Promise.all([
+    User.findById(userId).select("blockedUsers"),
+    User.find({ blockedUsers: userId }).select("_id"),
+  ]);
+
+  return [
+    ...(user ? user.blockedUsers : []),
+    ...blockers.map((blocker) => blocker._id),
+  ];
+};
+
+/**
+ * Check whether a direct chat is blocked for the user
+ * Group chats are never blocked as a whole
+ */
+const isChatBlocked = async (chat, userId) => {
+  if (chat.type !== "direct") return false;
+
+  const other = chat.participants.find(
+    (p) => (p.user._id || p.user).toString() !== userId.toString()
+  );
+  if (!other) return false;
+
+  return isBlockedBetween(userId, other.user._id || other.user);
+};
+
+module.exports = {
+  BLOCKED_MESSAGE,
+  isBlockedBetween,
+  isBlockedWithAny,
+  getBlockedUserIds,
+  isChatBlocked,
+};
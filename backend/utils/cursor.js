@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+/**
+ * Opaque pagination cursors keyed on (createdAt, _id)
+ */
+
+/**
+ * Encode a document position as a URL-safe cursor
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(`${new Date(doc.createdAt).getTime()}_${doc._id}`).toString(
+    "base64url"
+  );
+
+/**
+ * Decode a cursor back to { createdAt, _id }, or null if it is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || cursor.length === 0) return null;
+
+  const [time, id] = Buffer.from(cursor, "base64url").toString().split("_");
+  const createdAt = new Date(Number(time));
+
+  if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,43 @@
+const { userRoom } = require("./rooms");
+
+/**
+ * Shared event bus
+ * Lets REST routes and background jobs publish Socket.IO events
+ * without holding a reference to the server instance
+ */
+let io = null;
+
+/**
+ * Register the Socket.IO server (called once at startup)
+ */
+const setIO = (server) => {
+  io = server;
+};
+
+/**
+ * Get the registered Socket.IO server (null before startup)
+ */
+const getIO = () => io;
+
+/**
+ * Emit an event to everyone in a chat room
+ */
+const emitToChat = (chatId, event, payload) => {
+  if (!io) return;
+  io.to(chatId.toString()).emit(event, payload);
+};
+
+/**
+ * Emit an event to every connected socket of a user
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  emitToChat,
+  emitToUser,
+};
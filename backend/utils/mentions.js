@@ -0,0 +1,53 @@
+const User = require("../models/User");
+const { emitToUser } = require("./eventBus");
+
+// Usernames may contain letters, digits, underscores, dots and dashes
+const MENTION_REGEX = /(^|[^\w@])@([\w][\w.-]*)/g;
+
+/**
+ * Extract unique, lowercased usernames mentioned in a text
+ */
+const extractMentions = (text = "") => {
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    // Trailing punctuation ("@alice.") is not part of the username
+    usernames.add(match[2].replace(/[.-]+$/, "").toLowerCase());
+  }
+  return [...usernames];
+};
+
+/**
+ * Emit a "mentioned" event to users newly mentioned in a saved message.
+ * Honors each user's preferences.notifications.mentions setting.
+ */
+const notifyMentionedUsers = async (message) => {
+  try {
+    const newMentions = message.$locals.newMentions || [];
+    if (newMentions.length === 0) return;
+
+    const senderId = (message.sender._id || message.sender).toString();
+    const recipients = await User.find({
+      _id: { $in: newMentions, $ne: senderId },
+      "preferences.notifications.mentions": { $ne: false },
+      // Users who blocked the sender are not notified
+      blockedUsers: { $ne: senderId },
+    }).select("_id");
+
+    recipients.forEach((recipient) => {
+      emitToUser(recipient._id, "mentioned", {
+        chatId: message.chat.toString(),
+        messageId: message._id,
+        message,
+      });
+    });
+
+    message.$locals.newMentions = [];
+  } catch (error) {
+    console.error("Error notifying mentioned users:", error);
+  }
+};
+
+module.exports = {
+  extractMentions,
+  notifyMentionedUsers,
+};
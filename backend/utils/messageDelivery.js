@@ -0,0 +1,203 @@
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const {
+  resolveFileContent,
+  resolveAudioDetails,
+} = require("./attachments");
+const { validatePoll } = require("./polls");
+const uploadConfig = require("../config/upload");
+const { notifyMentionedUsers } = require("./mentions");
+const { emitToChat } = require("./eventBus");
+const { BLOCKED_MESSAGE, isChatBlocked } = require("./blocking");
+
+/**
+ * Message delivery
+ * The one path user messages take into a chat, shared by
+ * POST /api/messages/:chatId, the send-message socket event and the
+ * scheduler (utils/scheduler.js).
+ */
+
+/**
+ * Check a message a user wants to send to a chat
+ * Resolves to { error: { status, message } } when it cannot be sent, or
+ * to the trusted fields to store:
+ * { text, type, format, file, poll, replyTo, root }
+ */
+const prepareMessage = async (
+  chat,
+  senderId,
+  { content, replyTo, threadRoot }
+) => {
+  const isParticipant = chat.participants.some(
+    (p) => p.user.toString() === senderId.toString()
+  );
+  if (!isParticipant) {
+    return { error: { status: 403, message: "Access denied" } };
+  }
+
+  // Direct chats are closed once either user blocks the other
+  if (await isChatBlocked(chat, senderId)) {
+    return { error: { status: 403, message: BLOCKED_MESSAGE } };
+  }
+
+  // Polls carry their question as the message text
+  let poll;
+  if (content && content.type === "poll") {
+    const result = validatePoll(content.poll);
+    if (result.error) {
+      return { error: { status: 400, message: result.error } };
+    }
+    poll = result.poll;
+    content = { ...content, text: poll.question, file: undefined };
+  }
+
+  // Validate content (attachments may be sent without text)
+  const text = content && content.text ? content.text.trim() : "";
+  if (!content || (text.length === 0 && !content.file)) {
+    return { error: { status: 400, message: "Message content is required" } };
+  }
+
+  // System messages are only written by the server
+  if (content.type === "system") {
+    return { error: { status: 400, message: "Invalid message type" } };
+  }
+
+  const format = content.format || "plain";
+  if (!Message.schema.path("content.format").enumValues.includes(format)) {
+    return { error: { status: 400, message: "Invalid message format" } };
+  }
+
+  // Attachments must have been uploaded to this chat
+  let file;
+  if (content.file) {
+    file = await resolveFileContent(content.file, chat._id);
+    if (!file) {
+      return { error: { status: 400, message: "Invalid file attachment" } };
+    }
+  }
+
+  // Voice messages keep the duration and waveform measured while recording
+  if (content.type === "audio") {
+    if (!file || !uploadConfig.allowedAudioTypes.includes(file.mimeType)) {
+      return {
+        error: { status: 400, message: "Audio messages need an audio file" },
+      };
+    }
+
+    const details = resolveAudioDetails(content.file);
+    if (!details) {
+      return { error: { status: 400, message: "Invalid audio details" } };
+    }
+    Object.assign(file, details);
+  }
+
+  // Thread replies attach to the thread's root message
+  let root;
+  if (threadRoot) {
+    root = await Message.findThreadRoot(threadRoot, chat._id);
+    if (!root) {
+      return { error: { status: 404, message: "Thread not found" } };
+    }
+  }
+
+  return {
+    text,
+    type: content.type || "text",
+    format,
+    file,
+    poll,
+    replyTo: replyTo || undefined,
+    root,
+  };
+};
+
+/**
+ * Update the chat for a stored message, broadcast it and notify mentioned
+ * users. With recovered, the message may already have been published (the
+ * scheduler finishing a delivery that stopped part way), so the chat and
+ * thread are brought up to date without counting the message twice.
+ */
+const publishMessage = async (chat, message, { recovered = false } = {}) => {
+  const root = message.threadRoot;
+
+  // Thread replies stay out of the main timeline, so they only bump activity
+  if (!root) {
+    if (recovered) {
+      // Newer messages may have arrived since
+      await Chat.refreshLastMessage(chat._id);
+    } else {
+      chat.lastMessage = message._id;
+    }
+  }
+  chat.lastActivity = new Date();
+  await chat.save();
+
+  // Populate message for response
+  await message.populate("sender", "username firstName lastName avatar");
+  if (message.forwardedFrom?.sender) {
+    await message.populate(
+      "forwardedFrom.sender",
+      "username firstName lastName avatar"
+    );
+  }
+  if (message.replyTo) {
+    await message.populate("replyTo", "content.text sender");
+  }
+
+  // Broadcast to chat participants and notify mentioned users
+  const chatId = chat._id.toString();
+  if (root) {
+    const thread = await Message.updateThreadSummary(root, {
+      lastReplyAt: message.createdAt,
+      recount: recovered,
+    });
+    emitToChat(chatId, "thread-reply", {
+      message,
+      chatId,
+      rootId: root,
+      thread,
+    });
+  } else {
+    emitToChat(chatId, "new-message", { message, chatId });
+  }
+  await notifyMentionedUsers(message);
+
+  return message;
+};
+
+/**
+ * Send a message to a chat: store it, update the chat, broadcast it and
+ * notify mentioned users. Pass messageId to choose the new message's ID
+ * and forwardedFrom to mark the message as forwarded.
+ * Resolves to { message }, or { error } as for prepareMessage.
+ */
+const deliverMessage = async (
+  chat,
+  senderId,
+  input,
+  { messageId, forwardedFrom } = {}
+) => {
+  const prepared = await prepareMessage(chat, senderId, input);
+  if (prepared.error) return prepared;
+
+  const { text, type, format, file, poll, replyTo, root } = prepared;
+
+  // Create message
+  const message = await Message.create({
+    _id: messageId,
+    chat: chat._id,
+    sender: senderId,
+    content: { text, type, format, file, poll },
+    replyTo,
+    threadRoot: root ? root._id : undefined,
+    forwardedFrom,
+  });
+
+  return { message: await publishMessage(chat, message) };
+};
+
+module.exports = {
+  prepareMessage,
+  publishMessage,
+  deliverMessage,
+};
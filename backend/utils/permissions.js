@@ -0,0 +1,113 @@
+/**
+ * Group roles and permissions
+ * Roles form a hierarchy (lowest first); a permission is granted to its
+ * minimum role and everyone above it. This matrix is the single place
+ * that decides what each role may do in a chat.
+ */
+const ROLES = ["member", "moderator", "admin", "owner"];
+
+// Permission -> minimum role
+const PERMISSIONS = {
+  rename: "admin",
+  invite: "member",
+  remove: "moderator",
+  pin: "moderator",
+  deleteOthersMessages: "moderator",
+  changeSettings: "admin",
+  changeRoles: "admin",
+  manageInvites: "admin",
+};
+
+// Stricter minimum roles while a chat has settings.allowInvites turned off
+const INVITES_DISABLED_PERMISSIONS = {
+  invite: "admin",
+};
+
+// Roles that keep a group manageable; one of them must always remain
+const ADMIN_ROLES = ["admin", "owner"];
+
+const rankOf = (role) => ROLES.indexOf(role);
+
+/**
+ * Check whether a role is at least as high as another
+ */
+const isRoleAtLeast = (role, minimumRole) =>
+  rankOf(role) >= rankOf(minimumRole);
+
+/**
+ * Find a user's participant entry (user may be populated or an ID)
+ */
+const getParticipant = (chat, userId) =>
+  chat.participants.find(
+    (p) => (p.user._id || p.user).toString() === userId.toString()
+  );
+
+/**
+ * A user's role in a chat, or null when they are not a participant
+ */
+const getRole = (chat, userId) => {
+  const participant = getParticipant(chat, userId);
+  return participant ? participant.role : null;
+};
+
+/**
+ * Check whether a user may perform an action in a chat
+ */
+const hasPermission = (chat, userId, permission) => {
+  const role = getRole(chat, userId);
+  if (!role) return false;
+
+  const invitesDisabled = chat.settings && chat.settings.allowInvites === false;
+  const minimumRole =
+    (invitesDisabled && INVITES_DISABLED_PERMISSIONS[permission]) ||
+    PERMISSIONS[permission];
+
+  return Boolean(minimumRole) && isRoleAtLeast(role, minimumRole);
+};
+
+/**
+ * IDs of participants who may perform an action in a chat
+ */
+const getUsersWithPermission = (chat, permission) =>
+  chat.participants
+    .map((p) => p.user._id || p.user)
+    .filter((userId) => hasPermission(chat, userId, permission));
+
+/**
+ * Check whether the actor ranks strictly above the target, which is
+ * required to remove them or change their role
+ */
+const outranks = (chat, actorId, targetId) => {
+  const actorRole = getRole(chat, actorId);
+  const targetRole = getRole(chat, targetId);
+  if (!actorRole || !targetRole) return false;
+
+  return rankOf(actorRole) > rankOf(targetRole);
+};
+
+/**
+ * Check whether a participant is the only admin (or owner) left while
+ * other members remain, so leaving would orphan the group
+ */
+const isLastAdmin = (chat, userId) => {
+  if (!ADMIN_ROLES.includes(getRole(chat, userId))) return false;
+
+  const others = chat.participants.filter(
+    (p) => (p.user._id || p.user).toString() !== userId.toString()
+  );
+
+  return (
+    others.length > 0 && !others.some((p) => ADMIN_ROLES.includes(p.role))
+  );
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isRoleAtLeast,
+  getRole,
+  hasPermission,
+  getUsersWithPermission,
+  outranks,
+  isLastAdmin,
+};
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const PollVote = require("../models/PollVote");
+
+/**
+ * Polls
+ * A poll is a message with content.type "poll" and its details in
+ * content.poll. Each user's vote is one PollVote document, replaced in a
+ * single atomic step; the tallies on the message are then moved by $inc
+ * from the vote it replaced, so concurrent votes never overwrite them.
+ */
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+/**
+ * Check the poll a user wants to create
+ * Takes { question, options: [String], allowMultiple, anonymous, closesAt }
+ * and resolves to { error } or to the poll to store: { poll }
+ */
+const validatePoll = (poll) => {
+  if (!poll || typeof poll !== "object") {
+    return { error: "Poll details are required" };
+  }
+
+  const question =
+    typeof poll.question === "string" ? poll.question.trim() : "";
+  if (!question) {
+    return { error: "Poll question is required" };
+  }
+  if (question.length > 300) {
+    return { error: "Poll question cannot exceed 300 characters" };
+  }
+
+  const options = (Array.isArray(poll.options) ? poll.options : [])
+    .map((option) => (typeof option === "string" ? option.trim() : ""))
+    .filter(Boolean);
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return {
+      error: `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`,
+    };
+  }
+  if (options.some((option) => option.length > 100)) {
+    return { error: "Poll options cannot exceed 100 characters" };
+  }
+  if (
+    new Set(options.map((option) => option.toLowerCase())).size !==
+    options.length
+  ) {
+    return { error: "Poll options must be different" };
+  }
+
+  let closesAt;
+  if (poll.closesAt) {
+    closesAt = new Date(poll.closesAt);
+    if (isNaN(closesAt.getTime())) {
+      return { error: "Invalid poll close time" };
+    }
+    if (closesAt <= new Date()) {
+      return { error: "Poll close time must be in the future" };
+    }
+  }
+
+  return {
+    poll: {
+      question,
+      options: options.map((text) => ({ text })),
+      allowMultiple: Boolean(poll.allowMultiple),
+      anonymous: Boolean(poll.anonymous),
+      closesAt,
+    },
+  };
+};
+
+/**
+ * Check whether a poll has stopped taking votes
+ */
+const isPollClosed = (poll) =>
+  Boolean(poll.closesAt) && new Date(poll.closesAt) <= new Date();
+
+/**
+ * Option IDs the user voted for
+ */
+const getUserVotes = async (messageId, userId) => {
+  const vote = await PollVote.findOne({ message: messageId, user: userId });
+  return vote ? vote.options : [];
+};
+
+/**
+ * Swap in a user's vote (an empty choice removes it)
+ * Resolves to the vote it replaced, if any
+ */
+const replaceVote = async (messageId, userId, options) => {
+  const filter = { message: messageId, user: userId };
+  if (options.length === 0) {
+    return PollVote.findOneAndDelete(filter);
+  }
+
+  const upsert = () =>
+    PollVote.findOneAndUpdate(
+      filter,
+      { $set: { options } },
+      { upsert: true, new: false }
+    );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // A concurrent request created the vote first; replace that one
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+/**
+ * Move a poll message's tallies from one choice to another
+ */
+const updateTallies = async (message, userId, before, after) => {
+  const { poll } = message.content;
+  const added = after.filter((id) => !before.includes(id));
+  const removed = before.filter((id) => !after.includes(id));
+  const voterChange = (after.length > 0) - (before.length > 0);
+  const toIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(id));
+
+  const update = {};
+  const arrayFilters = [];
+  const inc = {};
+
+  if (added.length > 0) {
+    inc["content.poll.options.$[added].voteCount"] = 1;
+    if (!poll.anonymous) {
+      update.$addToSet = { "content.poll.options.$[added].voters": userId };
+    }
+    arrayFilters.push({ "added._id": { $in: toIds(added) } });
+  }
+  if (removed.length > 0) {
+    inc["content.poll.options.$[removed].voteCount"] = -1;
+    if (!poll.anonymous) {
+      update.$pull = { "content.poll.options.$[removed].voters": userId };
+    }
+    arrayFilters.push({ "removed._id": { $in: toIds(removed) } });
+  }
+  if (voterChange !== 0) {
+    inc["content.poll.voterCount"] = voterChange;
+  }
+
+  if (Object.keys(inc).length === 0) return;
+  update.$inc = inc;
+
+  await Message.updateOne({ _id: message._id }, update, {
+    ...(arrayFilters.length > 0 && { arrayFilters }),
+  });
+};
+
+/**
+ * Replace a user's votes on a poll (no options retracts them)
+ * Resolves to { error } or to { poll, myVotes }
+ */
+const setVotes = async (message, userId, optionIds) => {
+  const { poll } = message.content;
+  if (isPollClosed(poll)) {
+    return { error: "This poll is closed" };
+  }
+
+  const chosen = [...new Set(optionIds.map(String))];
+  const validIds = poll.options.map((option) => option._id.toString());
+  if (chosen.some((id) => !validIds.includes(id))) {
+    return { error: "Invalid poll option" };
+  }
+  if (!poll.allowMultiple && chosen.length > 1) {
+    return { error: "This poll allows only one choice" };
+  }
+
+  // Keep the poll's option order
+  const options = validIds.filter((id) => chosen.includes(id));
+  const previous = await replaceVote(message._id, userId, options);
+  const before = previous ? previous.options.map(String) : [];
+
+  await updateTallies(message, userId, before, options);
+
+  const updated = await Message.findById(message._id).select("content.poll");
+
+  return {
+    poll: updated ? updated.content.poll : poll,
+    myVotes: options,
+  };
+};
+
+module.exports = {
+  validatePoll,
+  isPollClosed,
+  getUserVotes,
+  setVotes,
+};
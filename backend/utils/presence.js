@@ -0,0 +1,83 @@
+/**
+ * Presence tracker
+ * Counts open sockets per user so a user stays online while any of their
+ * devices or tabs is connected. When the last socket leaves, the user is
+ * only reported offline after a grace period, so a quick reconnect (page
+ * reload, flaky network) does not flap their status.
+ */
+
+// Grace period before a user with no sockets is reported offline
+const GRACE_PERIOD_MS =
+  parseInt(process.env.PRESENCE_GRACE_PERIOD_MS, 10) || 10000;
+
+const connections = new Map(); // userId -> Set of socket IDs
+const offlineTimers = new Map(); // userId -> pending offline timeout
+
+/**
+ * Register a socket for a user
+ * Returns true when the user just came online (no other sockets and no
+ * pending offline timer), false for additional devices or reconnects
+ */
+const addConnection = (userId, socketId) => {
+  const key = userId.toString();
+
+  const pending = offlineTimers.get(key);
+  if (pending) {
+    clearTimeout(pending);
+    offlineTimers.delete(key);
+  }
+
+  const sockets = connections.get(key) || new Set();
+  const cameOnline = sockets.size === 0 && !pending;
+  sockets.add(socketId);
+  connections.set(key, sockets);
+
+  return cameOnline;
+};
+
+/**
+ * Unregister a socket for a user
+ * When it was the user's last socket, onOffline runs after the grace
+ * period unless the user reconnects first
+ */
+const removeConnection = (userId, socketId, onOffline) => {
+  const key = userId.toString();
+  const sockets = connections.get(key);
+  if (!sockets) return;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return;
+
+  connections.delete(key);
+
+  const timer = setTimeout(async () => {
+    offlineTimers.delete(key);
+    if (connections.has(key)) return;
+
+    try {
+      await onOffline();
+    } catch (error) {
+      console.error("Presence offline handler error:", error);
+    }
+  }, GRACE_PERIOD_MS);
+
+  offlineTimers.set(key, timer);
+};
+
+/**
+ * Check whether a user has at least one open socket
+ */
+const isUserConnected = (userId) => connections.has(userId.toString());
+
+/**
+ * Number of open sockets for a user
+ */
+const getConnectionCount = (userId) =>
+  connections.get(userId.toString())?.size || 0;
+
+module.exports = {
+  addConnection,
+  removeConnection,
+  isUserConnected,
+  getConnectionCount,
+};
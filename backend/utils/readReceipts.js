@@ -0,0 +1,40 @@
+const Message = require("../models/Message");
+const { emitToChat, emitToUser } = require("./eventBus");
+
+/**
+ * Mark a chat as read by a user up to (and including) a message
+ * and broadcast one batched "messages-read" event covering every message
+ * up to it, plus the reader's new unread counters ("unread-updated").
+ * Does nothing when the user's read position is already past it.
+ */
+const markChatRead = async (chat, userId, message) => {
+  if (!message) return false;
+
+  const moved = await chat.markReadUpTo(userId, message);
+  if (moved) {
+    emitToChat(chat._id, "messages-read", {
+      chatId: chat._id.toString(),
+      userId: userId.toString(),
+      upToMessageId: message._id,
+      lastRead: message.createdAt,
+    });
+
+    // Refresh the reader's unread counters on all of their devices
+    const updatedChat = await chat.constructor
+      .findById(chat._id)
+      .select("participants");
+    const counts = await Message.getUnreadCounts(userId, [updatedChat]);
+    const unread = counts.get(chat._id.toString());
+    emitToUser(userId, "unread-updated", {
+      chatId: chat._id.toString(),
+      unreadCount: unread ? unread.unreadCount : 0,
+      unreadMentions: unread ? unread.unreadMentions : 0,
+    });
+  }
+
+  return moved;
+};
+
+module.exports = {
+  markChatRead,
+};
@@ -0,0 +1,210 @@
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const Attachment = require("../models/Attachment");
+const retentionConfig = require("../config/retention");
+const { getStorage } = require("./storage");
+const { emitToChat } = require("./eventBus");
+
+/**
+ * Disappearing messages
+ * Chats with a retention policy (Chat.settings.messageRetention) lose
+ * messages once they are older than the policy allows. A sweeper inside
+ * the backend process soft-deletes expired messages (so they vanish from
+ * every client straight away), then purges them along with attachments
+ * no other message uses. Purging picks up soft-deleted expired messages
+ * too, so a sweep interrupted by a restart finishes on the next one.
+ */
+
+// Messages handled per query
+const BATCH_SIZE = 200;
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * Check whether a value names a retention policy (null turns it off)
+ */
+const isValidRetention = (value) =>
+  value === null ||
+  Object.prototype.hasOwnProperty.call(retentionConfig.periods, value);
+
+/**
+ * Remove stored files that only the purged messages referenced
+ */
+const removeOrphanedAttachments = async (urls) => {
+  const ids = urls
+    .map((url) => url.match(/^\/api\/upload\/([a-f0-9]{24})$/i))
+    .filter(Boolean)
+    .map((match) => match[1]);
+  if (ids.length === 0) return;
+
+  const attachments = await Attachment.find({ _id: { $in: ids } });
+  for (const attachment of attachments) {
+    if (await Message.exists({ "content.file.url": attachment.url })) continue;
+
+    // Forwarded copies share the stored file
+    const shared = await Attachment.exists({
+      _id: { $ne: attachment._id },
+      storageKey: attachment.storageKey,
+    });
+    if (!shared) {
+      try {
+        await getStorage().remove(attachment.storageKey);
+      } catch (error) {
+        console.error(`Error removing attachment ${attachment._id}:`, error);
+      }
+    }
+    await attachment.deleteOne();
+  }
+};
+
+/**
+ * createdAt condition for a chat's expired messages: older than the cutoff
+ * but sent after the policy was turned on, so history from before it is
+ * kept (chats without a start date expire everything older)
+ */
+const getExpiredRange = (chat, cutoff) => {
+  const since = chat.settings.messageRetentionSince;
+  return since ? { $gte: since, $lt: cutoff } : { $lt: cutoff };
+};
+
+/**
+ * Soft-delete a chat's expired messages and tell its participants
+ * Resolves to the number of messages deleted
+ */
+const expireMessages = async (chat, cutoff) => {
+  let expired = 0;
+  let batch;
+
+  do {
+    batch = await Message.find({
+      chat: chat._id,
+      isDeleted: false,
+      createdAt: getExpiredRange(chat, cutoff),
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const message of batch) {
+      // Skip messages someone deleted since the batch was read
+      if (!(await message.softDelete())) continue;
+      expired++;
+
+      // Deleted replies no longer count towards their thread
+      let thread;
+      if (message.threadRoot) {
+        thread = await Message.updateThreadSummary(message.threadRoot, {
+          increment: -1,
+        });
+      }
+
+      emitToChat(chat._id, "message-deleted", {
+        messageId: message._id,
+        chatId: chat._id.toString(),
+        ...(message.threadRoot && { rootId: message.threadRoot, thread }),
+      });
+
+      if (await Chat.unpinMessage(chat._id, message._id)) {
+        emitToChat(chat._id, "message-unpinned", {
+          chatId: chat._id.toString(),
+          messageId: message._id,
+        });
+      }
+    }
+
+  } while (batch.length === BATCH_SIZE);
+
+  return expired;
+};
+
+/**
+ * Permanently remove a chat's expired, soft-deleted messages
+ */
+const purgeMessages = async (chat, cutoff) => {
+  const query = {
+    chat: chat._id,
+    isDeleted: true,
+    createdAt: getExpiredRange(chat, cutoff),
+  };
+
+  const files = await Message.find({
+    ...query,
+    "content.file.url": { $exists: true },
+  }).distinct("content.file.url");
+
+  await Message.deleteMany(query);
+  await removeOrphanedAttachments(files);
+};
+
+/**
+ * Apply one chat's retention policy
+ */
+const sweepChat = async (chat) => {
+  const period = retentionConfig.periods[chat.settings.messageRetention];
+  if (!period) return;
+
+  const cutoff = new Date(Date.now() - period);
+  const expired = await expireMessages(chat, cutoff);
+  await purgeMessages(chat, cutoff);
+
+  // The chat list preview moves back to the newest remaining message
+  if (expired > 0) {
+    const lastMessage = await Chat.refreshLastMessage(chat._id);
+    emitToChat(chat._id, "last-message-updated", {
+      chatId: chat._id.toString(),
+      lastMessage,
+    });
+  }
+};
+
+/**
+ * Sweep every chat with a retention policy
+ */
+const sweep = async () => {
+  // Skip a tick while the previous sweep is still running
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    const chats = await Chat.find({
+      isActive: true,
+      "settings.messageRetention": { $ne: null },
+    }).select("settings");
+
+    for (const chat of chats) {
+      try {
+        await sweepChat(chat);
+      } catch (error) {
+        console.error(`Error sweeping chat ${chat._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error("Retention sweep error:", error);
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Start sweeping expired messages
+ */
+const startRetentionSweeper = () => {
+  if (timer) return;
+
+  timer = setInterval(sweep, retentionConfig.sweepInterval);
+  sweep();
+};
+
+/**
+ * Stop sweeping
+ */
+const stopRetentionSweeper = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  isValidRetention,
+  startRetentionSweeper,
+  stopRetentionSweeper,
+};
@@ -0,0 +1,10 @@
+/**
+ * Socket.IO room naming helpers
+ */
+
+// Personal room joined by every authenticated socket of a user
+const userRoom = (userId) => `user:${userId}`;
+
+module.exports = {
+  userRoom,
+};
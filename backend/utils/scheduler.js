@@ -0,0 +1,150 @@
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const { deliverMessage, publishMessage } = require("./messageDelivery");
+const { emitToUser } = require("./eventBus");
+
+/**
+ * Scheduled message delivery
+ * Runs inside the backend process and polls for due messages. State lives
+ * in MongoDB, so a restart picks up where it left off:
+ * - each due message is claimed atomically (pending -> sending), so it is
+ *   only ever delivered by one poll;
+ * - messages are created with an ID chosen at scheduling time, so a
+ *   delivery retried after a crash finds the message instead of sending
+ *   it again, and only finishes publishing it;
+ * - claims left behind by a crash are retried after STALE_CLAIM_MS.
+ */
+
+// How often to look for due messages (ms)
+const POLL_INTERVAL_MS =
+  parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 15000;
+
+// A claim older than this belongs to a process that died mid-delivery
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Deliveries that keep failing unexpectedly are given up after this many
+const MAX_ATTEMPTS = 3;
+
+let timer = null;
+let polling = false;
+
+/**
+ * Record the outcome of a delivery and tell the sender
+ */
+const finish = async (scheduled, updates) => {
+  const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduled._id, status: "sending" },
+    updates,
+    { new: true }
+  );
+
+  if (scheduledMessage) {
+    emitToUser(scheduledMessage.sender, "scheduled-message-updated", {
+      chatId: scheduledMessage.chat.toString(),
+      scheduledMessage,
+    });
+  }
+};
+
+/**
+ * Deliver one claimed message
+ */
+const deliverScheduled = async (scheduled) => {
+  // Already created by an earlier attempt that stopped before finishing:
+  // finish the chat update and broadcast, which are safe to repeat
+  const existing = await Message.findById(scheduled.message);
+  if (existing) {
+    const chat = await Chat.findById(existing.chat);
+    if (chat) {
+      await publishMessage(chat, existing, { recovered: true });
+    }
+    await finish(scheduled, { status: "sent", sentAt: new Date() });
+    return;
+  }
+
+  if (scheduled.attempts > MAX_ATTEMPTS) {
+    await finish(scheduled, {
+      status: "failed",
+      failureReason: "Delivery failed",
+    });
+    return;
+  }
+
+  const chat = await Chat.findOne({ _id: scheduled.chat, isActive: true });
+  if (!chat) {
+    await finish(scheduled, {
+      status: "failed",
+      failureReason: "Chat not found",
+    });
+    return;
+  }
+
+  // Same checks as sending now: the sender may have left or been blocked
+  const { error } = await deliverMessage(
+    chat,
+    scheduled.sender,
+    { content: scheduled.content, replyTo: scheduled.replyTo },
+    { messageId: scheduled.message }
+  );
+
+  if (error) {
+    await finish(scheduled, { status: "failed", failureReason: error.message });
+    return;
+  }
+
+  await finish(scheduled, { status: "sent", sentAt: new Date() });
+};
+
+/**
+ * Deliver every message that is due
+ */
+const poll = async () => {
+  // Skip a tick while the previous one is still delivering
+  if (polling) return;
+  polling = true;
+
+  try {
+    let scheduled;
+    while ((scheduled = await ScheduledMessage.claimNextDue(STALE_CLAIM_MS))) {
+      try {
+        await deliverScheduled(scheduled);
+      } catch (error) {
+        // Left "sending"; retried once the claim goes stale
+        console.error(
+          `Error delivering scheduled message ${scheduled._id}:`,
+          error
+        );
+      }
+    }
+  } catch (error) {
+    console.error("Scheduler error:", error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling (messages that fell due while the server was down are
+ * delivered on the first tick)
+ */
+const startScheduler = () => {
+  if (timer) return;
+
+  timer = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+  console.log(`⏰ Message scheduler running every ${POLL_INTERVAL_MS}ms`);
+};
+
+/**
+ * Stop polling
+ */
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+};
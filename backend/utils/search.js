@@ -0,0 +1,68 @@
+/**
+ * Helpers for message search results
+ */
+
+/**
+ * Escape a string for literal use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a search query into plain terms (quotes and negations removed)
+ */
+const getSearchTerms = (query) =>
+  query
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.toLowerCase());
+
+/**
+ * Build a snippet around the first match, split into highlighted segments
+ * e.g. [{ text: "...see the ", highlight: false }, { text: "deploy", highlight: true }]
+ */
+const buildSnippet = (text = "", terms = [], radius = 60) => {
+  if (!text) return [];
+  if (terms.length === 0) return [{ text, highlight: false }];
+
+  // Prefix match so stemmed hits ("deploy" -> "deployment") are marked too
+  const matcher = new RegExp(
+    `(${terms.map(escapeRegex).join("|")})[\\w]*`,
+    "gi"
+  );
+
+  const firstMatch = text.search(matcher);
+  const start = firstMatch > radius ? firstMatch - radius : 0;
+  const end = Math.min(
+    text.length,
+    (firstMatch < 0 ? 0 : firstMatch) + radius * 2
+  );
+
+  let excerpt = text.slice(start, end);
+  if (start > 0) excerpt = `…${excerpt}`;
+  if (end < text.length) excerpt = `${excerpt}…`;
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of excerpt.matchAll(matcher)) {
+    if (match.index > lastIndex) {
+      segments.push({
+        text: excerpt.slice(lastIndex, match.index),
+        highlight: false,
+      });
+    }
+    segments.push({ text: match[0], highlight: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < excerpt.length) {
+    segments.push({ text: excerpt.slice(lastIndex), highlight: false });
+  }
+
+  return segments;
+};
+
+module.exports = {
+  escapeRegex,
+  getSearchTerms,
+  buildSnippet,
+};
@@ -1,72 +1,66 @@
 const User = require("../models/User");
 const Chat = require("../models/Chat");
 const Message = require("../models/Message");
+const { deliverMessage } = require("./messageDelivery");
+const { userRoom } = require("./rooms");
+const { markChatRead } = require("./readReceipts");
+const { broadcastPresence } = require("./visibility");
+const { BLOCKED_MESSAGE, isBlockedBetween } = require("./blocking");
+const presence = require("./presence");
+const {
+  socketAuth,
+  requireFreshToken,
+  verifySessionToken,
+} = require("../middleware/socketAuth");
 
 /**
  * Socket.IO connection handler
  * Manages real-time chat functionality
  */
 const socketHandler = (io) => {
-  const connectedUsers = new Map(); // Track online users
+  // Every connection must present a verified Clerk session token
+  io.use(socketAuth);
 
-  io.on("connection", (socket) => {
+  io.on("connection", async (socket) => {
     console.log(`🔗 User connected: ${socket.id}`);
 
+    // Refuse events once the session token expires
+    socket.use(requireFreshToken(socket));
+
     /**
-     * User authentication and setup
+     * Session token refresh
+     * Clients send a fresh Clerk token before the current one expires
      */
     socket.on("authenticate", async (data) => {
       try {
-        const { userId } = data;
+        const { token } = data || {};
 
-        if (!userId) {
-          socket.emit("error", { message: "User ID is required" });
+        if (!token) {
+          socket.emit("error", { message: "Authentication token is required" });
           return;
         }
 
-        // Find user by Clerk ID
-        const user = await User.findOne({ clerkId: userId });
-        if (!user) {
-          socket.emit("error", { message: "User not found" });
+        const claims = await verifySessionToken(token);
+        if (claims.sub !== socket.clerkId) {
+          socket.emit("error", { message: "Token does not match this session" });
+          socket.disconnect(true);
           return;
         }
 
-        // Store user info in socket
-        socket.userId = user._id.toString();
-        socket.clerkId = userId;
-
-        // Add to connected users
-        connectedUsers.set(socket.userId, {
-          socketId: socket.id,
-          userId: socket.userId,
-          clerkId: userId,
-          user: user,
-        });
-
-        // Update user online status
-        await User.findByIdAndUpdate(user._id, {
-          isOnline: true,
-          lastSeen: new Date(),
-        });
-
-        // Join user to their chat rooms
-        const userChats = await Chat.findUserChats(user._id);
-        userChats.forEach((chat) => {
-          socket.join(chat._id.toString());
-        });
-
-        // Notify user's friends about online status
-        await notifyFriendsStatusChange(user._id, true, socket);
+        socket.tokenExpiresAt = claims.exp * 1000;
 
         socket.emit("authenticated", {
-          userId: user._id,
-          message: "Successfully authenticated",
+          userId: socket.userId,
+          expiresAt: socket.tokenExpiresAt,
+          refreshed: true,
+          message: "Session refreshed",
         });
-
-        console.log(`✅ User authenticated: ${user.username} (${socket.id})`);
       } catch (error) {
-        console.error("Authentication error:", error);
-        socket.emit("error", { message: "Authentication failed" });
+        console.error("Token refresh error:", error);
+        socket.emit("error", {
+          message: "Invalid or expired token",
+          code: "TOKEN_EXPIRED",
+        });
       }
     });
 
@@ -123,58 +117,33 @@ const socketHandler = (io) => {
      */
     socket.on("send-message", async (data) => {
       try {
-        const { chatId, content, replyTo } = data;
+        const { chatId, content, replyTo, threadRoot } = data;
 
         if (!socket.userId) {
           socket.emit("error", { message: "Not authenticated" });
           return;
         }
 
-        // Verify chat and permissions
         const chat = await Chat.findById(chatId);
         if (!chat) {
           socket.emit("error", { message: "Chat not found" });
           return;
         }
 
-        const isParticipant = chat.participants.some(
-          (p) => p.user.toString() === socket.userId
-        );
-
-        if (!isParticipant) {
-          socket.emit("error", { message: "Access denied" });
-          return;
-        }
-
-        // Create message
-        const message = await Message.create({
-          chat: chatId,
-          sender: socket.userId,
-          content: {
-            text: content.text,
-            type: content.type || "text",
-            file: content.file || undefined,
-          },
-          replyTo: replyTo || undefined,
+        // Same checks and broadcast as POST /api/messages/:chatId
+        const { error } = await deliverMessage(chat, socket.userId, {
+          content,
+          replyTo,
+          threadRoot,
         });
-
-        // Update chat
-        chat.lastMessage = message._id;
-        chat.lastActivity = new Date();
-        await chat.save();
-
-        // Populate message
-        await message.populate("sender", "username firstName lastName avatar");
-        if (replyTo) {
-          await message.populate("replyTo", "content.text sender");
+        if (error) {
+          socket.emit("error", {
+            message: error.message,
+            ...(error.message === BLOCKED_MESSAGE && { code: "BLOCKED" }),
+          });
+          return;
         }
 
-        // Emit to all chat participants
-        io.to(chatId).emit("new-message", {
-          message: message,
-          chatId: chatId,
-        });
-
         console.log(
           `💬 Message sent in chat ${chatId} by user ${socket.userId}`
         );
@@ -225,11 +194,26 @@ const socketHandler = (io) => {
           return;
         }
 
+        const chat = await Chat.findById(message.chat);
+        const isParticipant =
+          chat &&
+          chat.participants.some((p) => p.user.toString() === socket.userId);
+        if (!isParticipant) {
+          socket.emit("error", { message: "Access denied" });
+          return;
+        }
+
+        if (await isBlockedBetween(socket.userId, message.sender)) {
+          socket.emit("error", { message: BLOCKED_MESSAGE, code: "BLOCKED" });
+          return;
+        }
+
         await message.addReaction(socket.userId, emoji);
 
         // Notify chat participants
         io.to(message.chat.toString()).emit("reaction-added", {
           messageId: messageId,
+          chatId: message.chat.toString(),
           userId: socket.userId,
           emoji: emoji,
         });
@@ -244,22 +228,23 @@ const socketHandler = (io) => {
      */
     socket.on("mark-read", async (data) => {
       try {
-        const { chatId } = data;
+        const { chatId, messageId } = data;
 
         if (!socket.userId) return;
 
-        // Update last read timestamp for user in chat
         const chat = await Chat.findById(chatId);
-        if (chat) {
-          await chat.updateLastRead(socket.userId);
-
-          // Notify other participants
-          socket.to(chatId).emit("messages-read", {
-            userId: socket.userId,
-            chatId: chatId,
-            timestamp: new Date(),
-          });
-        }
+        const isParticipant =
+          chat &&
+          chat.participants.some((p) => p.user.toString() === socket.userId);
+        if (!isParticipant) return;
+
+        // Read up to the given message, or the whole chat without one
+        const message = messageId
+          ? await Message.findOne({ _id: messageId, chat: chatId })
+          : await Message.findById(chat.lastMessage);
+
+        // Notifies participants with a batched messages-read event
+        await markChatRead(chat, socket.userId, message);
       } catch (error) {
         console.error("Mark read error:", error);
       }
@@ -271,49 +256,67 @@ const socketHandler = (io) => {
     socket.on("disconnect", async () => {
       try {
         if (socket.userId) {
-          // Remove from connected users
-          connectedUsers.delete(socket.userId);
+          const { userId } = socket;
 
-          // Update user offline status
-          await User.findByIdAndUpdate(socket.userId, {
-            isOnline: false,
-            lastSeen: new Date(),
-          });
+          // Only the user's last socket takes them offline (after a grace period)
+          presence.removeConnection(userId, socket.id, async () => {
+            await User.findByIdAndUpdate(userId, {
+              isOnline: false,
+              lastSeen: new Date(),
+            });
 
-          // Notify user's friends about offline status
-          await notifyFriendsStatusChange(socket.userId, false, socket);
+            // Notify user's friends about offline status
+            await broadcastPresence(userId);
+          });
 
-          console.log(`🔌 User disconnected: ${socket.userId} (${socket.id})`);
+          console.log(`🔌 User disconnected: ${userId} (${socket.id})`);
         }
       } catch (error) {
         console.error("Disconnect error:", error);
       }
     });
-  });
 
-  /**
-   * Helper function to notify friends about status changes
-   */
-  async function notifyFriendsStatusChange(userId, isOnline, socket) {
+    /**
+     * User setup for the verified connection
+     */
     try {
-      const user = await User.findById(userId).populate("friends");
-
-      if (user && user.friends) {
-        user.friends.forEach((friend) => {
-          const friendConnection = connectedUsers.get(friend._id.toString());
-          if (friendConnection) {
-            socket.to(friendConnection.socketId).emit("friend-status-change", {
-              userId: userId,
-              isOnline: isOnline,
-              lastSeen: new Date(),
-            });
-          }
-        });
+      const { user } = socket;
+
+      // Track this socket; only the user's first socket brings them online
+      const cameOnline = presence.addConnection(socket.userId, socket.id);
+
+      // Update user online status
+      await User.findByIdAndUpdate(user._id, {
+        isOnline: true,
+        lastSeen: new Date(),
+      });
+
+      // Join the user's personal room for direct notifications
+      socket.join(userRoom(socket.userId));
+
+      // Join user to their chat rooms
+      const userChats = await Chat.findUserChats(user._id);
+      userChats.forEach((chat) => {
+        socket.join(chat._id.toString());
+      });
+
+      // Notify user's friends about online status
+      if (cameOnline) {
+        await broadcastPresence(user._id);
       }
+
+      socket.emit("authenticated", {
+        userId: user._id,
+        expiresAt: socket.tokenExpiresAt,
+        message: "Successfully authenticated",
+      });
+
+      console.log(`✅ User authenticated: ${user.username} (${socket.id})`);
     } catch (error) {
-      console.error("Error notifying friends:", error);
+      console.error("Connection setup error:", error);
+      socket.emit("error", { message: "Failed to initialize session" });
     }
-  }
+  });
 
   return io;
 };
@@ -0,0 +1,38 @@
+const uploadConfig = require("../../config/upload");
+const createLocalDriver = require("./localDriver");
+
+/**
+ * Storage driver registry
+ * Drivers expose save(buffer, meta), createReadStream(key) and remove(key)
+ */
+const drivers = {
+  local: createLocalDriver,
+};
+
+let storage = null;
+
+/**
+ * Register an additional storage driver factory
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Get the configured storage driver (created once)
+ */
+const getStorage = () => {
+  if (!storage) {
+    const factory = drivers[uploadConfig.driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${uploadConfig.driver}`);
+    }
+    storage = factory(uploadConfig);
+  }
+  return storage;
+};
+
+module.exports = {
+  registerDriver,
+  getStorage,
+};
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Local disk storage driver
+ * Stores attachments as files under a single directory
+ */
+const createLocalDriver = ({ localDir }) => {
+  const resolveKey = (key) => {
+    // Keys are generated by this driver, but never trust them blindly
+    const filePath = path.resolve(localDir, key);
+    if (!filePath.startsWith(path.resolve(localDir) + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    /**
+     * Persist a buffer and return its storage key
+     */
+    async save(buffer, { originalName }) {
+      await fs.promises.mkdir(localDir, { recursive: true });
+
+      const extension = path.extname(originalName || "").toLowerCase();
+      const key = `${Date.now()}-${crypto
+        .randomBytes(12)
+        .toString("hex")}${extension}`;
+
+      await fs.promises.writeFile(resolveKey(key), buffer);
+      return key;
+    },
+
+    /**
+     * Open a readable stream for a stored file
+     */
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    /**
+     * Delete a stored file (missing files are ignored)
+     */
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  };
+};
+
+module.exports = createLocalDriver;
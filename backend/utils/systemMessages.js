@@ -0,0 +1,122 @@
+const Message = require("../models/Message");
+const User = require("../models/User");
+const { emitToChat } = require("./eventBus");
+
+/**
+ * System messages
+ * Timeline notices for chat changes. Each one is stored as a message with
+ * content.type "system": the sender is the actor, content.system holds the
+ * action, the target users and action-specific data, and content.text is a
+ * plain-language fallback (used for previews and search).
+ */
+
+// Fields populated for the actor and targets
+const SYSTEM_USER_FIELDS = "username firstName lastName avatar";
+
+const nameOf = (user) =>
+  user ? user.firstName || user.username : "Someone";
+
+const listNames = (users) => users.map(nameOf).join(", ");
+
+// Message retention policies (config/retention.js) in words
+const RETENTION_LABELS = {
+  "24h": "24 hours",
+  "7d": "7 days",
+  "90d": "90 days",
+};
+
+/**
+ * Plain-language description of a system message
+ */
+const describe = (action, actor, targets, data) => {
+  switch (action) {
+    case "participants_added":
+      return `${nameOf(actor)} added ${listNames(targets)}`;
+    case "participant_removed":
+      return `${nameOf(actor)} removed ${listNames(targets)}`;
+    case "participant_left":
+      return `${nameOf(actor)} left`;
+    case "participant_joined":
+      return `${nameOf(actor)} joined using an invite link`;
+    case "chat_renamed":
+      return `${nameOf(actor)} renamed the chat to "${data.name}"`;
+    case "avatar_changed":
+      return `${nameOf(actor)} changed the chat photo`;
+    case "description_changed":
+      return `${nameOf(actor)} changed the chat description`;
+    case "retention_changed":
+      return data.retention
+        ? `${nameOf(actor)} set messages to disappear after ${
+            RETENTION_LABELS[data.retention]
+          }`
+        : `${nameOf(actor)} turned off disappearing messages`;
+    case "message_pinned":
+      return `${nameOf(actor)} pinned a message`;
+    case "role_changed":
+      return `${nameOf(actor)} made ${listNames(targets)} ${
+        data.role === "admin" || data.role === "owner" ? "an" : "a"
+      } ${data.role}`;
+    default:
+      return `${nameOf(actor)} updated the chat`;
+  }
+};
+
+/**
+ * Write a system message to a chat and broadcast it as a new message
+ * Failures are logged rather than thrown: the change it describes has
+ * already happened. Resolves to the message, or null on failure.
+ */
+const postSystemMessage = async (
+  chat,
+  actorId,
+  action,
+  { targets = [], data = {} } = {}
+) => {
+  try {
+    const users = await User.find({
+      _id: { $in: [actorId, ...targets] },
+    }).select(SYSTEM_USER_FIELDS);
+    const findUser = (id) =>
+      users.find((user) => user._id.toString() === id.toString());
+
+    const message = await Message.create({
+      chat: chat._id,
+      sender: actorId,
+      content: {
+        type: "system",
+        text: describe(
+          action,
+          findUser(actorId),
+          targets.map(findUser).filter(Boolean),
+          data
+        ),
+        system: { action, targets, data },
+      },
+    });
+
+    // Updated directly so a caller's in-memory chat is not saved twice
+    await chat.constructor.updateOne(
+      { _id: chat._id },
+      { lastMessage: message._id, lastActivity: new Date() }
+    );
+
+    await message.populate([
+      { path: "sender", select: SYSTEM_USER_FIELDS },
+      { path: "content.system.targets", select: SYSTEM_USER_FIELDS },
+    ]);
+
+    emitToChat(chat._id, "new-message", {
+      message,
+      chatId: chat._id.toString(),
+    });
+
+    return message;
+  } catch (error) {
+    console.error(`Error posting system message (${action}):`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  postSystemMessage,
+};
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const { emitToUser } = require("./eventBus");
+
+/**
+ * Presence visibility
+ * Central place that decides which presence fields (isOnline, lastSeen)
+ * of a user another user may see, based on preferences.privacy:
+ *   showOnlineStatus / showLastSeen - hide either field from everyone
+ *   presenceVisibleTo - "everyone" (default) or "friends"
+ * Users never see the presence of someone who blocked them.
+ * Hidden presence reads as offline with no lastSeen.
+ */
+
+// Fields a populated user needs so its presence can be filtered
+const PRESENCE_FIELDS =
+  "isOnline lastSeen preferences.privacy friends blockedUsers";
+
+// Fields to populate when users are shown to other users
+const PUBLIC_USER_FIELDS = `username firstName lastName avatar ${PRESENCE_FIELDS}`;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Decide which presence fields of `subject` the viewer may see
+ * Users always see their own presence
+ */
+const getPresenceVisibility = (subject, viewerId) => {
+  if (viewerId && idOf(subject) === idOf(viewerId)) {
+    return { online: true, lastSeen: true };
+  }
+
+  const privacy = (subject.preferences && subject.preferences.privacy) || {};
+  const isListed = (list) =>
+    Boolean(viewerId && (list || []).some((id) => idOf(id) === idOf(viewerId)));
+
+  const inAudience =
+    !isListed(subject.blockedUsers) &&
+    (privacy.presenceVisibleTo !== "friends" || isListed(subject.friends));
+
+  return {
+    online: inAudience && privacy.showOnlineStatus !== false,
+    lastSeen: inAudience && privacy.showLastSeen !== false,
+  };
+};
+
+/**
+ * Plain copy of a populated user as the viewer may see it
+ * Privacy settings, friend and block lists are never passed through
+ */
+const toVisibleUser = (user, viewerId) => {
+  // Unpopulated references are just IDs
+  if (!user || !user._id) return user;
+
+  const visible =
+    typeof user.toObject === "function" ? user.toObject() : { ...user };
+  const visibility = getPresenceVisibility(user, viewerId);
+
+  delete visible.preferences;
+  delete visible.friends;
+  delete visible.blockedUsers;
+  if ("isOnline" in visible && !visibility.online) visible.isOnline = false;
+  if ("lastSeen" in visible && !visibility.lastSeen) visible.lastSeen = null;
+
+  return visible;
+};
+
+/**
+ * Plain copy of a chat with every participant filtered for the viewer
+ */
+const toVisibleChat = (chat, viewerId) => {
+  const visible =
+    typeof chat.toObject === "function" ? chat.toObject() : { ...chat };
+
+  visible.participants = (visible.participants || []).map((p) => ({
+    ...p,
+    user: toVisibleUser(p.user, viewerId),
+  }));
+
+  return visible;
+};
+
+/**
+ * Send a user's current presence to each friend, as that friend may see it
+ * Used for status changes and when privacy settings change
+ */
+const broadcastPresence = async (userId) => {
+  const user = await mongoose
+    .model("User")
+    .findById(userId)
+    .select(PRESENCE_FIELDS);
+  if (!user) return;
+
+  user.friends.forEach((friendId) => {
+    const visibility = getPresenceVisibility(user, friendId);
+
+    emitToUser(friendId, "friend-status-change", {
+      userId: user._id,
+      isOnline: visibility.online && user.isOnline,
+      lastSeen: visibility.lastSeen ? user.lastSeen : null,
+    });
+  });
+};
+
+module.exports = {
+  PUBLIC_USER_FIELDS,
+  getPresenceVisibility,
+  toVisibleUser,
+  toVisibleChat,
+  broadcastPresence,
+};
@@ -12,6 +12,7 @@ import { Toaster } from "react-hot-toast";
 import { AuthProvider } from "./contexts/AuthContext";
 import { SocketProvider } from "./contexts/SocketContext";
 import { ChatProvider } from "./contexts/ChatContext";
+import { FriendProvider } from "./contexts/FriendContext";
 
 // Components
 import Layout from "./components/Layout/Layout";
@@ -21,6 +22,7 @@ import HomePage from "./pages/HomePage";
 import ChatPage from "./pages/ChatPage";
 import ProfilePage from "./pages/ProfilePage";
 import SettingsPage from "./pages/SettingsPage";
+import JoinPage from "./pages/JoinPage";
 
 // Check if Clerk publishable key exists
 const clerkPubKey =
@@ -117,12 +119,17 @@ function App() {
                       <AuthProvider>
                         <SocketProvider>
                           <ChatProvider>
-                            <Layout>
-                              <Routes>
-                                <Route path="/" element={<ChatPage />} />
-                                <Route path="/:chatId" element={<ChatPage />} />
-                              </Routes>
-                            </Layout>
+                            <FriendProvider>
+                              <Layout>
+                                <Routes>
+                                  <Route path="/" element={<ChatPage />} />
+                                  <Route
+                                    path="/:chatId"
+                                    element={<ChatPage />}
+                                  />
+                                </Routes>
+                              </Layout>
+                            </FriendProvider>
                           </ChatProvider>
                         </SocketProvider>
                       </AuthProvider>
@@ -156,6 +163,19 @@ function App() {
                   }
                 />
 
+                <Route
+                  path="/join/:code"
+                  element={
+                    <ProtectedRoute>
+                      <AuthProvider>
+                        <Layout>
+                          <JoinPage />
+                        </Layout>
+                      </AuthProvider>
+                    </ProtectedRoute>
+                  }
+                />
+
                 {/* Fallback route */}
                 <Route
                   path="*"
@@ -0,0 +1,233 @@
+import React, { useEffect, useRef, useState } from "react";
+import { PlayIcon, PauseIcon } from "@heroicons/react/24/outline";
+import { apiUtils } from "../../services/api";
+import { formatDuration } from "../../utils/audio";
+import toast from "react-hot-toast";
+
+const PLAYBACK_RATES = [1, 1.5, 2];
+
+// Seconds moved by the arrow keys on the scrubber
+const SEEK_STEP = 5;
+
+/**
+ * Audio Player Component
+ * Inline player for voice messages with a scrubbable waveform and
+ * playback speed. The file is only fetched once it is first played.
+ */
+const AudioPlayer = ({ file, isOwn }) => {
+  const audioRef = useRef(null);
+  const scrubberRef = useRef(null);
+  const pendingSeekRef = useRef(null);
+  const [sourceUrl, setSourceUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [mediaDuration, setMediaDuration] = useState(null);
+  const [rate, setRate] = useState(1);
+  const [scrubbing, setScrubbing] = useState(false);
+
+  // Recordings often report no duration of their own, so prefer the
+  // length measured when recording
+  const duration = file.duration || mediaDuration || 0;
+  const progress = duration ? Math.min(currentTime / duration, 1) : 0;
+  const waveform = file.waveform?.length ? file.waveform : null;
+
+  useEffect(
+    () => () => {
+      if (sourceUrl) URL.revokeObjectURL(sourceUrl);
+    },
+    [sourceUrl]
+  );
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.playbackRate = rate;
+  }, [rate, sourceUrl]);
+
+  const load = async () => {
+    if (sourceUrl || loading) return;
+
+    try {
+      setLoading(true);
+      const blob = await apiUtils.downloadFile(file.url);
+      setSourceUrl(URL.createObjectURL(blob));
+    } catch (error) {
+      console.error("Error loading audio:", error);
+      toast.error(error.message || "Failed to load voice message");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!sourceUrl || !audio) {
+      // Starts playing once loaded (see handleLoaded)
+      pendingSeekRef.current = pendingSeekRef.current ?? currentTime;
+      load();
+      return;
+    }
+
+    if (audio.paused) {
+      audio
+        .play()
+        .catch((error) => console.error("Error playing audio:", error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const handleLoaded = () => {
+    const audio = audioRef.current;
+    if (Number.isFinite(audio.duration)) setMediaDuration(audio.duration);
+    audio.playbackRate = rate;
+
+    if (pendingSeekRef.current !== null) {
+      audio.currentTime = pendingSeekRef.current;
+      pendingSeekRef.current = null;
+      audio
+        .play()
+        .catch((error) => console.error("Error playing audio:", error));
+    }
+  };
+
+  const seekTo = (seconds) => {
+    const time = Math.min(Math.max(seconds, 0), duration);
+    setCurrentTime(time);
+
+    if (audioRef.current && sourceUrl) {
+      audioRef.current.currentTime = time;
+    } else {
+      pendingSeekRef.current = time;
+    }
+  };
+
+  const seekToPointer = (e) => {
+    const rect = scrubberRef.current.getBoundingClientRect();
+    const ratio = (e.clientX - rect.left) / rect.width;
+    seekTo(Math.min(Math.max(ratio, 0), 1) * duration);
+  };
+
+  const handlePointerDown = (e) => {
+    if (!duration) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setScrubbing(true);
+    seekToPointer(e);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowRight") {
+      e.preventDefault();
+      seekTo(currentTime + SEEK_STEP);
+    } else if (e.key === "ArrowLeft") {
+      e.preventDefault();
+      seekTo(currentTime - SEEK_STEP);
+    }
+  };
+
+  const cycleRate = () => {
+    const index = PLAYBACK_RATES.indexOf(rate);
+    setRate(PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length]);
+  };
+
+  const playedClass = isOwn ? "bg-white" : "bg-blue-500";
+  const unplayedClass = isOwn ? "bg-white/40" : "bg-gray-300";
+
+  return (
+    <div className="flex items-center space-x-2 w-64 max-w-full mb-1">
+      <button
+        type="button"
+        onClick={togglePlay}
+        disabled={loading}
+        className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${
+          isOwn
+            ? "bg-white/20 hover:bg-white/30"
+            : "bg-gray-200 hover:bg-gray-300"
+        }`}
+        title={playing ? "Pause" : "Play"}
+      >
+        {playing ? (
+          <PauseIcon className="w-4 h-4" />
+        ) : (
+          <PlayIcon className={`w-4 h-4 ${loading ? "animate-pulse" : ""}`} />
+        )}
+      </button>
+
+      {/* Waveform scrubber */}
+      <div
+        ref={scrubberRef}
+        role="slider"
+        tabIndex={0}
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration)}
+        aria-valuenow={Math.round(currentTime)}
+        onPointerDown={handlePointerDown}
+        onPointerMove={(e) => scrubbing && seekToPointer(e)}
+        onPointerUp={() => setScrubbing(false)}
+        onPointerCancel={() => setScrubbing(false)}
+        onKeyDown={handleKeyDown}
+        className="flex-1 h-8 flex items-center cursor-pointer touch-none focus:outline-none"
+      >
+        {waveform ? (
+          <div className="w-full h-full flex items-center space-x-px">
+            {waveform.map((peak, index) => (
+              <div
+                key={index}
+                className={`flex-1 rounded-full ${
+                  (index + 0.5) / waveform.length <= progress
+                    ? playedClass
+                    : unplayedClass
+                }`}
+                style={{ height: `${Math.max(peak * 100, 8)}%` }}
+              />
+            ))}
+          </div>
+        ) : (
+          <div className={`relative w-full h-1 rounded-full ${unplayedClass}`}>
+            <div
+              className={`absolute inset-y-0 left-0 rounded-full ${playedClass}`}
+              style={{ width: `${progress * 100}%` }}
+            />
+          </div>
+        )}
+      </div>
+
+      <span className="flex-shrink-0 text-xs opacity-80 tabular-nums">
+        {formatDuration(playing || currentTime > 0 ? currentTime : duration)}
+      </span>
+
+      <button
+        type="button"
+        onClick={cycleRate}
+        className={`flex-shrink-0 px-1.5 py-0.5 rounded text-xs font-medium ${
+          isOwn
+            ? "bg-white/20 hover:bg-white/30"
+            : "bg-gray-200 hover:bg-gray-300"
+        }`}
+        title="Playback speed"
+      >
+        {rate}x
+      </button>
+
+      {sourceUrl && (
+        <audio
+          ref={audioRef}
+          src={sourceUrl}
+          preload="auto"
+          onLoadedMetadata={handleLoaded}
+          onTimeUpdate={(e) =>
+            !scrubbing && setCurrentTime(e.target.currentTime)
+          }
+          onPlay={() => setPlaying(true)}
+          onPause={() => setPlaying(false)}
+          onEnded={() => {
+            setPlaying(false);
+            setCurrentTime(0);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AudioPlayer;
@@ -1,13 +1,18 @@
 import React, { useState } from "react";
 import { useChat } from "../../contexts/ChatContext";
 import { useSocket } from "../../contexts/SocketContext";
+import { useFriends } from "../../contexts/FriendContext";
 import {
   PlusIcon,
   MagnifyingGlassIcon,
   XMarkIcon,
   ChatBubbleLeftRightIcon,
+  DocumentMagnifyingGlassIcon,
+  UserPlusIcon,
 } from "@heroicons/react/24/outline";
 import LoadingSpinner from "../UI/LoadingSpinner";
+import MessageSearchPanel from "./MessageSearchPanel";
+import FriendRequestsPanel from "./FriendRequestsPanel";
 
 /**
  * Chat Sidebar Component
@@ -16,9 +21,12 @@ import LoadingSpinner from "../UI/LoadingSpinner";
 const ChatSidebar = ({ onNewChat, onCloseSidebar }) => {
   const { chats, currentChat, selectChat, loading, getUnreadCount } = useChat();
   const { isUserOnline } = useSocket();
+  const { incomingRequests } = useFriends();
 
   const [searchTerm, setSearchTerm] = useState("");
   const [filteredChats, setFilteredChats] = useState([]);
+  const [showMessageSearch, setShowMessageSearch] = useState(false);
+  const [showFriendRequests, setShowFriendRequests] = useState(false);
 
   // Filter chats based on search term
   React.useEffect(() => {
@@ -68,10 +76,24 @@ const ChatSidebar = ({ onNewChat, onCloseSidebar }) => {
     if (message.isDeleted) return "Message deleted";
     if (message.content?.type === "image") return "📷 Image";
     if (message.content?.type === "file") return "📎 File";
+    if (message.content?.type === "audio") return "🎤 Voice message";
 
     return message.content?.text || "Message";
   };
 
+  if (showMessageSearch) {
+    return (
+      <MessageSearchPanel
+        onClose={() => setShowMessageSearch(false)}
+        onResultSelect={onCloseSidebar}
+      />
+    );
+  }
+
+  if (showFriendRequests) {
+    return <FriendRequestsPanel onClose={() => setShowFriendRequests(false)} />;
+  }
+
   return (
     <div className="h-full flex flex-col bg-white">
       {/* Header */}
@@ -79,6 +101,25 @@ const ChatSidebar = ({ onNewChat, onCloseSidebar }) => {
         <div className="flex items-center justify-between mb-4">
           <h1 className="text-xl font-semibold text-gray-900">Chats</h1>
           <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setShowFriendRequests(true)}
+              className="relative p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200"
+              title="Friend Requests"
+            >
+              <UserPlusIcon className="w-5 h-5" />
+              {incomingRequests.length > 0 && (
+                <span className="absolute -top-0.5 -right-0.5 bg-blue-600 text-white text-xs rounded-full min-w-[1.1rem] h-[1.1rem] px-1 flex items-center justify-center">
+                  {incomingRequests.length > 9 ? "9+" : incomingRequests.length}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setShowMessageSearch(true)}
+              className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200"
+              title="Search Messages"
+            >
+              <DocumentMagnifyingGlassIcon className="w-5 h-5" />
+            </button>
             <button
               onClick={onNewChat}
               className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200"
@@ -241,6 +282,18 @@ const ChatSidebar = ({ onNewChat, onCloseSidebar }) => {
                           {getLastMessage(chat)}
                         </p>
 
+                        {/* Unread mentions */}
+                        {chat.unreadMentions > 0 && (
+                          <span
+                            className="ml-2 px-1.5 py-1 bg-yellow-400 text-yellow-900 text-xs font-semibold rounded-full min-w-[20px] text-center"
+                            title={`${chat.unreadMentions} unread mention${
+                              chat.unreadMentions === 1 ? "" : "s"
+                            }`}
+                          >
+                            @
+                          </span>
+                        )}
+
                         {/* Unread count */}
                         {unreadCount > 0 && (
                           <span className="ml-2 px-2 py-1 bg-blue-600 text-white text-xs rounded-full min-w-[20px] text-center">
@@ -8,10 +8,29 @@ import {
   FaceSmileIcon,
   PaperClipIcon,
   EllipsisVerticalIcon,
+  XMarkIcon,
+  DocumentIcon,
+  ClockIcon,
+  EyeIcon,
+  ChartBarIcon,
 } from "@heroicons/react/24/outline";
 import MessageList from "./MessageList";
 import TypingIndicator from "./TypingIndicator";
+import InviteLinksModal from "./InviteLinksModal";
+import PinnedMessagesBar from "./PinnedMessagesBar";
+import SendLaterMenu from "./SendLaterMenu";
+import ScheduledMessagesModal from "./ScheduledMessagesModal";
+import DisappearingMessagesModal from "./DisappearingMessagesModal";
+import MarkdownText from "./MarkdownText";
+import CreatePollModal from "./CreatePollModal";
+import VoiceRecorderButton from "./VoiceRecorderButton";
+import { formatFileSize } from "./MessageAttachment";
+import { getMentionQuery } from "../../utils/mentions";
+import { describeRetention } from "../../utils/retention";
+import { hasChatPermission, canPinMessages } from "../../utils/permissions";
 import LoadingSpinner from "../UI/LoadingSpinner";
+import { apiUtils, messageAPI } from "../../services/api";
+import toast from "react-hot-toast";
 
 /**
  * Chat Window Component
@@ -20,30 +39,171 @@ import LoadingSpinner from "../UI/LoadingSpinner";
 const ChatWindow = ({ onToggleSidebar }) => {
   const { user } = useAuth();
   const { currentChat, messages, sendMessage, messageLoading } = useChat();
-  const { sendTyping, getTypingUsers, markMessagesRead } = useSocket();
+  const { sendTyping, getTypingUsers } = useSocket();
 
   const [messageText, setMessageText] = useState("");
   const [isTyping, setIsTyping] = useState(false);
   const [showChatMenu, setShowChatMenu] = useState(false);
+  const [showInviteLinks, setShowInviteLinks] = useState(false);
+  const [showScheduled, setShowScheduled] = useState(false);
+  const [showRetention, setShowRetention] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [showCreatePoll, setShowCreatePoll] = useState(false);
+  const [attachment, setAttachment] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [mention, setMention] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
   const typingTimeoutRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const inputRef = useRef(null);
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
-  // Mark messages as read when chat changes
+  // Drop a pending attachment when switching chats
   useEffect(() => {
-    if (currentChat) {
-      markMessagesRead(currentChat._id);
+    setAttachment(null);
+    setUploadProgress(null);
+  }, [currentChat?._id]);
+
+  // Upload the selected file straight away so sending stays instant
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+
+    if (!file || !currentChat) return;
+
+    try {
+      setUploadProgress(0);
+      const response = await apiUtils.uploadFile(
+        file,
+        currentChat._id,
+        setUploadProgress
+      );
+
+      if (response.success) {
+        setAttachment(response.data);
+      } else {
+        throw new Error(response.message || "Failed to upload file");
+      }
+    } catch (error) {
+      console.error("Error uploading file:", error);
+      toast.error(error.message || "Failed to upload file");
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  // Voice messages go through the same upload pipeline as attachments
+  const handleVoiceMessage = async ({ file, duration, waveform }) => {
+    if (!currentChat) return;
+
+    let uploaded;
+    try {
+      setUploadProgress(0);
+      const response = await apiUtils.uploadFile(
+        file,
+        currentChat._id,
+        setUploadProgress
+      );
+
+      if (!response.success) {
+        throw new Error(response.message || "Failed to upload voice message");
+      }
+      uploaded = response.data.file;
+    } catch (error) {
+      console.error("Error uploading voice message:", error);
+      toast.error(error.message || "Failed to upload voice message");
+      return;
+    } finally {
+      setUploadProgress(null);
+    }
+
+    try {
+      await sendMessage(currentChat._id, {
+        text: "",
+        type: "audio",
+        file: { ...uploaded, duration, waveform },
+      });
+    } catch (error) {
+      console.error("Error sending voice message:", error);
     }
-  }, [currentChat, markMessagesRead]);
+  };
+
+  // Participants matching the "@query" being typed
+  const mentionSuggestions =
+    mention && currentChat
+      ? (currentChat.participants || [])
+          .map((p) => p.user)
+          .filter(
+            (participant) =>
+              participant?.username &&
+              participant.username !== user?.username &&
+              [
+                participant.username,
+                participant.firstName,
+                participant.lastName,
+              ].some((name) =>
+                name?.toLowerCase().startsWith(mention.query.toLowerCase())
+              )
+          )
+          .slice(0, 6)
+      : [];
+
+  const updateMention = (value, caret) => {
+    const nextMention = getMentionQuery(value, caret);
+    setMention(nextMention);
+    if (nextMention?.query !== mention?.query) {
+      setMentionIndex(0);
+    }
+  };
+
+  // Replace the "@query" before the caret with the chosen username
+  const insertMention = (participant) => {
+    const before = messageText.slice(0, mention.start);
+    const after = messageText.slice(mention.start + mention.query.length + 1);
+    const inserted = `@${participant.username} `;
+
+    setMessageText(before + inserted + after);
+    setMention(null);
+
+    const caret = before.length + inserted.length;
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setMentionIndex((index) => (index + 1) % mentionSuggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setMentionIndex(
+        (index) =>
+          (index - 1 + mentionSuggestions.length) % mentionSuggestions.length
+      );
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      insertMention(
+        mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]
+      );
+    } else if (e.key === "Escape") {
+      setMention(null);
+    }
+  };
 
   // Handle typing indicators
   const handleInputChange = (e) => {
     const value = e.target.value;
     setMessageText(value);
+    updateMention(value, e.target.selectionStart);
 
     if (!currentChat) return;
 
@@ -73,31 +233,63 @@ const ChatWindow = ({ onToggleSidebar }) => {
     }
   };
 
+  const getMessageContent = () => ({
+    text: messageText.trim(),
+    type: attachment ? attachment.type : "text",
+    format: "markdown",
+    ...(attachment && { file: attachment.file }),
+  });
+
+  // Reset the composer once a message is sent or scheduled
+  const clearComposer = () => {
+    setMessageText("");
+    setAttachment(null);
+    setMention(null);
+
+    // Stop typing indicator
+    if (isTyping) {
+      setIsTyping(false);
+      sendTyping(currentChat._id, false);
+    }
+  };
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
 
-    if (!messageText.trim() || !currentChat) return;
-
-    const messageContent = {
-      text: messageText.trim(),
-      type: "text",
-    };
+    if ((!messageText.trim() && !attachment) || !currentChat) return;
 
     try {
-      await sendMessage(currentChat._id, messageContent);
-      setMessageText("");
+      await sendMessage(currentChat._id, getMessageContent());
+      clearComposer();
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  };
 
-      // Stop typing indicator
-      if (isTyping) {
-        setIsTyping(false);
-        sendTyping(currentChat._id, false);
+  const handleScheduleMessage = async (sendAt) => {
+    try {
+      const response = await messageAPI.scheduleMessage(
+        currentChat._id,
+        getMessageContent(),
+        sendAt.toISOString()
+      );
+
+      if (!response.success) {
+        throw new Error(response.message);
       }
+
+      clearComposer();
+      toast.success(`Message scheduled for ${sendAt.toLocaleString()}`);
     } catch (error) {
-      console.error("Error sending message:", error);
+      console.error("Error scheduling message:", error);
+      toast.error(error.message || "Failed to schedule message");
+      throw error;
     }
   };
 
   const handleKeyPress = (e) => {
+    if (mentionSuggestions.length > 0) return;
+
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       handleSendMessage(e);
@@ -112,7 +304,7 @@ const ChatWindow = ({ onToggleSidebar }) => {
   const isDirectChat = currentChat.type === "direct";
   const otherParticipant =
     isDirectChat && currentChat.participants?.length > 0
-      ? currentChat.participants.find((p) => p.user._id !== user?.id)?.user
+      ? currentChat.participants.find((p) => p.user._id !== user?._id)?.user
       : null;
 
   const chatName =
@@ -126,6 +318,15 @@ const ChatWindow = ({ onToggleSidebar }) => {
   // Get typing users
   const typingUsers = getTypingUsers(currentChat._id);
 
+  const canInvite =
+    !isDirectChat && hasChatPermission(currentChat, user?._id, "invite");
+  const canChangeSettings = hasChatPermission(
+    currentChat,
+    user?._id,
+    "changeSettings"
+  );
+  const messageRetention = currentChat.settings?.messageRetention;
+
   return (
     <div className="h-full flex flex-col bg-white">
       {/* Chat Header */}
@@ -163,12 +364,23 @@ const ChatWindow = ({ onToggleSidebar }) => {
             <h2 className="text-lg font-semibold text-gray-900 truncate">
               {chatName}
             </h2>
-            <p className="text-sm text-gray-500">
+            <p className="text-sm text-gray-500 flex items-center">
               {isDirectChat
                 ? otherParticipant?.isOnline
                   ? "Online"
                   : "Offline"
                 : `${currentChat.participants?.length || 0} members`}
+              {messageRetention && (
+                <span
+                  className="flex items-center ml-2"
+                  title={`Messages disappear after ${describeRetention(
+                    messageRetention
+                  )}`}
+                >
+                  <ClockIcon className="w-4 h-4 mr-0.5" />
+                  {messageRetention}
+                </span>
+              )}
             </p>
           </div>
         </div>
@@ -185,6 +397,37 @@ const ChatWindow = ({ onToggleSidebar }) => {
           {/* Dropdown menu */}
           {showChatMenu && (
             <div className="absolute right-0 top-full mt-2 w-48 bg-white rounded-lg shadow-lg border border-gray-200 py-2 z-10">
+              {canInvite && (
+                <button
+                  onClick={() => {
+                    setShowInviteLinks(true);
+                    setShowChatMenu(false);
+                  }}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  Invite Links
+                </button>
+              )}
+              {canChangeSettings && (
+                <button
+                  onClick={() => {
+                    setShowRetention(true);
+                    setShowChatMenu(false);
+                  }}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  Disappearing Messages
+                </button>
+              )}
+              <button
+                onClick={() => {
+                  setShowScheduled(true);
+                  setShowChatMenu(false);
+                }}
+                className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Scheduled Messages
+              </button>
               <button className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50">
                 View Profile
               </button>
@@ -200,6 +443,12 @@ const ChatWindow = ({ onToggleSidebar }) => {
         </div>
       </div>
 
+      {/* Pinned messages */}
+      <PinnedMessagesBar
+        chat={currentChat}
+        canPin={canPinMessages(currentChat, user?._id)}
+      />
+
       {/* Messages Area */}
       <div className="flex-1 overflow-hidden flex flex-col">
         {messageLoading ? (
@@ -223,22 +472,130 @@ const ChatWindow = ({ onToggleSidebar }) => {
 
       {/* Message Input */}
       <div className="border-t border-gray-200 p-4">
+        {/* Pending attachment / upload progress */}
+        {(attachment || uploadProgress !== null) && (
+          <div className="mb-3 flex items-center space-x-3 px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg">
+            <DocumentIcon className="w-5 h-5 text-gray-500 flex-shrink-0" />
+            {attachment ? (
+              <>
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm text-gray-900 truncate">
+                    {attachment.file.name}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatFileSize(attachment.file.size)}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setAttachment(null)}
+                  className="p-1 text-gray-500 hover:text-gray-700 rounded"
+                  title="Remove attachment"
+                >
+                  <XMarkIcon className="w-4 h-4" />
+                </button>
+              </>
+            ) : (
+              <div className="flex-1">
+                <p className="text-sm text-gray-600 mb-1">Uploading...</p>
+                <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-blue-500 transition-all duration-200"
+                    style={{ width: `${uploadProgress}%` }}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Formatted preview of the message being written */}
+        {showPreview && messageText.trim() && (
+          <div className="mb-3 px-3 py-2 max-h-48 overflow-y-auto bg-gray-50 border border-gray-200 rounded-lg text-gray-900">
+            <p className="text-xs text-gray-500 mb-1">Preview</p>
+            <MarkdownText text={messageText} />
+          </div>
+        )}
+
         <form onSubmit={handleSendMessage} className="flex items-end space-x-3">
           {/* Attachment button */}
+          <input
+            ref={fileInputRef}
+            type="file"
+            className="hidden"
+            onChange={handleFileSelect}
+          />
           <button
             type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploadProgress !== null}
             className="flex-shrink-0 p-2 text-gray-500 hover:text-gray-700 rounded-lg transition-colors duration-200"
             title="Attach file"
           >
             <PaperClipIcon className="w-5 h-5" />
           </button>
 
+          {/* Poll button */}
+          <button
+            type="button"
+            onClick={() => setShowCreatePoll(true)}
+            className="flex-shrink-0 p-2 text-gray-500 hover:text-gray-700 rounded-lg transition-colors duration-200"
+            title="Create poll"
+          >
+            <ChartBarIcon className="w-5 h-5" />
+          </button>
+
           {/* Message input */}
           <div className="flex-1 relative">
+            {/* Mention autocomplete */}
+            {mentionSuggestions.length > 0 && (
+              <div className="absolute bottom-full left-0 mb-2 w-64 bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-20">
+                {mentionSuggestions.map((participant, index) => (
+                  <button
+                    key={participant._id}
+                    type="button"
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      insertMention(participant);
+                    }}
+                    className={`w-full flex items-center space-x-2 px-3 py-2 text-left text-sm ${
+                      index === mentionIndex
+                        ? "bg-blue-50 text-blue-700"
+                        : "text-gray-700 hover:bg-gray-50"
+                    }`}
+                  >
+                    <div className="w-6 h-6 bg-gray-200 rounded-full flex items-center justify-center overflow-hidden flex-shrink-0">
+                      {participant.avatar ? (
+                        <img
+                          src={participant.avatar}
+                          alt={participant.username}
+                          className="w-full h-full object-cover"
+                        />
+                      ) : (
+                        <span className="text-xs font-medium text-gray-600">
+                          {participant.username.charAt(0).toUpperCase()}
+                        </span>
+                      )}
+                    </div>
+                    <span className="font-medium">@{participant.username}</span>
+                    <span className="text-gray-500 truncate">
+                      {participant.firstName} {participant.lastName}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+
             <textarea
+              ref={inputRef}
               value={messageText}
               onChange={handleInputChange}
+              onKeyDown={handleKeyDown}
               onKeyPress={handleKeyPress}
+              onClick={(e) =>
+                updateMention(e.target.value, e.target.selectionStart)
+              }
+              onBlur={() => setMention(null)}
               placeholder="Type a message..."
               rows={1}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -246,6 +603,20 @@ const ChatWindow = ({ onToggleSidebar }) => {
             />
           </div>
 
+          {/* Preview toggle */}
+          <button
+            type="button"
+            onClick={() => setShowPreview((prev) => !prev)}
+            className={`flex-shrink-0 p-2 rounded-lg transition-colors duration-200 ${
+              showPreview
+                ? "text-blue-600 hover:text-blue-700"
+                : "text-gray-500 hover:text-gray-700"
+            }`}
+            title={showPreview ? "Hide preview" : "Show formatting preview"}
+          >
+            <EyeIcon className="w-5 h-5" />
+          </button>
+
           {/* Emoji button */}
           <button
             type="button"
@@ -255,14 +626,28 @@ const ChatWindow = ({ onToggleSidebar }) => {
             <FaceSmileIcon className="w-5 h-5" />
           </button>
 
+          {/* Send later */}
+          <SendLaterMenu
+            disabled={
+              (!messageText.trim() && !attachment) || uploadProgress !== null
+            }
+            onSchedule={handleScheduleMessage}
+          />
+
+          {/* Voice message */}
+          <VoiceRecorderButton
+            disabled={uploadProgress !== null}
+            onRecorded={handleVoiceMessage}
+          />
+
           {/* Send button */}
           <button
             type="submit"
-            disabled={!messageText.trim()}
+            disabled={!messageText.trim() && !attachment}
             className={`
               flex-shrink-0 p-2 rounded-lg transition-colors duration-200
               ${
-                messageText.trim()
+                messageText.trim() || attachment
                   ? "text-blue-600 hover:text-blue-700 hover:bg-blue-50"
                   : "text-gray-300 cursor-not-allowed"
               }
@@ -274,6 +659,34 @@ const ChatWindow = ({ onToggleSidebar }) => {
         </form>
       </div>
 
+      {showInviteLinks && (
+        <InviteLinksModal
+          chat={currentChat}
+          onClose={() => setShowInviteLinks(false)}
+        />
+      )}
+
+      {showScheduled && (
+        <ScheduledMessagesModal
+          chat={currentChat}
+          onClose={() => setShowScheduled(false)}
+        />
+      )}
+
+      {showCreatePoll && (
+        <CreatePollModal
+          chat={currentChat}
+          onClose={() => setShowCreatePoll(false)}
+        />
+      )}
+
+      {showRetention && (
+        <DisappearingMessagesModal
+          chat={currentChat}
+          onClose={() => setShowRetention(false)}
+        />
+      )}
+
       {/* Click outside to close menu */}
       {showChatMenu && (
         <div
@@ -0,0 +1,187 @@
+import React, { useState } from "react";
+import {
+  XMarkIcon,
+  ChartBarIcon,
+  PlusIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { useChat } from "../../contexts/ChatContext";
+import toast from "react-hot-toast";
+
+// Matches the server's limits (backend/utils/polls.js)
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+/**
+ * Create Poll Modal Component
+ * Builds a poll and sends it to the current chat
+ */
+const CreatePollModal = ({ chat, onClose }) => {
+  const { sendMessage } = useChat();
+  const [question, setQuestion] = useState("");
+  const [options, setOptions] = useState(["", ""]);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [closesAt, setClosesAt] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const filledOptions = options.map((o) => o.trim()).filter(Boolean);
+  const canSend =
+    question.trim() && filledOptions.length >= MIN_OPTIONS && !sending;
+
+  const updateOption = (index, value) => {
+    setOptions((prev) => prev.map((o, i) => (i === index ? value : o)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+
+    if (closesAt && new Date(closesAt) <= new Date()) {
+      toast.error("Poll close time must be in the future");
+      return;
+    }
+
+    try {
+      setSending(true);
+      await sendMessage(chat._id, {
+        text: question.trim(),
+        type: "poll",
+        poll: {
+          question: question.trim(),
+          options: filledOptions,
+          allowMultiple,
+          anonymous,
+          ...(closesAt && { closesAt: new Date(closesAt).toISOString() }),
+        },
+      });
+      onClose();
+    } catch (error) {
+      // Error is handled in the context
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <ChartBarIcon className="w-5 h-5 mr-2 text-gray-500" />
+            Create Poll
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <XMarkIcon className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4 overflow-y-auto">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Question
+            </label>
+            <input
+              type="text"
+              value={question}
+              onChange={(e) => setQuestion(e.target.value)}
+              maxLength={300}
+              placeholder="Ask a question..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              autoFocus
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Options
+            </label>
+            <div className="space-y-2">
+              {options.map((option, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={option}
+                    onChange={(e) => updateOption(index, e.target.value)}
+                    maxLength={100}
+                    placeholder={`Option ${index + 1}`}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {options.length > MIN_OPTIONS && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setOptions((prev) => prev.filter((_, i) => i !== index))
+                      }
+                      className="p-1 text-gray-400 hover:text-red-600 rounded"
+                      title="Remove option"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {options.length < MAX_OPTIONS && (
+              <button
+                type="button"
+                onClick={() => setOptions((prev) => [...prev, ""])}
+                className="mt-2 flex items-center text-sm text-blue-600 hover:text-blue-700"
+              >
+                <PlusIcon className="w-4 h-4 mr-1" />
+                Add option
+              </button>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={allowMultiple}
+                onChange={(e) => setAllowMultiple(e.target.checked)}
+                className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Allow multiple answers
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={anonymous}
+                onChange={(e) => setAnonymous(e.target.checked)}
+                className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Anonymous voting
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Close at (optional)
+            </label>
+            <input
+              type="datetime-local"
+              value={closesAt}
+              onChange={(e) => setClosesAt(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={!canSend}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {sending ? "Sending..." : "Send Poll"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CreatePollModal;
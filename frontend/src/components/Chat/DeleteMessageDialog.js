@@ -0,0 +1,44 @@
+import React from "react";
+
+/**
+ * Delete Message Dialog Component
+ * Confirms a delete and asks whether it applies to everyone or just
+ * the current user
+ */
+const DeleteMessageDialog = ({ canDeleteForEveryone, onDelete, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+    <div className="bg-white rounded-lg shadow-xl w-full max-w-xs p-4">
+      <h2 className="text-lg font-semibold text-gray-900">Delete message?</h2>
+      <p className="text-sm text-gray-600 mt-1">
+        {canDeleteForEveryone
+          ? "You can delete this message for everyone in the chat or only for yourself."
+          : "This message will be removed from your view only."}
+      </p>
+
+      <div className="mt-4 space-y-2">
+        {canDeleteForEveryone && (
+          <button
+            onClick={() => onDelete("everyone")}
+            className="w-full bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 transition-colors"
+          >
+            Delete for everyone
+          </button>
+        )}
+        <button
+          onClick={() => onDelete("me")}
+          className="w-full border border-red-300 text-red-600 py-2 px-4 rounded-lg hover:bg-red-50 transition-colors"
+        >
+          Delete for me
+        </button>
+        <button
+          onClick={onClose}
+          className="w-full py-2 px-4 text-sm text-gray-600 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default DeleteMessageDialog;
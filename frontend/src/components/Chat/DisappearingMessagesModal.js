@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { XMarkIcon, ClockIcon } from "@heroicons/react/24/outline";
+import { chatAPI } from "../../services/api";
+import { RETENTION_OPTIONS } from "../../utils/retention";
+import toast from "react-hot-toast";
+
+/**
+ * Disappearing Messages Modal Component
+ * Lets admins choose how long a chat keeps its messages
+ */
+const DisappearingMessagesModal = ({ chat, onClose }) => {
+  const current = chat.settings?.messageRetention || null;
+  const [retention, setRetention] = useState(current);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (retention === current) {
+      onClose();
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await chatAPI.updateChat(chat._id, {
+        settings: { messageRetention: retention },
+      });
+
+      if (!response.success) {
+        throw new Error(response.message);
+      }
+
+      // The chat picks up the new policy from the system message
+      onClose();
+    } catch (error) {
+      console.error("Error updating message retention:", error);
+      toast.error(error.message || "Failed to update disappearing messages");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-sm">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <ClockIcon className="w-5 h-5 mr-2 text-gray-500" />
+            Disappearing Messages
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <XMarkIcon className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <p className="text-sm text-gray-600">
+            Messages older than the chosen time are deleted for everyone in
+            this chat. Messages sent before disappearing messages were turned
+            on are kept.
+          </p>
+          {RETENTION_OPTIONS.map((option) => (
+            <label
+              key={option.label}
+              className="flex items-center text-sm text-gray-700"
+            >
+              <input
+                type="radio"
+                name="messageRetention"
+                checked={retention === option.value}
+                onChange={() => setRetention(option.value)}
+                className="mr-2 border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {option.label}
+            </label>
+          ))}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DisappearingMessagesModal;
@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { messageAPI } from "../../services/api";
+import toast from "react-hot-toast";
+
+/**
+ * Edit History Popover Component
+ * The "(edited)" marker; clicking it lists every version of the message
+ */
+const EditHistoryPopover = ({ message, isOwn }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const [versions, setVersions] = useState(null);
+
+  const toggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+
+    try {
+      const response = await messageAPI.getEditHistory(message._id);
+      if (response.success) {
+        setVersions(response.data.versions);
+        setShowHistory(true);
+      } else {
+        throw new Error(response.message || "Failed to load edit history");
+      }
+    } catch (error) {
+      console.error("Error loading edit history:", error);
+      toast.error(error.message || "Failed to load edit history");
+    }
+  };
+
+  return (
+    <span className="relative">
+      <button
+        onClick={toggleHistory}
+        className="text-xs opacity-70 ml-2 hover:underline"
+        title="Show edit history"
+      >
+        (edited)
+      </button>
+
+      {showHistory && versions && (
+        <div
+          className={`absolute bottom-full mb-1 w-64 max-h-64 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg p-2 z-10 text-xs text-left ${
+            isOwn ? "right-0" : "left-0"
+          }`}
+        >
+          <p className="font-medium text-gray-700 mb-1">Edit history</p>
+          {[...versions].reverse().map((version, index) => (
+            <div
+              key={index}
+              className="py-1 border-t border-gray-100 first:border-t-0"
+            >
+              <p className="text-gray-400">
+                {index === 0
+                  ? "Current"
+                  : index === versions.length - 1
+                  ? "Original"
+                  : "Edited"}{" "}
+                · {new Date(version.writtenAt).toLocaleString()}
+              </p>
+              <p className="text-gray-800 whitespace-pre-wrap break-words">
+                {version.text}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default EditHistoryPopover;
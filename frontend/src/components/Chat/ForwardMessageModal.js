@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import {
+  XMarkIcon,
+  ArrowUturnRightIcon,
+  MagnifyingGlassIcon,
+} from "@heroicons/react/24/outline";
+import { useChat } from "../../contexts/ChatContext";
+import { useAuth } from "../../contexts/AuthContext";
+
+/**
+ * Forward Message Modal Component
+ * Picks the chats a message is forwarded to
+ */
+const ForwardMessageModal = ({ message, onClose }) => {
+  const { user } = useAuth();
+  const { chats, forwardMessage } = useChat();
+  const [searchTerm, setSearchTerm] = useState("");
+  const [selectedChatIds, setSelectedChatIds] = useState([]);
+  const [forwarding, setForwarding] = useState(false);
+
+  const getChatName = (chat) => {
+    if (chat.name) return chat.name;
+
+    const other = chat.participants?.find(
+      (p) => p.user?._id !== user?._id
+    )?.user;
+    return other ? other.fullName || other.username : "Unknown User";
+  };
+
+  const filteredChats = chats.filter((chat) =>
+    getChatName(chat).toLowerCase().includes(searchTerm.trim().toLowerCase())
+  );
+
+  const toggleChat = (chatId) => {
+    setSelectedChatIds((prev) =>
+      prev.includes(chatId)
+        ? prev.filter((id) => id !== chatId)
+        : [...prev, chatId]
+    );
+  };
+
+  const handleForward = async () => {
+    try {
+      setForwarding(true);
+      await forwardMessage(message._id, selectedChatIds);
+      onClose();
+    } catch (error) {
+      // Error is handled in the context
+    } finally {
+      setForwarding(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-sm max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <ArrowUturnRightIcon className="w-5 h-5 mr-2 text-gray-500" />
+            Forward Message
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <XMarkIcon className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        {/* Search */}
+        <div className="p-4 border-b">
+          <div className="relative">
+            <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search chats..."
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+
+        {/* Chats */}
+        <div className="flex-1 overflow-y-auto">
+          {filteredChats.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">
+              No chats found
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {filteredChats.map((chat) => (
+                <li key={chat._id}>
+                  <label className="flex items-center px-4 py-3 text-sm text-gray-900 hover:bg-gray-50 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedChatIds.includes(chat._id)}
+                      onChange={() => toggleChat(chat._id)}
+                      className="mr-3 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="truncate">{getChatName(chat)}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="p-4 border-t">
+          <button
+            onClick={handleForward}
+            disabled={forwarding || selectedChatIds.length === 0}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {forwarding
+              ? "Forwarding..."
+              : selectedChatIds.length > 1
+              ? `Forward to ${selectedChatIds.length} chats`
+              : "Forward"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForwardMessageModal;
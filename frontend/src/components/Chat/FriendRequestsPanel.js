@@ -0,0 +1,166 @@
+import React, { useState } from "react";
+import { XMarkIcon, UserPlusIcon } from "@heroicons/react/24/outline";
+import { useFriends } from "../../contexts/FriendContext";
+import LoadingSpinner from "../UI/LoadingSpinner";
+
+/**
+ * Friend Requests Panel Component
+ * Inbox of pending friend requests: accept or decline incoming ones,
+ * cancel outgoing ones
+ */
+const FriendRequestsPanel = ({ onClose }) => {
+  const {
+    incomingRequests,
+    outgoingRequests,
+    loading,
+    acceptRequest,
+    declineRequest,
+    cancelRequest,
+  } = useFriends();
+
+  const [tab, setTab] = useState("incoming");
+  const [busyId, setBusyId] = useState(null);
+
+  const requests = tab === "incoming" ? incomingRequests : outgoingRequests;
+
+  const handleAction = async (request, action) => {
+    setBusyId(request._id);
+    await action(request);
+    setBusyId(null);
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+
+  const tabClass = (name) =>
+    `flex-1 py-2 text-sm font-medium border-b-2 transition-colors duration-200 ${
+      tab === name
+        ? "border-blue-500 text-blue-600"
+        : "border-transparent text-gray-500 hover:text-gray-700"
+    }`;
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-xl font-semibold text-gray-900">
+            Friend Requests
+          </h1>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 rounded-lg transition-colors duration-200"
+            title="Close requests"
+          >
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex">
+          <button
+            onClick={() => setTab("incoming")}
+            className={tabClass("incoming")}
+          >
+            Received
+            {incomingRequests.length > 0 && ` (${incomingRequests.length})`}
+          </button>
+          <button
+            onClick={() => setTab("outgoing")}
+            className={tabClass("outgoing")}
+          >
+            Sent
+            {outgoingRequests.length > 0 && ` (${outgoingRequests.length})`}
+          </button>
+        </div>
+      </div>
+
+      {/* Requests */}
+      <div className="flex-1 overflow-y-auto custom-scrollbar">
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : requests.length === 0 ? (
+          <div className="text-center py-8 px-4">
+            <UserPlusIcon className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-500">
+              {tab === "incoming"
+                ? "No pending friend requests"
+                : "You have no sent requests waiting"}
+            </p>
+          </div>
+        ) : (
+          <ul className="py-2">
+            {requests.map((request) => {
+              const otherUser =
+                tab === "incoming" ? request.from : request.to;
+              const isBusy = busyId === request._id;
+
+              return (
+                <li key={request._id} className="px-4 py-3">
+                  <div className="flex items-center space-x-3">
+                    <div className="w-10 h-10 bg-gray-200 rounded-full flex items-center justify-center overflow-hidden flex-shrink-0">
+                      {otherUser.avatar ? (
+                        <img
+                          src={otherUser.avatar}
+                          alt={otherUser.username}
+                          className="w-full h-full object-cover"
+                        />
+                      ) : (
+                        <span className="text-sm font-medium text-gray-600">
+                          {otherUser.username?.charAt(0).toUpperCase()}
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {otherUser.firstName} {otherUser.lastName}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        @{otherUser.username} · {formatDate(request.createdAt)}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex space-x-2 mt-2">
+                    {tab === "incoming" ? (
+                      <>
+                        <button
+                          onClick={() => handleAction(request, acceptRequest)}
+                          disabled={isBusy}
+                          className="flex-1 py-1.5 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+                        >
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => handleAction(request, declineRequest)}
+                          disabled={isBusy}
+                          className="flex-1 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200"
+                        >
+                          Decline
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => handleAction(request, cancelRequest)}
+                        disabled={isBusy}
+                        className="flex-1 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200"
+                      >
+                        Cancel request
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FriendRequestsPanel;
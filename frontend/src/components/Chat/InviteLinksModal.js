@@ -0,0 +1,315 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  XMarkIcon,
+  LinkIcon,
+  ClipboardDocumentIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../../contexts/AuthContext";
+import { chatAPI } from "../../services/api";
+import { hasChatPermission } from "../../utils/permissions";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import toast from "react-hot-toast";
+
+const EXPIRY_OPTIONS = [
+  { label: "Never", value: "" },
+  { label: "1 hour", value: 3600 },
+  { label: "1 day", value: 86400 },
+  { label: "7 days", value: 604800 },
+  { label: "30 days", value: 2592000 },
+];
+
+const inviteUrl = (invite) => `${window.location.origin}${invite.path}`;
+
+/**
+ * Invite Links Modal Component
+ * Create shareable invite links for a group; admins also see every
+ * link, can revoke them and answer join requests
+ */
+const InviteLinksModal = ({ chat, onClose }) => {
+  const { user } = useAuth();
+  const canManage = hasChatPermission(chat, user?._id, "manageInvites");
+
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(canManage);
+  const [creating, setCreating] = useState(false);
+  const [options, setOptions] = useState({
+    expiresIn: "",
+    maxUses: "",
+    requireApproval: false,
+  });
+
+  const loadInvites = useCallback(async () => {
+    try {
+      const response = await chatAPI.getInvites(chat._id);
+      if (response.success) {
+        setInvites(response.data.invites);
+      }
+    } catch (error) {
+      console.error("Error loading invite links:", error);
+      toast.error(error.message || "Failed to load invite links");
+    } finally {
+      setLoading(false);
+    }
+  }, [chat._id]);
+
+  useEffect(() => {
+    if (canManage) {
+      loadInvites();
+    }
+  }, [canManage, loadInvites]);
+
+  const copyLink = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(invite));
+      toast.success("Invite link copied");
+    } catch (error) {
+      toast.error("Could not copy the link");
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      const response = await chatAPI.createInvite(chat._id, {
+        expiresIn: options.expiresIn ? Number(options.expiresIn) : null,
+        maxUses: options.maxUses ? Number(options.maxUses) : null,
+        requireApproval: options.requireApproval,
+      });
+
+      if (!response.success) {
+        throw new Error(response.message);
+      }
+
+      setInvites((prev) => [response.data.invite, ...prev]);
+      await copyLink(response.data.invite);
+    } catch (error) {
+      console.error("Error creating invite link:", error);
+      toast.error(error.message || "Failed to create invite link");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm("Revoke this invite link? It will stop working.")) {
+      return;
+    }
+
+    try {
+      const response = await chatAPI.revokeInvite(chat._id, invite._id);
+      if (response.success) {
+        setInvites((prev) => prev.filter((i) => i._id !== invite._id));
+        toast.success(response.message);
+      }
+    } catch (error) {
+      console.error("Error revoking invite link:", error);
+      toast.error(error.message || "Failed to revoke invite link");
+    }
+  };
+
+  const handleJoinRequest = async (invite, requester, approve) => {
+    try {
+      const response = await chatAPI.answerJoinRequest(
+        chat._id,
+        invite._id,
+        requester._id,
+        approve
+      );
+      if (response.success) {
+        setInvites((prev) =>
+          prev.map((i) =>
+            i._id === invite._id
+              ? {
+                  ...i,
+                  uses: approve ? i.uses + 1 : i.uses,
+                  joinRequests: i.joinRequests.filter(
+                    (r) => r.user._id !== requester._id
+                  ),
+                }
+              : i
+          )
+        );
+        toast.success(response.message);
+      }
+    } catch (error) {
+      console.error("Error answering join request:", error);
+      toast.error(error.message || "Failed to answer join request");
+    }
+  };
+
+  const describeInvite = (invite) => {
+    const parts = [
+      invite.maxUses
+        ? `${invite.uses}/${invite.maxUses} uses`
+        : `${invite.uses} uses`,
+    ];
+    if (invite.expiresAt) {
+      parts.push(
+        new Date(invite.expiresAt) < new Date()
+          ? "expired"
+          : `expires ${new Date(invite.expiresAt).toLocaleString()}`
+      );
+    }
+    if (invite.requireApproval) parts.push("approval required");
+    return parts.join(" · ");
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <LinkIcon className="w-5 h-5 mr-2 text-gray-500" />
+            Invite Links
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <XMarkIcon className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        {/* New link */}
+        <form onSubmit={handleCreate} className="p-4 border-b space-y-3">
+          <div className="flex space-x-3">
+            <label className="flex-1 text-sm text-gray-700">
+              Expires
+              <select
+                value={options.expiresIn}
+                onChange={(e) =>
+                  setOptions((prev) => ({ ...prev, expiresIn: e.target.value }))
+                }
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.label} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex-1 text-sm text-gray-700">
+              Max uses
+              <input
+                type="number"
+                min="1"
+                placeholder="Unlimited"
+                value={options.maxUses}
+                onChange={(e) =>
+                  setOptions((prev) => ({ ...prev, maxUses: e.target.value }))
+                }
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </label>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.requireApproval}
+              onChange={(e) =>
+                setOptions((prev) => ({
+                  ...prev,
+                  requireApproval: e.target.checked,
+                }))
+              }
+              className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Admins must approve new members
+          </label>
+          <button
+            type="submit"
+            disabled={creating}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {creating ? "Creating..." : "Create and Copy Link"}
+          </button>
+        </form>
+
+        {/* Existing links (admins) */}
+        {canManage && (
+          <div className="flex-1 overflow-y-auto">
+            {loading ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : invites.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-6">
+                No active invite links
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {invites.map((invite) => (
+                  <li key={invite._id} className="px-4 py-3">
+                    <div className="flex items-center justify-between">
+                      <div className="min-w-0">
+                        <p className="text-sm font-mono text-gray-900 truncate">
+                          {invite.path}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {describeInvite(invite)}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-1 flex-shrink-0">
+                        <button
+                          onClick={() => copyLink(invite)}
+                          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+                          title="Copy link"
+                        >
+                          <ClipboardDocumentIcon className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleRevoke(invite)}
+                          className="p-1 text-red-500 hover:text-red-700 hover:bg-red-100 rounded"
+                          title="Revoke link"
+                        >
+                          <TrashIcon className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+
+                    {/* Join requests waiting for approval */}
+                    {invite.joinRequests?.map((request) => (
+                      <div
+                        key={request.user._id}
+                        className="flex items-center justify-between mt-2 pl-2 border-l-2 border-blue-200"
+                      >
+                        <span className="text-sm text-gray-700 truncate">
+                          @{request.user.username} wants to join
+                        </span>
+                        <div className="flex space-x-2 flex-shrink-0">
+                          <button
+                            onClick={() =>
+                              handleJoinRequest(invite, request.user, true)
+                            }
+                            className="text-xs text-blue-600 hover:text-blue-700 font-medium"
+                          >
+                            Approve
+                          </button>
+                          <button
+                            onClick={() =>
+                              handleJoinRequest(invite, request.user, false)
+                            }
+                            className="text-xs text-gray-500 hover:text-gray-700"
+                          >
+                            Decline
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InviteLinksModal;
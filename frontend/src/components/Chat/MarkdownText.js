@@ -0,0 +1,121 @@
+import React, { useMemo } from "react";
+import { parseMarkdown, parseInline } from "../../utils/markdown";
+import { highlightCode } from "../../utils/highlight";
+
+const TOKEN_CLASSES = {
+  keyword: "text-purple-300",
+  string: "text-green-300",
+  number: "text-amber-300",
+  comment: "text-gray-400 italic",
+};
+
+/**
+ * Markdown Text Component
+ * Renders message text written in the Markdown subset (see
+ * utils/markdown.js). renderText formats plain text runs, e.g. to
+ * highlight @mentions.
+ */
+const MarkdownText = ({ text, isOwn = false, renderText = (t) => t }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  const renderInline = (nodes) =>
+    nodes.map((node, index) => {
+      switch (node.type) {
+        case "bold":
+          return <strong key={index}>{renderInline(node.children)}</strong>;
+        case "italic":
+          return <em key={index}>{renderInline(node.children)}</em>;
+        case "strike":
+          return <del key={index}>{renderInline(node.children)}</del>;
+        case "code":
+          return (
+            <code
+              key={index}
+              className={`font-mono text-[0.85em] rounded px-1 ${
+                isOwn ? "bg-white/20" : "bg-gray-200"
+              }`}
+            >
+              {node.text}
+            </code>
+          );
+        case "link":
+          return (
+            <a
+              key={index}
+              href={node.href}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="underline break-all"
+            >
+              {node.text}
+            </a>
+          );
+        default:
+          return (
+            <React.Fragment key={index}>{renderText(node.text)}</React.Fragment>
+          );
+      }
+    });
+
+  const renderBlocks = (items) =>
+    items.map((block, index) => {
+      switch (block.type) {
+        case "code":
+          return (
+            <pre
+              key={index}
+              className="bg-gray-900 text-gray-100 rounded-md p-2 text-xs font-mono overflow-x-auto"
+            >
+              <code>
+                {highlightCode(block.code, block.language).map((token, i) =>
+                  token.kind ? (
+                    <span key={i} className={TOKEN_CLASSES[token.kind]}>
+                      {token.text}
+                    </span>
+                  ) : (
+                    <React.Fragment key={i}>{token.text}</React.Fragment>
+                  )
+                )}
+              </code>
+            </pre>
+          );
+        case "quote":
+          return (
+            <blockquote
+              key={index}
+              className={`border-l-4 pl-2 space-y-1 ${
+                isOwn ? "border-white/50" : "border-gray-300 text-gray-600"
+              }`}
+            >
+              {renderBlocks(block.children)}
+            </blockquote>
+          );
+        case "list": {
+          const List = block.ordered ? "ol" : "ul";
+          return (
+            <List
+              key={index}
+              start={block.start}
+              className={`pl-5 ${block.ordered ? "list-decimal" : "list-disc"}`}
+            >
+              {block.items.map((item, i) => (
+                <li key={i}>{renderInline(parseInline(item))}</li>
+              ))}
+            </List>
+          );
+        }
+        default:
+          return (
+            <p key={index} className="whitespace-pre-wrap">
+              {renderInline(parseInline(block.text))}
+            </p>
+          );
+      }
+    });
+
+  return (
+    <div className="text-sm break-words space-y-1">{renderBlocks(blocks)}</div>
+  );
+};
+
+export default MarkdownText;
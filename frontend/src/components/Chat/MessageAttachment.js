@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from "react";
+import {
+  DocumentIcon,
+  ArrowDownTrayIcon,
+  PhotoIcon,
+} from "@heroicons/react/24/outline";
+import { apiUtils } from "../../services/api";
+import toast from "react-hot-toast";
+
+/**
+ * Format a byte count for display
+ */
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Message Attachment Component
+ * Renders an image preview or a downloadable file card.
+ * Files are fetched through the API so chat membership is checked.
+ */
+const MessageAttachment = ({ file, isOwn }) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [previewFailed, setPreviewFailed] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const isImage = file?.mimeType?.startsWith("image/");
+
+  // Load image previews as object URLs
+  useEffect(() => {
+    if (!isImage || !file?.url) return;
+
+    let objectUrl;
+    let cancelled = false;
+
+    apiUtils
+      .downloadFile(file.url)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setPreviewUrl(objectUrl);
+      })
+      .catch((error) => {
+        console.error("Error loading image:", error);
+        if (!cancelled) setPreviewFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [file?.url, isImage]);
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const blob = await apiUtils.downloadFile(file.url, true);
+      const objectUrl = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.href = objectUrl;
+      link.download = file.name || "download";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      console.error("Error downloading file:", error);
+      toast.error(error.message || "Failed to download file");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (!file?.url) return null;
+
+  if (isImage && !previewFailed) {
+    return (
+      <button
+        type="button"
+        onClick={handleDownload}
+        className="block mb-1 rounded-lg overflow-hidden bg-gray-100"
+        title={file.name}
+      >
+        {previewUrl ? (
+          <img
+            src={previewUrl}
+            alt={file.name}
+            className="max-h-64 max-w-full object-contain"
+          />
+        ) : (
+          <div className="w-48 h-32 flex items-center justify-center">
+            <PhotoIcon className="w-8 h-8 text-gray-400 animate-pulse" />
+          </div>
+        )}
+      </button>
+    );
+  }
+
+  return (
+    <div
+      className={`flex items-center space-x-3 mb-1 p-2 rounded-lg ${
+        isOwn ? "bg-blue-500/30" : "bg-gray-100"
+      }`}
+    >
+      <DocumentIcon className="w-8 h-8 flex-shrink-0 opacity-70" />
+      <div className="min-w-0 flex-1">
+        <p className="text-sm font-medium truncate">{file.name}</p>
+        <p className="text-xs opacity-70">{formatFileSize(file.size)}</p>
+      </div>
+      <button
+        type="button"
+        onClick={handleDownload}
+        disabled={downloading}
+        className="p-1 rounded hover:bg-black/10 transition-colors duration-200"
+        title="Download"
+      >
+        <ArrowDownTrayIcon className="w-5 h-5" />
+      </button>
+    </div>
+  );
+};
+
+export default MessageAttachment;
@@ -1,12 +1,29 @@
 import React, { useState } from "react";
 import { useChat } from "../../contexts/ChatContext";
+import { useAuth } from "../../contexts/AuthContext";
 import {
   EllipsisHorizontalIcon,
   PencilIcon,
   TrashIcon,
   ArrowUturnLeftIcon,
+  ArrowUturnRightIcon,
   FaceSmileIcon,
+  MapPinIcon,
 } from "@heroicons/react/24/outline";
+import MessageAttachment from "./MessageAttachment";
+import MessageReceipts from "./MessageReceipts";
+import EditHistoryPopover from "./EditHistoryPopover";
+import DeleteMessageDialog from "./DeleteMessageDialog";
+import ForwardMessageModal from "./ForwardMessageModal";
+import MarkdownText from "./MarkdownText";
+import PollCard from "./PollCard";
+import AudioPlayer from "./AudioPlayer";
+import { splitMentions } from "../../utils/mentions";
+import { hasChatPermission, canPinMessages } from "../../utils/permissions";
+import {
+  isSystemMessage,
+  describeSystemMessage,
+} from "../../utils/systemMessages";
 
 /**
  * Message Item Component
@@ -18,12 +35,76 @@ const MessageItem = ({
   showAvatar = true,
   showTimestamp = true,
   isGrouped = false,
+  inThread = false,
+  showSeenBy = false,
 }) => {
-  const { editMessage, deleteMessage, addReaction } = useChat();
+  const { user } = useAuth();
+  const {
+    chats,
+    currentChat,
+    editMessage,
+    deleteMessage,
+    addReaction,
+    openThread,
+    pinnedMessages,
+    pinMessage,
+    unpinMessage,
+  } = useChat();
   const [showActions, setShowActions] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  const [showForwardModal, setShowForwardModal] = useState(false);
   const [editText, setEditText] = useState(message.content?.text || "");
 
+  // Anyone can delete a message for themselves; for everyone it takes
+  // the sender (within the delete window) or a moderator and above
+  const canDeleteForEveryone =
+    hasChatPermission(currentChat, user?._id, "deleteOthersMessages") ||
+    (isOwn &&
+      (!message.deletableUntil ||
+        new Date(message.deletableUntil) > new Date()));
+
+  const isPoll = message.content.type === "poll" && message.content.poll;
+  const isAudio = message.content.type === "audio";
+
+  // Edits are only accepted within the server's edit window (polls and
+  // voice messages are never edited)
+  const canEdit =
+    isOwn &&
+    !isPoll &&
+    !isAudio &&
+    (!message.editableUntil || new Date(message.editableUntil) > new Date());
+
+  // Thread replies stay out of the pinned bar
+  const canPin = !inThread && canPinMessages(currentChat, user?._id);
+  const isPinned = pinnedMessages.some(
+    (pin) => pin.message._id === message._id
+  );
+
+  const handleTogglePin = () => {
+    if (isPinned) {
+      unpinMessage(currentChat._id, message._id);
+    } else {
+      pinMessage(currentChat._id, message._id);
+    }
+  };
+
+  // Forwarded messages name the original sender and chat where the
+  // server kept them (the chat only if the current user is in it)
+  const getForwardedLabel = () => {
+    const { sender, chat: chatId } = message.forwardedFrom;
+    const senderName = sender && (sender.firstName || sender.username);
+    const sourceChat = chatId && chats.find((chat) => chat._id === chatId);
+
+    if (senderName && sourceChat?.name) {
+      return `Forwarded from ${senderName} in ${sourceChat.name}`;
+    }
+    if (senderName || sourceChat?.name) {
+      return `Forwarded from ${senderName || sourceChat.name}`;
+    }
+    return "Forwarded";
+  };
+
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString("en-US", {
@@ -46,13 +127,12 @@ const MessageItem = ({
     }
   };
 
-  const handleDelete = async () => {
-    if (window.confirm("Are you sure you want to delete this message?")) {
-      try {
-        await deleteMessage(message._id, message.chat);
-      } catch (error) {
-        console.error("Error deleting message:", error);
-      }
+  const handleDelete = async (scope) => {
+    setShowDeleteDialog(false);
+    try {
+      await deleteMessage(message._id, message.chat, scope);
+    } catch (error) {
+      console.error("Error deleting message:", error);
     }
   };
 
@@ -64,8 +144,52 @@ const MessageItem = ({
     }
   };
 
+  // Highlight @mentions that resolve to a chat participant
+  const renderText = (text) => {
+    const participantNames = (currentChat?.participants || []).map((p) =>
+      p.user?.username?.toLowerCase()
+    );
+
+    return splitMentions(text).map((part, index) => {
+      const username = part.username?.toLowerCase();
+      if (!username || !participantNames.includes(username)) {
+        return <React.Fragment key={index}>{part.text}</React.Fragment>;
+      }
+
+      const isMe = username === user?.username?.toLowerCase();
+      return (
+        <span
+          key={index}
+          className={`font-medium rounded px-0.5 ${
+            isOwn
+              ? "bg-white/20"
+              : isMe
+              ? "bg-yellow-100 text-yellow-800"
+              : "text-blue-600"
+          }`}
+        >
+          {part.text}
+        </span>
+      );
+    });
+  };
+
   const quickReactions = ["👍", "❤️", "😂", "😮", "😢", "😡"];
 
+  // Chat changes show as centered timeline notices
+  if (isSystemMessage(message)) {
+    return (
+      <div className="flex justify-center">
+        <p
+          className="max-w-md text-center text-xs text-gray-500 bg-gray-100 rounded-full px-3 py-1"
+          title={new Date(message.createdAt).toLocaleString()}
+        >
+          {describeSystemMessage(message, user?._id)}
+        </p>
+      </div>
+    );
+  }
+
   if (message.isDeleted) {
     return (
       <div className={`flex ${isOwn ? "justify-end" : "justify-start"}`}>
@@ -181,13 +305,45 @@ const MessageItem = ({
               </div>
             ) : (
               <>
-                <p className="text-sm whitespace-pre-wrap break-words">
-                  {message.content.text}
-                </p>
+                {/* Forwarded indicator */}
+                {message.forwardedFrom?.message && (
+                  <p className="flex items-center text-xs italic opacity-70 mb-1">
+                    <ArrowUturnRightIcon className="w-3 h-3 mr-1 flex-shrink-0" />
+                    {getForwardedLabel()}
+                  </p>
+                )}
+
+                {/* Attachment */}
+                {message.content.file?.url &&
+                  (isAudio ? (
+                    <AudioPlayer file={message.content.file} isOwn={isOwn} />
+                  ) : (
+                    <MessageAttachment
+                      file={message.content.file}
+                      isOwn={isOwn}
+                    />
+                  ))}
+
+                {isPoll ? (
+                  <PollCard message={message} isOwn={isOwn} />
+                ) : (
+                  message.content.text &&
+                  (message.content.format === "markdown" ? (
+                    <MarkdownText
+                      text={message.content.text}
+                      isOwn={isOwn}
+                      renderText={renderText}
+                    />
+                  ) : (
+                    <p className="text-sm whitespace-pre-wrap break-words">
+                      {renderText(message.content.text)}
+                    </p>
+                  ))
+                )}
 
                 {/* Edit indicator */}
                 {message.isEdited && (
-                  <span className="text-xs opacity-70 ml-2">(edited)</span>
+                  <EditHistoryPopover message={message} isOwn={isOwn} />
                 )}
               </>
             )}
@@ -210,16 +366,30 @@ const MessageItem = ({
                 <FaceSmileIcon className="w-4 h-4" />
               </button>
 
-              {/* Reply */}
-              <button
-                className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
-                title="Reply"
-              >
-                <ArrowUturnLeftIcon className="w-4 h-4" />
-              </button>
+              {/* Reply in thread */}
+              {!inThread && (
+                <button
+                  onClick={() => openThread(message._id)}
+                  className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+                  title="Reply in thread"
+                >
+                  <ArrowUturnLeftIcon className="w-4 h-4" />
+                </button>
+              )}
 
-              {/* Edit (own messages only) */}
-              {isOwn && (
+              {/* Forward to other chats (polls stay where they are) */}
+              {!isPoll && (
+                <button
+                  onClick={() => setShowForwardModal(true)}
+                  className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+                  title="Forward"
+                >
+                  <ArrowUturnRightIcon className="w-4 h-4" />
+                </button>
+              )}
+
+              {/* Edit (own messages, within the edit window) */}
+              {canEdit && (
                 <button
                   onClick={() => setIsEditing(true)}
                   className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
@@ -229,6 +399,21 @@ const MessageItem = ({
                 </button>
               )}
 
+              {/* Pin / unpin */}
+              {canPin && (
+                <button
+                  onClick={handleTogglePin}
+                  className={`p-1 hover:bg-gray-100 rounded ${
+                    isPinned
+                      ? "text-blue-500 hover:text-blue-700"
+                      : "text-gray-500 hover:text-gray-700"
+                  }`}
+                  title={isPinned ? "Unpin" : "Pin"}
+                >
+                  <MapPinIcon className="w-4 h-4" />
+                </button>
+              )}
+
               {/* More actions */}
               <button
                 className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
@@ -237,16 +422,14 @@ const MessageItem = ({
                 <EllipsisHorizontalIcon className="w-4 h-4" />
               </button>
 
-              {/* Delete (own messages only) */}
-              {isOwn && (
-                <button
-                  onClick={handleDelete}
-                  className="p-1 text-red-500 hover:text-red-700 hover:bg-red-100 rounded"
-                  title="Delete"
-                >
-                  <TrashIcon className="w-4 h-4" />
-                </button>
-              )}
+              {/* Delete (for me, or for everyone when allowed) */}
+              <button
+                onClick={() => setShowDeleteDialog(true)}
+                className="p-1 text-red-500 hover:text-red-700 hover:bg-red-100 rounded"
+                title="Delete"
+              >
+                <TrashIcon className="w-4 h-4" />
+              </button>
             </div>
           )}
         </div>
@@ -272,6 +455,25 @@ const MessageItem = ({
           </div>
         )}
 
+        {/* Thread summary */}
+        {!inThread && message.thread?.replyCount > 0 && (
+          <button
+            onClick={() => openThread(message._id)}
+            className="flex items-center space-x-1 mt-1 px-2 text-xs text-blue-600 hover:text-blue-700 hover:underline"
+          >
+            <ArrowUturnLeftIcon className="w-3 h-3" />
+            <span>
+              {message.thread.replyCount}{" "}
+              {message.thread.replyCount === 1 ? "reply" : "replies"}
+            </span>
+            {message.thread.lastReplyAt && (
+              <span className="text-gray-400">
+                · Last reply {formatTime(message.thread.lastReplyAt)}
+              </span>
+            )}
+          </button>
+        )}
+
         {/* Timestamp */}
         {showTimestamp && (
           <span
@@ -280,9 +482,30 @@ const MessageItem = ({
             }`}
           >
             {formatTime(message.createdAt)}
+            {isOwn && <MessageReceipts message={message} />}
           </span>
         )}
+
+        {/* Seen by (group chats) */}
+        {isOwn && showSeenBy && (
+          <MessageReceipts message={message} showSeenBy />
+        )}
       </div>
+
+      {showDeleteDialog && (
+        <DeleteMessageDialog
+          canDeleteForEveryone={canDeleteForEveryone}
+          onDelete={handleDelete}
+          onClose={() => setShowDeleteDialog(false)}
+        />
+      )}
+
+      {showForwardModal && (
+        <ForwardMessageModal
+          message={message}
+          onClose={() => setShowForwardModal(false)}
+        />
+      )}
     </div>
   );
 };
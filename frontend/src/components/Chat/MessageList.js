@@ -1,6 +1,12 @@
-import React, { useEffect, useRef } from "react";
+import React, { useEffect, useLayoutEffect, useRef } from "react";
 import { useAuth } from "../../contexts/AuthContext";
+import { useChat } from "../../contexts/ChatContext";
 import MessageItem from "./MessageItem";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import { isSystemMessage } from "../../utils/systemMessages";
+
+// Distance from the top/bottom edge (px) that triggers loading another page
+const LOAD_THRESHOLD = 80;
 
 /**
  * Message List Component
@@ -8,14 +14,83 @@ import MessageItem from "./MessageItem";
  */
 const MessageList = ({ messages = [] }) => {
   const { user } = useAuth();
+  const {
+    currentChat,
+    hasMoreMessages,
+    hasNewerMessages,
+    loadingMore,
+    loadMoreMessages,
+    loadNewerMessages,
+    highlightedMessageId,
+    setHighlightedMessageId,
+  } = useChat();
   const containerRef = useRef(null);
+  const prependAnchorRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+
+  const lastMessageId = messages[messages.length - 1]?._id;
+
+  // Group chats show "Seen by" under the latest own message only
+  const lastOwnMessageId =
+    currentChat?.type === "group"
+      ? [...messages]
+          .reverse()
+          .find((msg) => msg.sender._id === user?._id && !isSystemMessage(msg))
+          ?._id
+      : null;
 
-  // Auto-scroll to bottom when new messages arrive
+  // Keep the viewport steady when older messages are prepended,
+  // otherwise follow new messages at the bottom
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    if (prependAnchorRef.current) {
+      const { scrollHeight, scrollTop } = prependAnchorRef.current;
+      container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+      prependAnchorRef.current = null;
+    } else if (
+      !highlightedMessageId &&
+      !hasNewerMessages &&
+      lastMessageId !== lastMessageIdRef.current
+    ) {
+      container.scrollTop = container.scrollHeight;
+    }
+
+    lastMessageIdRef.current = lastMessageId;
+  }, [messages, lastMessageId, highlightedMessageId, hasNewerMessages]);
+
+  // Scroll to and briefly highlight a jumped-to message
   useEffect(() => {
-    if (containerRef.current) {
-      containerRef.current.scrollTop = containerRef.current.scrollHeight;
+    if (!highlightedMessageId || !containerRef.current) return;
+
+    const element = containerRef.current.querySelector(
+      `[data-message-id="${highlightedMessageId}"]`
+    );
+    element?.scrollIntoView({ block: "center" });
+
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId, messages, setHighlightedMessageId]);
+
+  const handleScroll = () => {
+    const container = containerRef.current;
+    if (!container || !currentChat || loadingMore) return;
+
+    if (container.scrollTop < LOAD_THRESHOLD && hasMoreMessages) {
+      prependAnchorRef.current = {
+        scrollHeight: container.scrollHeight,
+        scrollTop: container.scrollTop,
+      };
+      loadMoreMessages(currentChat._id);
+    } else if (
+      container.scrollHeight - container.scrollTop - container.clientHeight <
+        LOAD_THRESHOLD &&
+      hasNewerMessages
+    ) {
+      loadNewerMessages(currentChat._id);
     }
-  }, [messages]);
+  };
 
   if (messages.length === 0) {
     return (
@@ -48,39 +123,63 @@ const MessageList = ({ messages = [] }) => {
   return (
     <div
       ref={containerRef}
+      onScroll={handleScroll}
       className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-4"
     >
+      {loadingMore && hasMoreMessages && (
+        <div className="flex justify-center py-2">
+          <LoadingSpinner size="sm" />
+        </div>
+      )}
+
       {messages.map((message, index) => {
         const prevMessage = index > 0 ? messages[index - 1] : null;
         const nextMessage =
           index < messages.length - 1 ? messages[index + 1] : null;
 
         // Group messages by same sender within 5 minutes
+        // (system notices always stand alone)
         const isSameSender =
           prevMessage &&
+          !isSystemMessage(prevMessage) &&
           prevMessage.sender._id === message.sender._id &&
           new Date(message.createdAt) - new Date(prevMessage.createdAt) <
             5 * 60 * 1000;
 
         const isLastInGroup =
           !nextMessage ||
+          isSystemMessage(nextMessage) ||
           nextMessage.sender._id !== message.sender._id ||
           new Date(nextMessage.createdAt) - new Date(message.createdAt) >
             5 * 60 * 1000;
 
-        const isOwn = message.sender._id === user?.id;
+        const isOwn = message.sender._id === user?._id;
 
         return (
-          <MessageItem
+          <div
             key={message._id}
-            message={message}
-            isOwn={isOwn}
-            showAvatar={!isSameSender}
-            showTimestamp={isLastInGroup}
-            isGrouped={isSameSender}
-          />
+            data-message-id={message._id}
+            className={`rounded-lg transition-colors duration-500 ${
+              message._id === highlightedMessageId ? "bg-yellow-50" : ""
+            }`}
+          >
+            <MessageItem
+              message={message}
+              isOwn={isOwn}
+              showAvatar={!isSameSender}
+              showTimestamp={isLastInGroup}
+              isGrouped={isSameSender}
+              showSeenBy={message._id === lastOwnMessageId}
+            />
+          </div>
         );
       })}
+
+      {loadingMore && hasNewerMessages && (
+        <div className="flex justify-center py-2">
+          <LoadingSpinner size="sm" />
+        </div>
+      )}
     </div>
   );
 };
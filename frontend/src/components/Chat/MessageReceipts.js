@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { CheckIcon } from "@heroicons/react/24/outline";
+import { useChat } from "../../contexts/ChatContext";
+import { useAuth } from "../../contexts/AuthContext";
+import { useSocket } from "../../contexts/SocketContext";
+import { messageAPI } from "../../services/api";
+import toast from "react-hot-toast";
+
+/**
+ * Small avatar used in the "Seen by" row
+ */
+const ReceiptAvatar = ({ user }) => (
+  <div
+    className="w-4 h-4 bg-gray-200 rounded-full flex items-center justify-center overflow-hidden ring-2 ring-white"
+    title={user.firstName || user.username}
+  >
+    {user.avatar ? (
+      <img
+        src={user.avatar}
+        alt={user.username}
+        className="w-full h-full object-cover"
+      />
+    ) : (
+      <span className="text-[8px] font-medium text-gray-600">
+        {user.username?.charAt(0).toUpperCase()}
+      </span>
+    )}
+  </div>
+);
+
+/**
+ * Message Receipts Component
+ * Delivered/read ticks for direct chats, "Seen by N" for group chats.
+ * Read state comes from each participant's read position in the chat.
+ */
+const MessageReceipts = ({ message, showSeenBy = false }) => {
+  const { user } = useAuth();
+  const { currentChat } = useChat();
+  const { isUserOnline } = useSocket();
+
+  const [showDetails, setShowDetails] = useState(false);
+  const [receipts, setReceipts] = useState(null);
+
+  if (!currentChat?.participants) return null;
+
+  const recipients = currentChat.participants.filter(
+    (p) => p.user._id !== user?._id
+  );
+  const readers = recipients.filter(
+    (p) => new Date(p.lastRead) >= new Date(message.createdAt)
+  );
+
+  if (currentChat.type === "direct") {
+    const recipient = recipients[0];
+    const isRead = readers.length > 0;
+    // Delivered once the recipient is connected and receiving messages
+    const isDelivered =
+      isRead || (recipient && isUserOnline(recipient.user._id));
+
+    return (
+      <span
+        className={`inline-flex items-center ml-1 ${
+          isRead ? "text-blue-500" : "text-gray-400"
+        }`}
+        title={isRead ? "Read" : isDelivered ? "Delivered" : "Sent"}
+      >
+        <CheckIcon className="w-3 h-3" />
+        {isDelivered && <CheckIcon className="w-3 h-3 -ml-2" />}
+      </span>
+    );
+  }
+
+  if (!showSeenBy || readers.length === 0) return null;
+
+  const toggleDetails = async () => {
+    if (showDetails) {
+      setShowDetails(false);
+      return;
+    }
+
+    try {
+      const response = await messageAPI.getReceipts(message._id);
+      if (response.success) {
+        setReceipts(response.data);
+        setShowDetails(true);
+      } else {
+        throw new Error(response.message || "Failed to load receipts");
+      }
+    } catch (error) {
+      console.error("Error loading receipts:", error);
+      toast.error(error.message || "Failed to load receipts");
+    }
+  };
+
+  return (
+    <div className="relative mt-1">
+      <button
+        onClick={toggleDetails}
+        className="flex items-center space-x-1 text-xs text-gray-500 hover:text-gray-700"
+      >
+        <span>
+          Seen by {readers.length}
+          {readers.length === recipients.length ? " (everyone)" : ""}
+        </span>
+        <div className="flex -space-x-1">
+          {readers.slice(0, 3).map((p) => (
+            <ReceiptAvatar key={p.user._id} user={p.user} />
+          ))}
+        </div>
+      </button>
+
+      {showDetails && receipts && (
+        <div className="absolute right-0 bottom-full mb-1 w-48 bg-white border border-gray-200 rounded-lg shadow-lg p-2 z-10 text-xs">
+          <p className="font-medium text-gray-700 mb-1">
+            Seen by {receipts.readCount} of {receipts.recipientCount}
+          </p>
+          {receipts.readBy.map((reader) => (
+            <div key={reader._id} className="flex items-center space-x-2 py-0.5">
+              <ReceiptAvatar user={reader} />
+              <span className="text-gray-700 truncate">
+                {reader.firstName || reader.username}
+              </span>
+            </div>
+          ))}
+          {receipts.unreadBy.length > 0 && (
+            <p className="text-gray-400 mt-1">
+              Not yet: {receipts.unreadBy.map((u) => u.username).join(", ")}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageReceipts;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  MagnifyingGlassIcon,
+  XMarkIcon,
+  AdjustmentsHorizontalIcon,
+} from "@heroicons/react/24/outline";
+import { useChat } from "../../contexts/ChatContext";
+import { messageAPI } from "../../services/api";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import toast from "react-hot-toast";
+
+const emptyFilters = {
+  chatId: "",
+  senderId: "",
+  type: "",
+  from: "",
+  to: "",
+};
+
+/**
+ * Search request params for a query and the chosen filters
+ */
+const buildParams = (query, filters, before) => {
+  const params = { q: query.trim() };
+  if (filters.chatId) params.chatId = filters.chatId;
+  if (filters.senderId) params.senderId = filters.senderId;
+  if (filters.type) params.type = filters.type;
+  if (filters.from) params.from = new Date(filters.from).toISOString();
+  if (filters.to) {
+    // Include the whole "to" day
+    params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+  }
+  if (before) params.before = before;
+  return params;
+};
+
+/**
+ * Message Search Panel Component
+ * Full-text search across the user's chats with filters
+ */
+const MessageSearchPanel = ({ onClose, onResultSelect }) => {
+  const { chats, selectChat, jumpToMessage, openThread } = useChat();
+
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState(emptyFilters);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const searchControllerRef = useRef(null);
+
+  const selectedChat = chats.find((chat) => chat._id === filters.chatId);
+
+  const runSearch = useCallback(
+    async (before = null) => {
+      // A newer search replaces the one still in flight
+      searchControllerRef.current?.abort();
+      const controller = new AbortController();
+      searchControllerRef.current = controller;
+
+      try {
+        setLoading(true);
+        const response = await messageAPI.searchMessages(
+          buildParams(query, filters, before),
+          controller.signal
+        );
+
+        if (response.success) {
+          setResults((prev) =>
+            before
+              ? [...prev, ...response.data.results]
+              : response.data.results
+          );
+          setPagination(response.data.pagination);
+        } else {
+          throw new Error(response.message || "Failed to search messages");
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error("Error searching messages:", error);
+        toast.error(error.message || "Failed to search messages");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    },
+    [query, filters]
+  );
+
+  // Drop any search still in flight when the panel closes
+  useEffect(() => () => searchControllerRef.current?.abort(), []);
+
+  // Debounced search when the query or filters change
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      searchControllerRef.current?.abort();
+      setLoading(false);
+      setResults([]);
+      setPagination(null);
+      return;
+    }
+
+    const timeout = setTimeout(() => runSearch(), 300);
+    return () => clearTimeout(timeout);
+  }, [query, runSearch]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [key]: value,
+      // Sender options depend on the chosen chat
+      ...(key === "chatId" && { senderId: "" }),
+    }));
+  };
+
+  const handleResultClick = async (result) => {
+    const chat = chats.find((c) => c._id === result.chat._id);
+    if (!chat) return;
+
+    await selectChat(chat);
+
+    // Thread replies live in the thread panel, next to their root message
+    const { threadRoot } = result.message;
+    await jumpToMessage(chat._id, threadRoot || result.message._id);
+    if (threadRoot) {
+      await openThread(result.message._id);
+    }
+    onResultSelect?.();
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+
+  const activeFilterCount = Object.values(filters).filter(Boolean).length;
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-xl font-semibold text-gray-900">
+            Search Messages
+          </h1>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 rounded-lg transition-colors duration-200"
+            title="Close search"
+          >
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+            <input
+              type="text"
+              autoFocus
+              placeholder="Search messages..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`relative p-2 rounded-lg transition-colors duration-200 ${
+              showFilters
+                ? "text-blue-600 bg-blue-50"
+                : "text-gray-500 hover:text-gray-700"
+            }`}
+            title="Filters"
+          >
+            <AdjustmentsHorizontalIcon className="w-5 h-5" />
+            {activeFilterCount > 0 && (
+              <span className="absolute -top-1 -right-1 w-4 h-4 bg-blue-600 text-white text-[10px] rounded-full flex items-center justify-center">
+                {activeFilterCount}
+              </span>
+            )}
+          </button>
+        </div>
+
+        {/* Filters */}
+        {showFilters && (
+          <div className="mt-3 space-y-2 text-sm">
+            <select
+              value={filters.chatId}
+              onChange={(e) => handleFilterChange("chatId", e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-1.5"
+            >
+              <option value="">All chats</option>
+              {chats.map((chat) => (
+                <option key={chat._id} value={chat._id}>
+                  {chat.name || "Unnamed chat"}
+                </option>
+              ))}
+            </select>
+
+            {selectedChat && (
+              <select
+                value={filters.senderId}
+                onChange={(e) => handleFilterChange("senderId", e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-1.5"
+              >
+                <option value="">From anyone</option>
+                {selectedChat.participants?.map((p) => (
+                  <option key={p.user._id} value={p.user._id}>
+                    {p.user.fullName || p.user.username}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <select
+              value={filters.type}
+              onChange={(e) => handleFilterChange("type", e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-1.5"
+            >
+              <option value="">Any content</option>
+              <option value="text">Text</option>
+              <option value="image">Images</option>
+              <option value="file">Files</option>
+            </select>
+
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs text-gray-500">
+                From
+                <input
+                  type="date"
+                  value={filters.from}
+                  onChange={(e) => handleFilterChange("from", e.target.value)}
+                  className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-500">
+                To
+                <input
+                  type="date"
+                  value={filters.to}
+                  onChange={(e) => handleFilterChange("to", e.target.value)}
+                  className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+                />
+              </label>
+            </div>
+
+            {activeFilterCount > 0 && (
+              <button
+                onClick={() => setFilters(emptyFilters)}
+                className="text-blue-600 hover:text-blue-700 text-xs"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto custom-scrollbar">
+        {loading && results.length === 0 ? (
+          <div className="flex justify-center items-center py-8">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : results.length === 0 ? (
+          <div className="text-center py-8 px-4">
+            <MagnifyingGlassIcon className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-500">
+              {query.trim().length < 2
+                ? "Type at least 2 characters to search"
+                : "No messages found"}
+            </p>
+          </div>
+        ) : (
+          <div className="py-2">
+            {results.map((result) => (
+              <button
+                key={result.message._id}
+                onClick={() => handleResultClick(result)}
+                className="w-full p-3 text-left hover:bg-gray-50 transition-colors duration-200"
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {result.chat.name || "Unnamed chat"}
+                  </p>
+                  <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
+                    {formatDate(result.message.createdAt)}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mb-1">
+                  {result.message.sender?.firstName ||
+                    result.message.sender?.username}
+                </p>
+                <p className="text-sm text-gray-700 line-clamp-2 break-words">
+                  {result.snippet.map((segment, index) =>
+                    segment.highlight ? (
+                      <mark
+                        key={index}
+                        className="bg-yellow-200 text-gray-900 rounded px-0.5"
+                      >
+                        {segment.text}
+                      </mark>
+                    ) : (
+                      <React.Fragment key={index}>{segment.text}</React.Fragment>
+                    )
+                  )}
+                </p>
+              </button>
+            ))}
+
+            {pagination?.hasMore && (
+              <div className="flex justify-center py-3">
+                <button
+                  onClick={() => runSearch(pagination.endCursor)}
+                  disabled={loading}
+                  className="text-blue-600 hover:text-blue-700 text-sm"
+                >
+                  {loading ? "Loading..." : "Load more results"}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessageSearchPanel;
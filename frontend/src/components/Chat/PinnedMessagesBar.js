@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import {
+  MapPinIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+import { useChat } from "../../contexts/ChatContext";
+
+/**
+ * One-line preview of a pinned message
+ */
+const pinExcerpt = (message) =>
+  message.content?.text || message.content?.file?.name || "Attachment";
+
+/**
+ * Pinned Messages Bar Component
+ * Shows the latest pin under the chat header; expands to list every pin.
+ * Clicking a pin jumps to the message in the timeline.
+ */
+const PinnedMessagesBar = ({ chat, canPin }) => {
+  const { pinnedMessages, jumpToMessage, unpinMessage } = useChat();
+  const [expanded, setExpanded] = useState(false);
+
+  if (pinnedMessages.length === 0) {
+    return null;
+  }
+
+  const handleJump = (pin) => {
+    jumpToMessage(chat._id, pin.message._id);
+    setExpanded(false);
+  };
+
+  const renderPin = (pin) => (
+    <div
+      key={pin.message._id}
+      className="flex items-center space-x-2 px-4 py-2 hover:bg-gray-50"
+    >
+      <button
+        onClick={() => handleJump(pin)}
+        className="min-w-0 flex-1 text-left"
+        title="Go to message"
+      >
+        <p className="text-xs font-medium text-blue-600">
+          {pin.message.sender?.firstName || pin.message.sender?.username}
+        </p>
+        <p className="text-sm text-gray-700 truncate">
+          {pinExcerpt(pin.message)}
+        </p>
+      </button>
+      {canPin && (
+        <button
+          onClick={() => unpinMessage(chat._id, pin.message._id)}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded flex-shrink-0"
+          title="Unpin"
+        >
+          <XMarkIcon className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="border-b border-gray-200 bg-white">
+      <div className="flex items-center">
+        <MapPinIcon className="w-4 h-4 ml-4 text-blue-500 flex-shrink-0" />
+        <div className="min-w-0 flex-1">
+          {expanded ? (
+            <p className="px-4 py-2 text-sm font-medium text-gray-700">
+              {pinnedMessages.length} pinned{" "}
+              {pinnedMessages.length === 1 ? "message" : "messages"}
+            </p>
+          ) : (
+            renderPin(pinnedMessages[0])
+          )}
+        </div>
+        {pinnedMessages.length > 1 && (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="flex items-center px-3 py-2 text-xs text-gray-500 hover:text-gray-700 flex-shrink-0"
+            title={expanded ? "Collapse" : "Show all pinned messages"}
+          >
+            {!expanded && `+${pinnedMessages.length - 1}`}
+            {expanded ? (
+              <ChevronUpIcon className="w-4 h-4 ml-1" />
+            ) : (
+              <ChevronDownIcon className="w-4 h-4 ml-1" />
+            )}
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="max-h-60 overflow-y-auto border-t border-gray-100">
+          {pinnedMessages.map(renderPin)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PinnedMessagesBar;
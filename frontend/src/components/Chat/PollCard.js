@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from "react";
+import { CheckCircleIcon, ChartBarIcon } from "@heroicons/react/24/outline";
+import { useChat } from "../../contexts/ChatContext";
+import { useAuth } from "../../contexts/AuthContext";
+import { messageAPI } from "../../services/api";
+
+// setTimeout cannot wait longer than this
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Poll Card Component
+ * Renders a poll message with live result bars and lets participants vote
+ */
+const PollCard = ({ message, isOwn }) => {
+  const { user } = useAuth();
+  const { currentChat, votePoll } = useChat();
+  const poll = message.content.poll;
+  const [anonymousVotes, setAnonymousVotes] = useState([]);
+  const [voting, setVoting] = useState(false);
+  const [, setClosedAt] = useState(null);
+
+  // Anonymous polls do not list voters, so ask which options are ours
+  useEffect(() => {
+    if (!poll.anonymous) return;
+
+    messageAPI
+      .getPoll(message._id)
+      .then((response) => {
+        if (response.success) setAnonymousVotes(response.data.myVotes);
+      })
+      .catch((error) => console.error("Error loading poll votes:", error));
+  }, [message._id, poll.anonymous]);
+
+  // Re-render when the poll closes
+  useEffect(() => {
+    if (!poll.closesAt) return;
+
+    const delay = new Date(poll.closesAt) - new Date();
+    if (delay <= 0 || delay > MAX_TIMEOUT_MS) return;
+
+    const timer = setTimeout(() => setClosedAt(new Date()), delay);
+    return () => clearTimeout(timer);
+  }, [poll.closesAt]);
+
+  const isClosed =
+    Boolean(poll.closesAt) && new Date(poll.closesAt) <= new Date();
+
+  const myVotes = poll.anonymous
+    ? anonymousVotes
+    : poll.options
+        .filter((option) => option.voters?.includes(user?._id))
+        .map((option) => option._id);
+
+  const getVoterNames = (option) =>
+    (option.voters || [])
+      .map((voterId) => {
+        const participant = currentChat?.participants?.find(
+          (p) => p.user?._id === voterId
+        );
+        return participant?.user.firstName || participant?.user.username;
+      })
+      .filter(Boolean)
+      .join(", ");
+
+  const updateVotes = async (optionIds) => {
+    try {
+      setVoting(true);
+      const votes = await votePoll(message._id, optionIds);
+      if (poll.anonymous) setAnonymousVotes(votes);
+    } catch (error) {
+      // Error is handled in the context
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  // Single choice: picking your own choice again retracts it
+  const handleSelect = (optionId) => {
+    if (isClosed || voting) return;
+
+    const selected = myVotes.includes(optionId);
+    if (poll.allowMultiple) {
+      updateVotes(
+        selected
+          ? myVotes.filter((id) => id !== optionId)
+          : [...myVotes, optionId]
+      );
+    } else {
+      updateVotes(selected ? [] : [optionId]);
+    }
+  };
+
+  return (
+    <div className="w-64 max-w-full space-y-2">
+      <p className="text-sm font-medium flex items-start">
+        <ChartBarIcon className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+        <span className="break-words">{poll.question}</span>
+      </p>
+
+      <div className="space-y-1.5">
+        {poll.options.map((option) => {
+          const selected = myVotes.includes(option._id);
+          const percent = poll.voterCount
+            ? Math.round((option.voteCount / poll.voterCount) * 100)
+            : 0;
+          const voterNames = poll.anonymous ? "" : getVoterNames(option);
+
+          return (
+            <button
+              key={option._id}
+              type="button"
+              onClick={() => handleSelect(option._id)}
+              disabled={isClosed || voting}
+              title={voterNames || undefined}
+              className={`relative w-full text-left text-sm rounded-md overflow-hidden border disabled:cursor-default ${
+                isOwn ? "border-white/40" : "border-gray-200"
+              }`}
+            >
+              <div
+                className={`absolute inset-y-0 left-0 transition-all duration-300 ${
+                  isOwn ? "bg-white/25" : "bg-blue-100"
+                }`}
+                style={{ width: `${percent}%` }}
+              />
+              <div className="relative flex items-center justify-between px-2 py-1.5">
+                <span className="flex items-center min-w-0">
+                  {selected && (
+                    <CheckCircleIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+                  )}
+                  <span className="truncate">{option.text}</span>
+                </span>
+                <span className="text-xs ml-2 flex-shrink-0">{percent}%</span>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between text-xs opacity-80">
+        <span>
+          {poll.voterCount} {poll.voterCount === 1 ? "vote" : "votes"}
+          {poll.anonymous && " · Anonymous"}
+          {poll.allowMultiple && " · Multiple choice"}
+        </span>
+        {myVotes.length > 0 && !isClosed && (
+          <button
+            type="button"
+            onClick={() => updateVotes([])}
+            disabled={voting}
+            className="hover:underline"
+          >
+            Retract vote
+          </button>
+        )}
+      </div>
+
+      {poll.closesAt && (
+        <p className="text-xs opacity-80">
+          {isClosed ? "Closed" : "Closes"}{" "}
+          {new Date(poll.closesAt).toLocaleString()}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PollCard;
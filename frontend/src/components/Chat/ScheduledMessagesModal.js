@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { XMarkIcon, ClockIcon, TrashIcon } from "@heroicons/react/24/outline";
+import { messageAPI } from "../../services/api";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import toast from "react-hot-toast";
+
+/**
+ * Scheduled Messages Modal Component
+ * Lists the current user's scheduled messages in a chat and lets them
+ * cancel any that have not been sent yet
+ */
+const ScheduledMessagesModal = ({ chat, onClose }) => {
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadScheduledMessages = useCallback(async () => {
+    try {
+      const response = await messageAPI.getScheduledMessages(chat._id);
+      if (response.success) {
+        setScheduledMessages(response.data.scheduledMessages);
+      }
+    } catch (error) {
+      console.error("Error loading scheduled messages:", error);
+      toast.error(error.message || "Failed to load scheduled messages");
+    } finally {
+      setLoading(false);
+    }
+  }, [chat._id]);
+
+  useEffect(() => {
+    loadScheduledMessages();
+  }, [loadScheduledMessages]);
+
+  // Sent messages leave the list; failed ones show why
+  useEffect(() => {
+    const handleUpdated = (event) => {
+      const { chatId, scheduledMessage } = event.detail;
+      if (chatId !== chat._id) return;
+
+      setScheduledMessages((prev) =>
+        scheduledMessage.status === "sent"
+          ? prev.filter((m) => m._id !== scheduledMessage._id)
+          : prev.map((m) =>
+              m._id === scheduledMessage._id ? scheduledMessage : m
+            )
+      );
+    };
+
+    window.addEventListener("scheduled-message-updated", handleUpdated);
+    return () =>
+      window.removeEventListener("scheduled-message-updated", handleUpdated);
+  }, [chat._id]);
+
+  const handleCancel = async (scheduledMessage) => {
+    try {
+      const response = await messageAPI.cancelScheduledMessage(
+        chat._id,
+        scheduledMessage._id
+      );
+      if (response.success) {
+        setScheduledMessages((prev) =>
+          prev.filter((m) => m._id !== scheduledMessage._id)
+        );
+        toast.success(response.message);
+      }
+    } catch (error) {
+      console.error("Error cancelling scheduled message:", error);
+      toast.error(error.message || "Failed to cancel scheduled message");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <ClockIcon className="w-5 h-5 mr-2 text-gray-500" />
+            Scheduled Messages
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-full transition-colors"
+          >
+            <XMarkIcon className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <LoadingSpinner size="md" />
+            </div>
+          ) : scheduledMessages.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">
+              No scheduled messages
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {scheduledMessages.map((scheduledMessage) => (
+                <li
+                  key={scheduledMessage._id}
+                  className="flex items-start justify-between px-4 py-3"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900 break-words">
+                      {scheduledMessage.content.text ||
+                        scheduledMessage.content.file?.name}
+                    </p>
+                    {scheduledMessage.status === "failed" ? (
+                      <p className="text-xs text-red-600">
+                        Not sent: {scheduledMessage.failureReason}
+                      </p>
+                    ) : (
+                      <p className="text-xs text-gray-500">
+                        {new Date(scheduledMessage.sendAt).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleCancel(scheduledMessage)}
+                    className="p-1 text-red-500 hover:text-red-700 hover:bg-red-100 rounded flex-shrink-0"
+                    title={
+                      scheduledMessage.status === "failed" ? "Remove" : "Cancel"
+                    }
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledMessagesModal;
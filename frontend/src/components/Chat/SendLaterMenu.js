@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { ClockIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Format a date for a datetime-local input (local time, minute precision)
+ */
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+/**
+ * Quick picks offered above the custom time
+ */
+const getPresets = () => {
+  const inOneHour = new Date(Date.now() + 60 * 60 * 1000);
+
+  const tomorrowMorning = new Date();
+  tomorrowMorning.setDate(tomorrowMorning.getDate() + 1);
+  tomorrowMorning.setHours(9, 0, 0, 0);
+
+  return [
+    { label: "In 1 hour", date: inOneHour },
+    { label: "Tomorrow at 9:00", date: tomorrowMorning },
+  ];
+};
+
+/**
+ * Send Later Menu Component
+ * Clock button next to send that schedules the composed message
+ */
+const SendLaterMenu = ({ disabled, onSchedule }) => {
+  const [open, setOpen] = useState(false);
+  const [sendAt, setSendAt] = useState("");
+  const [scheduling, setScheduling] = useState(false);
+
+  const schedule = async (date) => {
+    try {
+      setScheduling(true);
+      await onSchedule(date);
+      setOpen(false);
+      setSendAt("");
+    } catch (error) {
+      // The caller reports the error
+    } finally {
+      setScheduling(false);
+    }
+  };
+
+  return (
+    <div className="relative flex-shrink-0">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        className={`p-2 rounded-lg transition-colors duration-200 ${
+          disabled
+            ? "text-gray-300 cursor-not-allowed"
+            : "text-gray-500 hover:text-gray-700"
+        }`}
+        title="Send later"
+      >
+        <ClockIcon className="w-5 h-5" />
+      </button>
+
+      {open && !disabled && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute bottom-full right-0 mb-2 w-64 bg-white rounded-lg shadow-lg border border-gray-200 py-2 z-20">
+            <p className="px-4 py-1 text-xs font-medium text-gray-500 uppercase">
+              Send later
+            </p>
+            {getPresets().map((preset) => (
+              <button
+                key={preset.label}
+                type="button"
+                onClick={() => schedule(preset.date)}
+                disabled={scheduling}
+                className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                {preset.label}
+              </button>
+            ))}
+            <hr className="my-2" />
+            <div className="px-4 space-y-2">
+              <input
+                type="datetime-local"
+                value={sendAt}
+                min={toInputValue(new Date())}
+                onChange={(e) => setSendAt(e.target.value)}
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="button"
+                onClick={() => schedule(new Date(sendAt))}
+                disabled={!sendAt || scheduling}
+                className="w-full bg-blue-600 text-white text-sm py-1.5 rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {scheduling ? "Scheduling..." : "Schedule"}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SendLaterMenu;
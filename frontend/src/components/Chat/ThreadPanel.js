@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from "react";
+import { XMarkIcon, PaperAirplaneIcon } from "@heroicons/react/24/outline";
+import { useChat } from "../../contexts/ChatContext";
+import { useAuth } from "../../contexts/AuthContext";
+import MessageItem from "./MessageItem";
+import LoadingSpinner from "../UI/LoadingSpinner";
+
+/**
+ * Thread Panel Component
+ * Shows a thread's root message and replies, with its own composer
+ */
+const ThreadPanel = ({ onClose }) => {
+  const { user } = useAuth();
+  const {
+    currentChat,
+    messages,
+    activeThread,
+    loadMoreThreadReplies,
+    sendThreadReply,
+  } = useChat();
+
+  const [messageText, setMessageText] = useState("");
+  const [sending, setSending] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const repliesEndRef = useRef(null);
+
+  const replies = activeThread?.replies || [];
+
+  // Prefer the timeline copy of the root so live edits and reactions show
+  const root =
+    messages.find((msg) => msg._id === activeThread?.root?._id) ||
+    activeThread?.root;
+
+  // Keep the newest reply in view
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [replies.length]);
+
+  const handleSend = async () => {
+    const text = messageText.trim();
+    if (!text || sending || !root) return;
+
+    try {
+      setSending(true);
+      await sendThreadReply(currentChat._id, root._id, {
+        text,
+        type: "text",
+        format: "markdown",
+      });
+      setMessageText("");
+    } catch (error) {
+      console.error("Error sending reply:", error);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    await loadMoreThreadReplies();
+    setLoadingMore(false);
+  };
+
+  const replyCount = root?.thread?.replyCount || 0;
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Thread</h2>
+          {currentChat?.name && (
+            <p className="text-sm text-gray-500 truncate">{currentChat.name}</p>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 text-gray-500 hover:text-gray-700 rounded-lg transition-colors duration-200"
+          title="Close thread"
+        >
+          <XMarkIcon className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Root and replies */}
+      <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-4">
+        {!root ? (
+          <div className="flex justify-center items-center py-8">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : (
+          <>
+            <MessageItem
+              message={root}
+              isOwn={root.sender._id === user?._id}
+              inThread
+            />
+
+            <div className="flex items-center space-x-2">
+              <span className="text-xs text-gray-500">
+                {replyCount} {replyCount === 1 ? "reply" : "replies"}
+              </span>
+              <div className="flex-1 border-t border-gray-200" />
+            </div>
+
+            {replies.map((reply, index) => {
+              const previous = replies[index - 1];
+              const isSameSender = previous?.sender._id === reply.sender._id;
+
+              return (
+                <MessageItem
+                  key={reply._id}
+                  message={reply}
+                  isOwn={reply.sender._id === user?._id}
+                  showAvatar={!isSameSender}
+                  isGrouped={isSameSender}
+                  inThread
+                />
+              );
+            })}
+
+            {activeThread?.hasMore && (
+              <div className="flex justify-center">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="text-blue-600 hover:text-blue-700 text-sm"
+                >
+                  {loadingMore ? "Loading..." : "Load more replies"}
+                </button>
+              </div>
+            )}
+
+            <div ref={repliesEndRef} />
+          </>
+        )}
+      </div>
+
+      {/* Composer */}
+      <div className="p-4 border-t border-gray-200">
+        <div className="flex items-end space-x-2">
+          <textarea
+            value={messageText}
+            onChange={(e) => setMessageText(e.target.value)}
+            onKeyPress={handleKeyPress}
+            placeholder="Reply in thread..."
+            rows={1}
+            className="flex-1 resize-none border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={handleSend}
+            disabled={!messageText.trim() || sending}
+            className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            title="Send reply"
+          >
+            <PaperAirplaneIcon className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,225 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MicrophoneIcon } from "@heroicons/react/24/outline";
+import { analyzeRecording, formatDuration } from "../../utils/audio";
+import toast from "react-hot-toast";
+
+// Matches the server's default limit (UPLOAD_MAX_AUDIO_DURATION)
+const MAX_DURATION_MS = 5 * 60 * 1000;
+
+// Shorter presses are treated as taps, not recordings
+const MIN_DURATION_MS = 500;
+
+// Formats tried in order; browsers differ in what MediaRecorder can write
+const RECORDING_TYPES = [
+  "audio/webm;codecs=opus",
+  "audio/webm",
+  "audio/ogg;codecs=opus",
+  "audio/mp4",
+];
+
+const FILE_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "m4a",
+};
+
+const isSupported = () =>
+  typeof window.MediaRecorder !== "undefined" &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * Voice Recorder Button Component
+ * Hold to record a voice message; release to send it, or slide off the
+ * button (or press Escape) to cancel. onRecorded receives
+ * { file, duration, waveform }.
+ */
+const VoiceRecorderButton = ({ disabled, onRecorded }) => {
+  const [recording, setRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const chunksRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const timerRef = useRef(null);
+  const heldRef = useRef(false);
+  const sendRef = useRef(false);
+
+  const stopStream = () => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+  };
+
+  const finish = (send) => {
+    heldRef.current = false;
+    clearInterval(timerRef.current);
+    setRecording(false);
+
+    const recorder = recorderRef.current;
+    if (recorder && recorder.state !== "inactive") {
+      sendRef.current =
+        send && Date.now() - startedAtRef.current >= MIN_DURATION_MS;
+      if (send && !sendRef.current) {
+        toast("Hold the button to record a voice message");
+      }
+      recorder.stop();
+    } else {
+      stopStream();
+    }
+  };
+
+  const handleStop = async () => {
+    stopStream();
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    if (!sendRef.current) return;
+
+    const mimeType = recorder.mimeType.split(";")[0] || "audio/webm";
+    const blob = new Blob(chunksRef.current, { type: mimeType });
+    const extension = FILE_EXTENSIONS[mimeType] || "webm";
+    const file = new File([blob], `voice-message.${extension}`, {
+      type: mimeType,
+    });
+
+    let details = {
+      duration: (Date.now() - startedAtRef.current) / 1000,
+      waveform: [],
+    };
+    try {
+      details = await analyzeRecording(blob);
+    } catch (error) {
+      // Still send it, with the measured length and no waveform
+      console.error("Error analyzing recording:", error);
+    }
+
+    onRecorded({ file, ...details });
+  };
+
+  const startRecording = async (e) => {
+    if (disabled || recording) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    heldRef.current = true;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+      });
+
+      // Released while the browser was asking for the microphone
+      if (!heldRef.current) {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+
+      const mimeType = RECORDING_TYPES.find((type) =>
+        window.MediaRecorder.isTypeSupported(type)
+      );
+      const recorder = new window.MediaRecorder(
+        stream,
+        mimeType ? { mimeType } : undefined
+      );
+
+      chunksRef.current = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunksRef.current.push(event.data);
+      };
+      recorder.onstop = handleStop;
+
+      streamRef.current = stream;
+      recorderRef.current = recorder;
+      startedAtRef.current = Date.now();
+      recorder.start();
+
+      setElapsed(0);
+      setRecording(true);
+      timerRef.current = setInterval(() => {
+        const ms = Date.now() - startedAtRef.current;
+        setElapsed(ms / 1000);
+        if (ms >= MAX_DURATION_MS) finish(true);
+      }, 250);
+    } catch (error) {
+      heldRef.current = false;
+      console.error("Error starting recording:", error);
+      toast.error("Microphone access is needed to record voice messages");
+    }
+  };
+
+  // Releasing outside the button cancels the recording
+  const handlePointerUp = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const inside =
+      e.clientX >= rect.left &&
+      e.clientX <= rect.right &&
+      e.clientY >= rect.top &&
+      e.clientY <= rect.bottom;
+    finish(inside);
+  };
+
+  // Escape cancels
+  const finishRef = useRef(finish);
+  finishRef.current = finish;
+  useEffect(() => {
+    if (!recording) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") finishRef.current(false);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [recording]);
+
+  // Never leave the microphone on
+  useEffect(
+    () => () => {
+      clearInterval(timerRef.current);
+      sendRef.current = false;
+      if (recorderRef.current?.state === "recording") {
+        recorderRef.current.stop();
+      }
+      stopStream();
+    },
+    []
+  );
+
+  const supported = isSupported();
+
+  return (
+    <div className="relative flex-shrink-0">
+      {recording && (
+        <div className="absolute bottom-full right-0 mb-2 whitespace-nowrap bg-white rounded-lg shadow-lg border border-gray-200 px-3 py-2 text-sm z-20">
+          <span className="inline-block w-2 h-2 mr-2 rounded-full bg-red-500 animate-pulse" />
+          <span className="font-medium text-gray-900">
+            {formatDuration(elapsed)}
+          </span>
+          <span className="ml-2 text-gray-500">
+            Release to send, slide away to cancel
+          </span>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onPointerDown={startRecording}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => finish(false)}
+        onContextMenu={(e) => e.preventDefault()}
+        disabled={disabled || !supported}
+        className={`p-2 rounded-lg transition-colors duration-200 select-none touch-none ${
+          recording
+            ? "text-white bg-red-500"
+            : disabled || !supported
+            ? "text-gray-300 cursor-not-allowed"
+            : "text-gray-500 hover:text-gray-700"
+        }`}
+        title={
+          supported
+            ? "Hold to record a voice message"
+            : "Voice messages are not supported in this browser"
+        }
+      >
+        <MicrophoneIcon className="w-5 h-5" />
+      </button>
+    </div>
+  );
+};
+
+export default VoiceRecorderButton;
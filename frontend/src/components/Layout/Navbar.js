@@ -2,6 +2,7 @@ import React from "react";
 import { Link, useLocation } from "react-router-dom";
 import { UserButton } from "@clerk/clerk-react";
 import { useAuth } from "../../contexts/AuthContext";
+import { useChat } from "../../contexts/ChatContext";
 import {
   ChatBubbleLeftRightIcon,
   UserIcon,
@@ -14,6 +15,8 @@ import {
  */
 const Navbar = () => {
   const { user } = useAuth();
+  // Chat state is only provided on chat routes
+  const { totalUnread = 0 } = useChat();
   const location = useLocation();
 
   const isActive = (path) => {
@@ -26,6 +29,7 @@ const Navbar = () => {
       href: "/chat",
       icon: ChatBubbleLeftRightIcon,
       active: isActive("/chat"),
+      badge: totalUnread,
     },
     {
       name: "Profile",
@@ -70,6 +74,11 @@ const Navbar = () => {
               >
                 <item.icon className="w-4 h-4 mr-2" />
                 {item.name}
+                {item.badge > 0 && (
+                  <span className="ml-2 px-1.5 py-0.5 bg-blue-600 text-white text-xs rounded-full min-w-[20px] text-center">
+                    {item.badge > 99 ? "99+" : item.badge}
+                  </span>
+                )}
               </Link>
             ))}
           </div>
@@ -128,7 +137,14 @@ const Navbar = () => {
                 }
               `}
             >
-              <item.icon className="w-5 h-5 mb-1" />
+              <span className="relative">
+                <item.icon className="w-5 h-5 mb-1" />
+                {item.badge > 0 && (
+                  <span className="absolute -top-1 -right-2 px-1 bg-blue-600 text-white text-[10px] rounded-full min-w-[16px] text-center">
+                    {item.badge > 99 ? "99+" : item.badge}
+                  </span>
+                )}
+              </span>
               {item.name}
             </Link>
           ))}
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { NoSymbolIcon } from "@heroicons/react/24/outline";
+import { userAPI } from "../../services/api";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import toast from "react-hot-toast";
+
+/**
+ * Blocked Users Section Component
+ * Lists the users the current user has blocked and lets them unblock
+ */
+const BlockedUsersSection = () => {
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [unblockingId, setUnblockingId] = useState(null);
+
+  useEffect(() => {
+    const loadBlockedUsers = async () => {
+      try {
+        const response = await userAPI.getBlockedUsers();
+        if (response.success) {
+          setBlockedUsers(response.data.users || []);
+        } else {
+          throw new Error(response.message || "Failed to load blocked users");
+        }
+      } catch (error) {
+        console.error("Error loading blocked users:", error);
+        toast.error(error.message || "Failed to load blocked users");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBlockedUsers();
+  }, []);
+
+  const handleUnblock = async (blockedUser) => {
+    try {
+      setUnblockingId(blockedUser._id);
+      const response = await userAPI.unblockUser(blockedUser._id);
+
+      if (response.success) {
+        setBlockedUsers((prev) =>
+          prev.filter((u) => u._id !== blockedUser._id)
+        );
+        toast.success(`Unblocked ${blockedUser.username}`);
+      } else {
+        throw new Error(response.message || "Failed to unblock user");
+      }
+    } catch (error) {
+      console.error("Error unblocking user:", error);
+      toast.error(error.message || "Failed to unblock user");
+    } finally {
+      setUnblockingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <NoSymbolIcon className="w-5 h-5 mr-2 text-gray-500" />
+          Blocked Users
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Blocked users cannot message you, react to your messages, find you in
+          search or see when you're online
+        </p>
+      </div>
+      <div className="px-6 py-4">
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : blockedUsers.length === 0 ? (
+          <p className="text-sm text-gray-500">You haven't blocked anyone</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {blockedUsers.map((blockedUser) => (
+              <li
+                key={blockedUser._id}
+                className="flex items-center justify-between py-3"
+              >
+                <div className="flex items-center space-x-3 min-w-0">
+                  <div className="w-8 h-8 bg-gray-200 rounded-full flex items-center justify-center overflow-hidden flex-shrink-0">
+                    {blockedUser.avatar ? (
+                      <img
+                        src={blockedUser.avatar}
+                        alt={blockedUser.username}
+                        className="w-full h-full object-cover"
+                      />
+                    ) : (
+                      <span className="text-sm font-medium text-gray-600">
+                        {blockedUser.username?.charAt(0).toUpperCase()}
+                      </span>
+                    )}
+                  </div>
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {blockedUser.firstName} {blockedUser.lastName}
+                    </p>
+                    <p className="text-sm text-gray-500 truncate">
+                      @{blockedUser.username}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleUnblock(blockedUser)}
+                  disabled={unblockingId === blockedUser._id}
+                  className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200"
+                >
+                  {unblockingId === blockedUser._id ? "Unblocking..." : "Unblock"}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlockedUsersSection;
@@ -4,21 +4,182 @@ import React, {
   useEffect,
   useState,
   useCallback,
+  useRef,
 } from "react";
 import { useSocket } from "./SocketContext";
 import { useAuth } from "./AuthContext";
 import { chatAPI, messageAPI } from "../services/api";
+import { isSystemMessage } from "../utils/systemMessages";
 import toast from "react-hot-toast";
 
 const ChatContext = createContext({});
 
+/**
+ * Reaction users may be populated objects or plain IDs
+ */
+const getReactionUserId = (reaction) =>
+  reaction.user?._id || reaction.user;
+
+/**
+ * Append a message unless it is already present (REST and socket both deliver it)
+ */
+const appendMessage = (chatMessages = [], message) =>
+  chatMessages.some((msg) => msg._id === message._id)
+    ? chatMessages
+    : [...chatMessages, message];
+
+/**
+ * Order messages oldest first by (createdAt, _id), matching the API cursors
+ */
+const sortMessages = (chatMessages) =>
+  chatMessages.sort(
+    (a, b) =>
+      new Date(a.createdAt) - new Date(b.createdAt) ||
+      (a._id < b._id ? -1 : a._id > b._id ? 1 : 0)
+  );
+
+/**
+ * Thread replies are stored alongside chat messages under their own key,
+ * so edits and reactions apply to them like any other message
+ */
+const threadKey = (rootId) => `thread:${rootId}`;
+
+/**
+ * Drop a message from every loaded chat and thread
+ */
+const removeMessage = (allMessages, messageId) => {
+  const newMessages = { ...allMessages };
+  Object.keys(newMessages).forEach((key) => {
+    newMessages[key] = newMessages[key].filter((msg) => msg._id !== messageId);
+  });
+  return newMessages;
+};
+
+/**
+ * Set a root message's thread summary ({ replyCount, lastReplyAt })
+ */
+const setThreadSummary = (chatMessages = [], rootId, thread) =>
+  chatMessages.map((msg) => (msg._id === rootId ? { ...msg, thread } : msg));
+
+/**
+ * Same as setThreadSummary for the root of a loaded thread
+ */
+const setLoadedThreadSummary = (allThreads, rootId, thread) =>
+  allThreads[rootId]
+    ? {
+        ...allThreads,
+        [rootId]: {
+          ...allThreads[rootId],
+          root: { ...allThreads[rootId].root, thread },
+        },
+      }
+    : allThreads;
+
+/**
+ * Apply the chat detail a system message announces (name, description, photo)
+ */
+const applySystemChange = (chat, message) => {
+  if (!chat || !isSystemMessage(message)) return chat;
+
+  const { action, data = {} } = message.content.system || {};
+  switch (action) {
+    case "chat_renamed":
+      return { ...chat, name: data.name };
+    case "description_changed":
+      return { ...chat, description: data.description };
+    case "avatar_changed":
+      return { ...chat, avatar: data.avatar };
+    case "retention_changed":
+      return {
+        ...chat,
+        settings: { ...chat.settings, messageRetention: data.retention },
+      };
+    default:
+      return chat;
+  }
+};
+
+/**
+ * Set a participant's role
+ */
+const applyRole = (chat, userId, role) => {
+  if (!chat?.participants) return chat;
+
+  return {
+    ...chat,
+    participants: chat.participants.map((p) =>
+      p.user._id === userId ? { ...p, role } : p
+    ),
+  };
+};
+
+/**
+ * Add a pin to a chat's pins (newest first) unless it is already there
+ */
+const addPin = (chatPins = [], pin) =>
+  chatPins.some((p) => p.message._id === pin.message._id)
+    ? chatPins
+    : [pin, ...chatPins];
+
+/**
+ * Move a participant's read position forward (positions never move back)
+ */
+const applyReadPosition = (chat, userId, lastRead, upToMessageId) => {
+  if (!chat?.participants) return chat;
+
+  return {
+    ...chat,
+    participants: chat.participants.map((p) =>
+      p.user._id === userId && new Date(lastRead) > new Date(p.lastRead)
+        ? { ...p, lastRead, lastReadMessage: upToMessageId }
+        : p
+    ),
+  };
+};
+
+/**
+ * Add or remove one user's reaction across all loaded chats (idempotent)
+ */
+const updateReactions = (allMessages, messageId, userId, emoji, added) => {
+  const newMessages = { ...allMessages };
+  Object.keys(newMessages).forEach((chatId) => {
+    newMessages[chatId] = newMessages[chatId].map((msg) => {
+      if (msg._id !== messageId) return msg;
+
+      const reactions = (msg.reactions || []).filter(
+        (r) => !(getReactionUserId(r) === userId && r.emoji === emoji)
+      );
+      if (added) {
+        reactions.push({ user: userId, emoji, createdAt: new Date() });
+      }
+      return { ...msg, reactions };
+    });
+  });
+  return newMessages;
+};
+
+/**
+ * Set a poll message's results in every loaded chat and thread
+ */
+const setPollResults = (allMessages, messageId, poll) => {
+  const newMessages = { ...allMessages };
+  Object.keys(newMessages).forEach((key) => {
+    newMessages[key] = newMessages[key].map((msg) =>
+      msg._id === messageId
+        ? { ...msg, content: { ...msg.content, poll } }
+        : msg
+    );
+  });
+  return newMessages;
+};
+
 /**
  * Chat Context Provider
  * Manages chat state, messages, and real-time updates
  */
 export const ChatProvider = ({ children }) => {
   const { user } = useAuth();
-  const { socket, connected, joinChat, leaveChat } = useSocket();
+  const { connected, joinChat, leaveChat, markMessagesRead } = useSocket();
 
   const [chats, setChats] = useState([]);
   const [currentChat, setCurrentChat] = useState(null);
@@ -26,8 +187,15 @@ export const ChatProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [messageLoading, setMessageLoading] = useState(false);
-  const [hasMoreMessages, setHasMoreMessages] = useState(true);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [pagination, setPagination] = useState({});
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [threads, setThreads] = useState({});
+  const [pins, setPins] = useState({});
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [documentVisible, setDocumentVisible] = useState(!document.hidden);
+  const currentChatIdRef = useRef(null);
+  const lastMarkedReadRef = useRef(null);
 
   /**
    * Load all chats for the current user
@@ -55,58 +223,257 @@ export const ChatProvider = ({ children }) => {
 
   /**
    * Load messages for a specific chat
+   * mode: "latest" (replace), "older" (prepend), "newer" (append),
+   * or "around" (replace with a window centred on params.around)
    */
-  const loadMessages = useCallback(async (chatId, page = 1, append = false) => {
-    try {
-      setMessageLoading(true);
+  const loadMessages = useCallback(
+    async (chatId, params = {}, mode = "latest") => {
+      const isInitial = mode === "latest" || mode === "around";
 
-      const response = await messageAPI.getMessages(chatId, page);
+      try {
+        if (isInitial) {
+          setMessageLoading(true);
+        } else {
+          setLoadingMore(true);
+        }
 
-      if (response.success) {
-        const newMessages = response.data.messages || [];
+        const response = await messageAPI.getMessages(chatId, params);
 
-        setMessages((prev) => {
-          const chatMessages = prev[chatId] || [];
-          if (append) {
-            // Append older messages (for pagination)
-            return {
-              ...prev,
-              [chatId]: [...newMessages, ...chatMessages],
-            };
-          } else {
-            // Replace messages (for initial load)
+        if (response.success) {
+          const newMessages = response.data.messages || [];
+          const page = response.data.pagination || {};
+
+          setMessages((prev) => {
+            const chatMessages = prev[chatId] || [];
+            const known = new Set(chatMessages.map((msg) => msg._id));
+            const fresh = newMessages.filter((msg) => !known.has(msg._id));
+
+            if (mode === "older") {
+              return { ...prev, [chatId]: [...fresh, ...chatMessages] };
+            }
+            if (mode === "newer") {
+              // Live messages may already sit at the end, so re-sort
+              return {
+                ...prev,
+                [chatId]: sortMessages([...chatMessages, ...fresh]),
+              };
+            }
+            return { ...prev, [chatId]: newMessages };
+          });
+
+          setPagination((prev) => {
+            const current = prev[chatId] || {};
             return {
               ...prev,
-              [chatId]: newMessages,
+              [chatId]: {
+                startCursor:
+                  mode === "newer" ? current.startCursor : page.startCursor,
+                endCursor:
+                  mode === "older" ? current.endCursor : page.endCursor,
+                hasMoreBefore:
+                  mode === "newer"
+                    ? current.hasMoreBefore
+                    : Boolean(page.hasMoreBefore),
+                hasMoreAfter:
+                  mode === "older"
+                    ? current.hasMoreAfter
+                    : Boolean(page.hasMoreAfter),
+              },
             };
-          }
-        });
+          });
+        } else {
+          throw new Error(response.message || "Failed to load messages");
+        }
+      } catch (error) {
+        console.error("Error loading messages:", error);
+        toast.error("Failed to load messages");
+      } finally {
+        if (isInitial) {
+          setMessageLoading(false);
+        } else {
+          setLoadingMore(false);
+        }
+      }
+    },
+    []
+  );
 
-        setHasMoreMessages(response.data.pagination?.hasMore || false);
-        setCurrentPage(page);
+  /**
+   * Load older messages (pagination)
+   */
+  const loadMoreMessages = useCallback(
+    async (chatId) => {
+      const page = pagination[chatId];
+      if (!page?.hasMoreBefore || !page.startCursor || loadingMore) return;
+
+      await loadMessages(chatId, { before: page.startCursor }, "older");
+    },
+    [pagination, loadingMore, loadMessages]
+  );
+
+  /**
+   * Load newer messages after jumping back in history
+   */
+  const loadNewerMessages = useCallback(
+    async (chatId) => {
+      const page = pagination[chatId];
+      if (!page?.hasMoreAfter || !page.endCursor || loadingMore) return;
+
+      await loadMessages(chatId, { after: page.endCursor }, "newer");
+    },
+    [pagination, loadingMore, loadMessages]
+  );
+
+  /**
+   * Load the messages around a specific message and highlight it
+   * Used to jump to search hits and reply targets
+   */
+  const jumpToMessage = useCallback(
+    async (chatId, messageId) => {
+      const loaded = (messages[chatId] || []).some(
+        (msg) => msg._id === messageId
+      );
+
+      if (!loaded) {
+        await loadMessages(chatId, { around: messageId }, "around");
+      }
+      setHighlightedMessageId(messageId);
+    },
+    [messages, loadMessages]
+  );
+
+  /**
+   * Load a chat's pinned messages
+   */
+  const loadPins = useCallback(async (chatId) => {
+    try {
+      const response = await chatAPI.getPins(chatId);
+
+      if (response.success) {
+        setPins((prev) => ({ ...prev, [chatId]: response.data.pins }));
       } else {
-        throw new Error(response.message || "Failed to load messages");
+        throw new Error(response.message || "Failed to load pinned messages");
       }
     } catch (error) {
-      console.error("Error loading messages:", error);
-      toast.error("Failed to load messages");
-    } finally {
-      setMessageLoading(false);
+      console.error("Error loading pinned messages:", error);
     }
   }, []);
 
   /**
-   * Load more messages (pagination)
+   * Pin a message (the socket event updates everyone's pinned bar)
    */
-  const loadMoreMessages = useCallback(
-    async (chatId) => {
-      if (!hasMoreMessages || messageLoading) return;
+  const pinMessage = useCallback(async (chatId, messageId) => {
+    try {
+      const response = await chatAPI.pinMessage(chatId, messageId);
+
+      if (response.success) {
+        setPins((prev) => ({
+          ...prev,
+          [chatId]: addPin(prev[chatId], response.data.pin),
+        }));
+        toast.success("Message pinned");
+      } else {
+        throw new Error(response.message || "Failed to pin message");
+      }
+    } catch (error) {
+      console.error("Error pinning message:", error);
+      toast.error(error.message || "Failed to pin message");
+    }
+  }, []);
+
+  /**
+   * Unpin a message
+   */
+  const unpinMessage = useCallback(async (chatId, messageId) => {
+    try {
+      const response = await chatAPI.unpinMessage(chatId, messageId);
+
+      if (response.success) {
+        setPins((prev) => ({
+          ...prev,
+          [chatId]: (prev[chatId] || []).filter(
+            (pin) => pin.message._id !== messageId
+          ),
+        }));
+      } else {
+        throw new Error(response.message || "Failed to unpin message");
+      }
+    } catch (error) {
+      console.error("Error unpinning message:", error);
+      toast.error(error.message || "Failed to unpin message");
+    }
+  }, []);
+
+  /**
+   * Load a thread's root and replies
+   * With an `after` cursor, newer replies are appended to the loaded ones
+   */
+  const loadThread = useCallback(async (messageId, after = null) => {
+    try {
+      const response = await messageAPI.getThread(
+        messageId,
+        after ? { after } : {}
+      );
+
+      if (response.success) {
+        const { root, replies, pagination: page } = response.data;
+
+        setMessages((prev) => ({
+          ...prev,
+          [threadKey(root._id)]: after
+            ? replies.reduce(appendMessage, prev[threadKey(root._id)])
+            : replies,
+        }));
+        setThreads((prev) => ({
+          ...prev,
+          [root._id]: {
+            root,
+            hasMore: page.hasMore,
+            endCursor: page.endCursor || prev[root._id]?.endCursor,
+          },
+        }));
+
+        return root;
+      } else {
+        throw new Error(response.message || "Failed to load thread");
+      }
+    } catch (error) {
+      console.error("Error loading thread:", error);
+      toast.error(error.message || "Failed to load thread");
+      return null;
+    }
+  }, []);
 
-      await loadMessages(chatId, currentPage + 1, true);
+  /**
+   * Open the thread a message starts or belongs to
+   */
+  const openThread = useCallback(
+    async (messageId) => {
+      const root = await loadThread(messageId);
+      if (root) {
+        setActiveThreadId(root._id);
+      }
     },
-    [hasMoreMessages, messageLoading, currentPage, loadMessages]
+    [loadThread]
   );
 
+  /**
+   * Close the thread panel
+   */
+  const closeThread = useCallback(() => {
+    setActiveThreadId(null);
+  }, []);
+
+  /**
+   * Load more replies of the open thread
+   */
+  const loadMoreThreadReplies = useCallback(async () => {
+    const thread = threads[activeThreadId];
+    if (!thread?.hasMore || !thread.endCursor) return;
+
+    await loadThread(activeThreadId, thread.endCursor);
+  }, [threads, activeThreadId, loadThread]);
+
   /**
    * Create a new chat
    */
@@ -152,10 +519,10 @@ export const ChatProvider = ({ children }) => {
       if (response.success) {
         const newMessage = response.data.message;
 
-        // Update local messages state
+        // Update local messages state (the socket echo may have arrived first)
         setMessages((prev) => ({
           ...prev,
-          [chatId]: [...(prev[chatId] || []), newMessage],
+          [chatId]: appendMessage(prev[chatId], newMessage),
         }));
 
         // Update chat's last activity
@@ -178,6 +545,37 @@ export const ChatProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Reply in a thread (kept out of the main timeline)
+   */
+  const sendThreadReply = useCallback(async (chatId, rootId, content) => {
+    try {
+      const response = await messageAPI.sendMessage(
+        chatId,
+        content,
+        null,
+        rootId
+      );
+
+      if (response.success) {
+        const newMessage = response.data.message;
+
+        setMessages((prev) => ({
+          ...prev,
+          [threadKey(rootId)]: appendMessage(prev[threadKey(rootId)], newMessage),
+        }));
+
+        return newMessage;
+      } else {
+        throw new Error(response.message || "Failed to send reply");
+      }
+    } catch (error) {
+      console.error("Error sending reply:", error);
+      toast.error(error.message || "Failed to send reply");
+      throw error;
+    }
+  }, []);
+
   /**
    * Edit a message
    */
@@ -212,18 +610,22 @@ export const ChatProvider = ({ children }) => {
   }, []);
 
   /**
-   * Delete a message
+   * Delete a message for everyone, or only for the current user (scope "me")
    */
-  const deleteMessage = useCallback(async (messageId, chatId) => {
+  const deleteMessage = useCallback(async (messageId, chatId, scope) => {
     try {
-      const response = await messageAPI.deleteMessage(messageId);
+      const response = await messageAPI.deleteMessage(messageId, scope);
 
-      if (response.success) {
+      if (response.success && scope === "me") {
+        setMessages((prev) => removeMessage(prev, messageId));
+        toast.success(response.message);
+      } else if (response.success) {
         // Update message in local state to show as deleted
-        setMessages((prev) => ({
-          ...prev,
-          [chatId]:
-            prev[chatId]?.map((msg) =>
+        // (thread replies live under their thread's key, not the chat's)
+        setMessages((prev) => {
+          const newMessages = { ...prev };
+          Object.keys(newMessages).forEach((key) => {
+            newMessages[key] = newMessages[key].map((msg) =>
               msg._id === messageId
                 ? {
                     ...msg,
@@ -231,8 +633,10 @@ export const ChatProvider = ({ children }) => {
                     content: { ...msg.content, text: "[Message deleted]" },
                   }
                 : msg
-            ) || [],
-        }));
+            );
+          });
+          return newMessages;
+        });
 
         toast.success("Message deleted");
       } else {
@@ -245,49 +649,103 @@ export const ChatProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Forward a message to one or more chats
+   */
+  const forwardMessage = useCallback(async (messageId, chatIds) => {
+    try {
+      const response = await messageAPI.forwardMessage(messageId, chatIds);
+
+      if (response.success) {
+        const forwarded = response.data.messages;
+
+        // Add the copies to chats that are already loaded
+        // (the socket echo may have arrived first)
+        setMessages((prev) => {
+          const newMessages = { ...prev };
+          forwarded.forEach((message) => {
+            if (newMessages[message.chat]) {
+              newMessages[message.chat] = appendMessage(
+                newMessages[message.chat],
+                message
+              );
+            }
+          });
+          return newMessages;
+        });
+
+        setChats((prev) =>
+          prev
+            .map((chat) => {
+              const message = forwarded.find((m) => m.chat === chat._id);
+              return message
+                ? { ...chat, lastActivity: new Date(), lastMessage: message }
+                : chat;
+            })
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+        );
+
+        toast.success(response.message);
+        return forwarded;
+      } else {
+        throw new Error(response.message || "Failed to forward message");
+      }
+    } catch (error) {
+      console.error("Error forwarding message:", error);
+      toast.error(error.message || "Failed to forward message");
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Vote in a poll, replacing earlier votes (no options retracts them)
+   * Resolves to the option IDs the current user now has votes on
+   */
+  const votePoll = useCallback(async (messageId, optionIds) => {
+    try {
+      const response =
+        optionIds.length > 0
+          ? await messageAPI.votePoll(messageId, optionIds)
+          : await messageAPI.retractPollVote(messageId);
+
+      if (response.success) {
+        const { poll, myVotes } = response.data;
+        setMessages((prev) => setPollResults(prev, messageId, poll));
+        return myVotes;
+      } else {
+        throw new Error(response.message || "Failed to update vote");
+      }
+    } catch (error) {
+      console.error("Error voting in poll:", error);
+      toast.error(error.message || "Failed to update vote");
+      throw error;
+    }
+  }, []);
+
   /**
    * Add reaction to message
    */
   const addReaction = useCallback(
     async (messageId, emoji) => {
       try {
-        const response = await messageAPI.addReaction(messageId, emoji);
+        const userId = user._id;
+        const message = Object.values(messages)
+          .flat()
+          .find((msg) => msg._id === messageId);
+        const hasReacted = message?.reactions?.some(
+          (r) => getReactionUserId(r) === userId && r.emoji === emoji
+        );
+
+        // Clicking an existing reaction removes it
+        const response = hasReacted
+          ? await messageAPI.removeReaction(messageId, emoji)
+          : await messageAPI.addReaction(messageId, emoji);
 
         if (response.success) {
           // Update message reactions in local state
-          setMessages((prev) => {
-            const newMessages = { ...prev };
-            Object.keys(newMessages).forEach((chatId) => {
-              newMessages[chatId] = newMessages[chatId].map((msg) => {
-                if (msg._id === messageId) {
-                  const existingReaction = msg.reactions?.find(
-                    (r) => r.user === user.id && r.emoji === emoji
-                  );
-
-                  if (existingReaction) {
-                    // Remove existing reaction
-                    return {
-                      ...msg,
-                      reactions: msg.reactions.filter(
-                        (r) => !(r.user === user.id && r.emoji === emoji)
-                      ),
-                    };
-                  } else {
-                    // Add new reaction
-                    return {
-                      ...msg,
-                      reactions: [
-                        ...(msg.reactions || []),
-                        { user: user.id, emoji, createdAt: new Date() },
-                      ],
-                    };
-                  }
-                }
-                return msg;
-              });
-            });
-            return newMessages;
-          });
+          setMessages((prev) =>
+            updateReactions(prev, messageId, userId, emoji, !hasReacted)
+          );
         } else {
           throw new Error(response.message || "Failed to add reaction");
         }
@@ -296,7 +754,7 @@ export const ChatProvider = ({ children }) => {
         toast.error(error.message || "Failed to add reaction");
       }
     },
-    [user]
+    [user, messages]
   );
 
   /**
@@ -309,8 +767,10 @@ export const ChatProvider = ({ children }) => {
       }
 
       setCurrentChat(chat);
-      setCurrentPage(1);
-      setHasMoreMessages(true);
+      setHighlightedMessageId(null);
+      if (currentChat?._id !== chat._id) {
+        setActiveThreadId(null);
+      }
 
       // Join the chat room
       if (connected) {
@@ -327,26 +787,9 @@ export const ChatProvider = ({ children }) => {
 
   /**
    * Get unread message count for a chat
+   * Counts come from the server and are kept live over the socket
    */
-  const getUnreadCount = useCallback(
-    (chat) => {
-      if (!user || !chat.participants) return 0;
-
-      const userParticipant = chat.participants.find(
-        (p) => p.user._id === user.id
-      );
-      if (!userParticipant) return 0;
-
-      const chatMessages = messages[chat._id] || [];
-      const lastRead = new Date(userParticipant.lastRead);
-
-      return chatMessages.filter(
-        (msg) =>
-          new Date(msg.createdAt) > lastRead && msg.sender._id !== user.id
-      ).length;
-    },
-    [user, messages]
-  );
+  const getUnreadCount = useCallback((chat) => chat.unreadCount || 0, []);
 
   // Real-time event handlers
   useEffect(() => {
@@ -355,14 +798,17 @@ export const ChatProvider = ({ children }) => {
 
       setMessages((prev) => ({
         ...prev,
-        [chatId]: [...(prev[chatId] || []), message],
+        [chatId]: appendMessage(prev[chatId], message),
       }));
 
       // Update chat order and last message
       setChats((prev) => {
         const updatedChats = prev.map((chat) =>
           chat._id === chatId
-            ? { ...chat, lastActivity: new Date(), lastMessage: message }
+            ? applySystemChange(
+                { ...chat, lastActivity: new Date(), lastMessage: message },
+                message
+              )
             : chat
         );
 
@@ -371,22 +817,70 @@ export const ChatProvider = ({ children }) => {
           (a, b) => new Date(b.lastActivity) - new Date(a.lastActivity)
         );
       });
+      setCurrentChat((prev) =>
+        prev?._id === chatId ? applySystemChange(prev, message) : prev
+      );
+    };
+
+    const handleThreadReply = (event) => {
+      const { message, chatId, rootId, thread } = event.detail;
+
+      setMessages((prev) => ({
+        ...prev,
+        ...(prev[chatId] && {
+          [chatId]: setThreadSummary(prev[chatId], rootId, thread),
+        }),
+        // Only keep replies for threads that have been opened
+        ...(prev[threadKey(rootId)] && {
+          [threadKey(rootId)]: appendMessage(prev[threadKey(rootId)], message),
+        }),
+      }));
+      setThreads((prev) => setLoadedThreadSummary(prev, rootId, thread));
     };
 
     const handleMessageUpdated = (event) => {
       const { message, chatId } = event.detail;
+      const key = message.threadRoot ? threadKey(message.threadRoot) : chatId;
 
       setMessages((prev) => ({
         ...prev,
-        [chatId]:
-          prev[chatId]?.map((msg) =>
+        [key]:
+          prev[key]?.map((msg) =>
             msg._id === message._id ? message : msg
           ) || [],
       }));
+
+      // Keep pinned excerpts in step with edits
+      setPins((prev) =>
+        prev[chatId]
+          ? {
+              ...prev,
+              [chatId]: prev[chatId].map((pin) =>
+                pin.message._id === message._id ? { ...pin, message } : pin
+              ),
+            }
+          : prev
+      );
     };
 
     const handleMessageDeleted = (event) => {
-      const { messageId, chatId } = event.detail;
+      const { messageId, chatId, rootId, thread } = event.detail;
+
+      if (rootId) {
+        setMessages((prev) => ({
+          ...prev,
+          ...(prev[chatId] && {
+            [chatId]: setThreadSummary(prev[chatId], rootId, thread),
+          }),
+          ...(prev[threadKey(rootId)] && {
+            [threadKey(rootId)]: prev[threadKey(rootId)].filter(
+              (msg) => msg._id !== messageId
+            ),
+          }),
+        }));
+        setThreads((prev) => setLoadedThreadSummary(prev, rootId, thread));
+        return;
+      }
 
       setMessages((prev) => ({
         ...prev,
@@ -394,43 +888,257 @@ export const ChatProvider = ({ children }) => {
       }));
     };
 
+    const handleMessageHidden = (event) => {
+      setMessages((prev) => removeMessage(prev, event.detail.messageId));
+    };
+
+    const handlePollUpdated = (event) => {
+      const { messageId, poll } = event.detail;
+      setMessages((prev) => setPollResults(prev, messageId, poll));
+    };
+
+    const handleMessagesRead = (event) => {
+      const { chatId, userId, upToMessageId, lastRead } = event.detail;
+
+      setChats((prev) =>
+        prev.map((chat) =>
+          chat._id === chatId
+            ? applyReadPosition(chat, userId, lastRead, upToMessageId)
+            : chat
+        )
+      );
+      setCurrentChat((prev) =>
+        prev?._id === chatId
+          ? applyReadPosition(prev, userId, lastRead, upToMessageId)
+          : prev
+      );
+    };
+
+    const handleRoleChanged = (event) => {
+      const { chatId, userId, role } = event.detail;
+
+      setChats((prev) =>
+        prev.map((chat) =>
+          chat._id === chatId ? applyRole(chat, userId, role) : chat
+        )
+      );
+      setCurrentChat((prev) =>
+        prev?._id === chatId ? applyRole(prev, userId, role) : prev
+      );
+    };
+
+    const handleLastMessageUpdated = (event) => {
+      const { chatId, lastMessage } = event.detail;
+
+      setChats((prev) =>
+        prev.map((chat) =>
+          chat._id === chatId ? { ...chat, lastMessage } : chat
+        )
+      );
+    };
+
+    const handlePinned = (event) => {
+      const { chatId, pin } = event.detail;
+
+      setPins((prev) =>
+        prev[chatId] ? { ...prev, [chatId]: addPin(prev[chatId], pin) } : prev
+      );
+    };
+
+    const handleUnpinned = (event) => {
+      const { chatId, messageId } = event.detail;
+
+      setPins((prev) =>
+        prev[chatId]
+          ? {
+              ...prev,
+              [chatId]: prev[chatId].filter(
+                (pin) => pin.message._id !== messageId
+              ),
+            }
+          : prev
+      );
+    };
+
     const handleReactionAdded = (event) => {
       const { messageId, userId, emoji } = event.detail;
 
-      setMessages((prev) => {
-        const newMessages = { ...prev };
-        Object.keys(newMessages).forEach((chatId) => {
-          newMessages[chatId] = newMessages[chatId].map((msg) => {
-            if (msg._id === messageId) {
-              return {
-                ...msg,
-                reactions: [
-                  ...(msg.reactions || []),
-                  { user: userId, emoji, createdAt: new Date() },
-                ],
-              };
-            }
-            return msg;
-          });
-        });
-        return newMessages;
-      });
+      setMessages((prev) =>
+        updateReactions(prev, messageId, userId, emoji, true)
+      );
+    };
+
+    const handleReactionRemoved = (event) => {
+      const { messageId, userId, emoji } = event.detail;
+
+      setMessages((prev) =>
+        updateReactions(prev, messageId, userId, emoji, false)
+      );
     };
 
     // Add event listeners
     window.addEventListener("new-message", handleNewMessage);
+    window.addEventListener("thread-reply", handleThreadReply);
     window.addEventListener("message-updated", handleMessageUpdated);
     window.addEventListener("message-deleted", handleMessageDeleted);
+    window.addEventListener("message-hidden", handleMessageHidden);
+    window.addEventListener("poll-updated", handlePollUpdated);
+    window.addEventListener("messages-read", handleMessagesRead);
+    window.addEventListener("role-changed", handleRoleChanged);
+    window.addEventListener("last-message-updated", handleLastMessageUpdated);
+    window.addEventListener("message-pinned", handlePinned);
+    window.addEventListener("message-unpinned", handleUnpinned);
     window.addEventListener("reaction-added", handleReactionAdded);
+    window.addEventListener("reaction-removed", handleReactionRemoved);
 
     return () => {
       window.removeEventListener("new-message", handleNewMessage);
+      window.removeEventListener("thread-reply", handleThreadReply);
       window.removeEventListener("message-updated", handleMessageUpdated);
       window.removeEventListener("message-deleted", handleMessageDeleted);
+      window.removeEventListener("message-hidden", handleMessageHidden);
+      window.removeEventListener("poll-updated", handlePollUpdated);
+      window.removeEventListener("messages-read", handleMessagesRead);
+      window.removeEventListener("role-changed", handleRoleChanged);
+      window.removeEventListener(
+        "last-message-updated",
+        handleLastMessageUpdated
+      );
+      window.removeEventListener("message-pinned", handlePinned);
+      window.removeEventListener("message-unpinned", handleUnpinned);
       window.removeEventListener("reaction-added", handleReactionAdded);
+      window.removeEventListener("reaction-removed", handleReactionRemoved);
     };
   }, []);
 
+  // Count messages arriving in chats the user is not looking at
+  useEffect(() => {
+    const handleUnreadMessage = (event) => {
+      const { message, chatId } = event.detail;
+      if (!user || message.sender._id === user._id) return;
+      if (chatId === currentChatIdRef.current && !document.hidden) return;
+      // System notices never count as unread (matches the server)
+      if (isSystemMessage(message)) return;
+
+      const isMention = message.mentionedUsers?.some(
+        (id) => (id._id || id) === user._id
+      );
+
+      setChats((prev) =>
+        prev.map((chat) =>
+          chat._id === chatId
+            ? {
+                ...chat,
+                unreadCount: (chat.unreadCount || 0) + 1,
+                unreadMentions: (chat.unreadMentions || 0) + (isMention ? 1 : 0),
+              }
+            : chat
+        )
+      );
+    };
+
+    const handleUnreadUpdated = (event) => {
+      const { chatId, unreadCount, unreadMentions } = event.detail;
+
+      setChats((prev) =>
+        prev.map((chat) =>
+          chat._id === chatId ? { ...chat, unreadCount, unreadMentions } : chat
+        )
+      );
+    };
+
+    window.addEventListener("new-message", handleUnreadMessage);
+    window.addEventListener("unread-updated", handleUnreadUpdated);
+
+    return () => {
+      window.removeEventListener("new-message", handleUnreadMessage);
+      window.removeEventListener("unread-updated", handleUnreadUpdated);
+    };
+  }, [user]);
+
+  // Approved join requests add a chat to the list
+  useEffect(() => {
+    const handleJoinRequestUpdated = (event) => {
+      if (event.detail.status === "approved") {
+        loadChats();
+      }
+    };
+
+    window.addEventListener("join-request-updated", handleJoinRequestUpdated);
+    return () =>
+      window.removeEventListener(
+        "join-request-updated",
+        handleJoinRequestUpdated
+      );
+  }, [loadChats]);
+
+  // Load the open chat's pinned messages
+  useEffect(() => {
+    if (currentChat?._id) {
+      loadPins(currentChat._id);
+    }
+  }, [currentChat?._id, loadPins]);
+
+  // Track tab visibility so hidden tabs do not mark messages as read
+  useEffect(() => {
+    const handleVisibilityChange = () => setDocumentVisible(!document.hidden);
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () =>
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, []);
+
+  // Mark the open chat as read as new messages arrive
+  const currentChatId = currentChat?._id;
+  currentChatIdRef.current = currentChatId;
+  const currentMessages = messages[currentChatId];
+  const latestMessage = currentMessages?.[currentMessages.length - 1];
+  const readerParticipant = chats
+    .find((chat) => chat._id === currentChatId)
+    ?.participants?.find((p) => p.user._id === user?._id);
+  const hasMoreAfter = pagination[currentChatId]?.hasMoreAfter;
+
+  useEffect(() => {
+    if (!latestMessage || !readerParticipant || !documentVisible) return;
+    if (!connected || hasMoreAfter) return;
+    if (latestMessage.sender._id === user?._id) return;
+    const lastRead = new Date(readerParticipant.lastRead);
+    if (lastRead >= new Date(latestMessage.createdAt)) return;
+
+    // Each message is only reported once, while lastRead catches up
+    if (lastMarkedReadRef.current === latestMessage._id) return;
+    lastMarkedReadRef.current = latestMessage._id;
+
+    markMessagesRead(currentChatId, latestMessage._id);
+  }, [
+    currentChatId,
+    latestMessage,
+    readerParticipant,
+    documentVisible,
+    connected,
+    hasMoreAfter,
+    user?._id,
+    markMessagesRead,
+  ]);
+
+  // Show the total unread count in the tab title
+  const totalUnread = chats.reduce(
+    (total, chat) => total + (chat.unreadCount || 0),
+    0
+  );
+
+  useEffect(() => {
+    const baseTitle = document.title.replace(/^\(\d+\+?\) /, "");
+    document.title =
+      totalUnread > 0
+        ? `(${totalUnread > 99 ? "99+" : totalUnread}) ${baseTitle}`
+        : baseTitle;
+
+    return () => {
+      document.title = baseTitle;
+    };
+  }, [totalUnread]);
+
   // Load chats when component mounts
   useEffect(() => {
     if (user) {
@@ -445,17 +1153,39 @@ export const ChatProvider = ({ children }) => {
     loading,
     error,
     messageLoading,
-    hasMoreMessages,
+    loadingMore,
+    hasMoreMessages: Boolean(pagination[currentChat?._id]?.hasMoreBefore),
+    hasNewerMessages: Boolean(pagination[currentChat?._id]?.hasMoreAfter),
+    highlightedMessageId,
+    setHighlightedMessageId,
+    pinnedMessages: pins[currentChat?._id] || [],
+    pinMessage,
+    unpinMessage,
+    activeThread: activeThreadId
+      ? {
+          ...threads[activeThreadId],
+          replies: messages[threadKey(activeThreadId)] || [],
+        }
+      : null,
+    openThread,
+    closeThread,
+    loadMoreThreadReplies,
+    sendThreadReply,
     loadChats,
     loadMessages,
     loadMoreMessages,
+    loadNewerMessages,
+    jumpToMessage,
     createChat,
     sendMessage,
     editMessage,
     deleteMessage,
+    forwardMessage,
+    votePoll,
     addReaction,
     selectChat,
     getUnreadCount,
+    totalUnread,
   };
 
   return (
@@ -0,0 +1,160 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useState,
+  useCallback,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { userAPI } from "../services/api";
+import toast from "react-hot-toast";
+
+const FriendContext = createContext({});
+
+/**
+ * Drop a request from a list by ID
+ */
+const withoutRequest = (requests, requestId) =>
+  requests.filter((request) => request._id !== requestId);
+
+/**
+ * Friend Context Provider
+ * Keeps the current user's pending friend requests (incoming and outgoing)
+ * in sync with the API and "friend-request" socket events
+ */
+export const FriendProvider = ({ children }) => {
+  const { user } = useAuth();
+
+  const [incomingRequests, setIncomingRequests] = useState([]);
+  const [outgoingRequests, setOutgoingRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * Load pending requests in both directions
+   */
+  const loadRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const [incoming, outgoing] = await Promise.all([
+        userAPI.getIncomingFriendRequests(),
+        userAPI.getOutgoingFriendRequests(),
+      ]);
+
+      if (incoming.success) setIncomingRequests(incoming.data.requests);
+      if (outgoing.success) setOutgoingRequests(outgoing.data.requests);
+    } catch (error) {
+      console.error("Error loading friend requests:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Accept, decline or cancel a request
+   */
+  const respondToRequest = useCallback(async (request, action) => {
+    const calls = {
+      accept: userAPI.acceptFriendRequest,
+      decline: userAPI.declineFriendRequest,
+      cancel: userAPI.cancelFriendRequest,
+    };
+
+    try {
+      const response = await calls[action](request._id);
+
+      if (response.success) {
+        setIncomingRequests((prev) => withoutRequest(prev, request._id));
+        setOutgoingRequests((prev) => withoutRequest(prev, request._id));
+        toast.success(response.message);
+        return true;
+      } else {
+        throw new Error(response.message || "Failed to update request");
+      }
+    } catch (error) {
+      console.error("Error updating friend request:", error);
+      toast.error(error.message || "Failed to update request");
+      return false;
+    }
+  }, []);
+
+  const acceptRequest = useCallback(
+    (request) => respondToRequest(request, "accept"),
+    [respondToRequest]
+  );
+  const declineRequest = useCallback(
+    (request) => respondToRequest(request, "decline"),
+    [respondToRequest]
+  );
+  const cancelRequest = useCallback(
+    (request) => respondToRequest(request, "cancel"),
+    [respondToRequest]
+  );
+
+  // Load requests once the user is known
+  useEffect(() => {
+    if (user) {
+      loadRequests();
+    }
+  }, [user, loadRequests]);
+
+  // Real-time request changes from either side
+  useEffect(() => {
+    if (!user) return;
+
+    const handleFriendRequest = (event) => {
+      const { action, request } = event.detail;
+      const isIncoming = request.to._id === user._id;
+      const setList = isIncoming ? setIncomingRequests : setOutgoingRequests;
+
+      if (action === "received") {
+        setList((prev) => [
+          request,
+          ...withoutRequest(prev, request._id),
+        ]);
+      } else {
+        setList((prev) => withoutRequest(prev, request._id));
+
+        if (action === "accepted" && !isIncoming) {
+          const friend = request.to;
+          toast.success(
+            `${friend.firstName || friend.username} accepted your friend request`
+          );
+        }
+      }
+    };
+
+    window.addEventListener("friend-request", handleFriendRequest);
+    return () =>
+      window.removeEventListener("friend-request", handleFriendRequest);
+  }, [user]);
+
+  const contextValue = {
+    incomingRequests,
+    outgoingRequests,
+    loading,
+    loadRequests,
+    acceptRequest,
+    declineRequest,
+    cancelRequest,
+  };
+
+  return (
+    <FriendContext.Provider value={contextValue}>
+      {children}
+    </FriendContext.Provider>
+  );
+};
+
+/**
+ * Hook to use friend context
+ */
+export const useFriends = () => {
+  const context = useContext(FriendContext);
+  if (!context) {
+    throw new Error("useFriends must be used within FriendProvider");
+  }
+  return context;
+};
+
+export default FriendContext;
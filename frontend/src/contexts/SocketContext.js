@@ -6,6 +6,7 @@ import React, {
   useRef,
 } from "react";
 import { io } from "socket.io-client";
+import { useAuth as useClerkAuth } from "@clerk/clerk-react";
 import { useAuth } from "./AuthContext";
 import toast from "react-hot-toast";
 
@@ -17,11 +18,13 @@ const SocketContext = createContext({});
  */
 export const SocketProvider = ({ children }) => {
   const { user, isAuthenticated } = useAuth();
+  const { getToken } = useClerkAuth();
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
   const [onlineUsers, setOnlineUsers] = useState(new Map());
   const [typingUsers, setTypingUsers] = useState(new Map());
   const reconnectTimeoutRef = useRef(null);
+  const tokenRefreshTimeoutRef = useRef(null);
   const typingTimeoutRef = useRef(new Map());
 
   /**
@@ -37,6 +40,15 @@ export const SocketProvider = ({ children }) => {
       : window.location.origin; // Production (same domain)
 
     const newSocket = io(socketUrl, {
+      // Called on every (re)connect so the handshake carries a fresh token
+      auth: async (cb) => {
+        try {
+          cb({ token: await getToken() });
+        } catch (error) {
+          console.error("Failed to get session token:", error);
+          cb({});
+        }
+      },
       transports: ["websocket"],
       upgrade: true,
       autoConnect: true,
@@ -50,11 +62,6 @@ export const SocketProvider = ({ children }) => {
       console.log("✅ Socket connected:", newSocket.id);
       setConnected(true);
 
-      // Authenticate with server
-      newSocket.emit("authenticate", {
-        userId: user.clerkId,
-      });
-
       // Clear any existing reconnection timeout
       if (reconnectTimeoutRef.current) {
         clearTimeout(reconnectTimeoutRef.current);
@@ -64,12 +71,20 @@ export const SocketProvider = ({ children }) => {
 
     newSocket.on("authenticated", (data) => {
       console.log("✅ Socket authenticated:", data.message);
-      toast.success("Connected to chat server");
+      if (!data.refreshed) {
+        toast.success("Connected to chat server");
+      }
+
+      // Refresh the session token shortly before it expires
+      if (data.expiresAt) {
+        scheduleTokenRefresh(newSocket, data.expiresAt);
+      }
     });
 
     newSocket.on("disconnect", (reason) => {
       console.log("🔌 Socket disconnected:", reason);
       setConnected(false);
+      clearTimeout(tokenRefreshTimeoutRef.current);
 
       if (reason === "io server disconnect") {
         // Server disconnected, attempt manual reconnection
@@ -90,6 +105,10 @@ export const SocketProvider = ({ children }) => {
       window.dispatchEvent(new CustomEvent("new-message", { detail: data }));
     });
 
+    newSocket.on("thread-reply", (data) => {
+      window.dispatchEvent(new CustomEvent("thread-reply", { detail: data }));
+    });
+
     newSocket.on("message-updated", (data) => {
       window.dispatchEvent(
         new CustomEvent("message-updated", { detail: data })
@@ -112,6 +131,16 @@ export const SocketProvider = ({ children }) => {
       );
     });
 
+    // Mentions
+    newSocket.on("mentioned", (data) => {
+      const sender = data.message?.sender;
+      toast(
+        `${sender?.firstName || sender?.username || "Someone"} mentioned you`,
+        { icon: "💬" }
+      );
+      window.dispatchEvent(new CustomEvent("mentioned", { detail: data }));
+    });
+
     // Typing indicators
     newSocket.on("user-typing", (data) => {
       setTypingUsers((prev) => {
@@ -172,14 +201,100 @@ export const SocketProvider = ({ children }) => {
       });
     });
 
+    // Friend requests sent to or by this user
+    newSocket.on("friend-request", (data) => {
+      if (data.action === "received" && data.request.to._id === user?._id) {
+        const sender = data.request.from;
+        toast(
+          `${sender?.firstName || sender?.username || "Someone"} sent you a friend request`,
+          { icon: "👋" }
+        );
+      }
+      window.dispatchEvent(new CustomEvent("friend-request", { detail: data }));
+    });
+
+    // Join requests through invite links
+    newSocket.on("join-request", (data) => {
+      toast(
+        `${data.user.firstName || data.user.username} asked to join a group`,
+        { icon: "🔗" }
+      );
+    });
+
+    newSocket.on("join-request-updated", (data) => {
+      if (data.status === "approved") {
+        toast.success("Your request to join a group was approved");
+      }
+      window.dispatchEvent(
+        new CustomEvent("join-request-updated", { detail: data })
+      );
+    });
+
+    // Participant roles
+    newSocket.on("role-changed", (data) => {
+      window.dispatchEvent(new CustomEvent("role-changed", { detail: data }));
+    });
+
+    // Chat list preview after older messages disappeared
+    newSocket.on("last-message-updated", (data) => {
+      window.dispatchEvent(
+        new CustomEvent("last-message-updated", { detail: data })
+      );
+    });
+
+    // Messages you deleted for yourself on another device
+    newSocket.on("message-hidden", (data) => {
+      window.dispatchEvent(new CustomEvent("message-hidden", { detail: data }));
+    });
+
+    // Live poll tallies
+    newSocket.on("poll-updated", (data) => {
+      window.dispatchEvent(new CustomEvent("poll-updated", { detail: data }));
+    });
+
+    // Pinned messages
+    newSocket.on("message-pinned", (data) => {
+      window.dispatchEvent(new CustomEvent("message-pinned", { detail: data }));
+    });
+
+    newSocket.on("message-unpinned", (data) => {
+      window.dispatchEvent(
+        new CustomEvent("message-unpinned", { detail: data })
+      );
+    });
+
+    // Scheduled messages that were sent or could not be
+    newSocket.on("scheduled-message-updated", (data) => {
+      if (data.scheduledMessage.status === "failed") {
+        toast.error(
+          `A scheduled message could not be sent: ${data.scheduledMessage.failureReason}`
+        );
+      }
+      window.dispatchEvent(
+        new CustomEvent("scheduled-message-updated", { detail: data })
+      );
+    });
+
     // Read receipts
     newSocket.on("messages-read", (data) => {
       window.dispatchEvent(new CustomEvent("messages-read", { detail: data }));
     });
 
+    // Unread counters for this user
+    newSocket.on("unread-updated", (data) => {
+      window.dispatchEvent(new CustomEvent("unread-updated", { detail: data }));
+    });
+
     // Error handling
     newSocket.on("error", (error) => {
       console.error("Socket error:", error);
+
+      // Token expired between refreshes: refresh now instead of failing loudly
+      if (error.code === "TOKEN_EXPIRED") {
+        refreshSocketToken(newSocket);
+        return;
+      }
+
       toast.error(error.message || "Socket error occurred");
     });
 
@@ -187,6 +302,33 @@ export const SocketProvider = ({ children }) => {
     return newSocket;
   };
 
+  /**
+   * Send a fresh Clerk session token to the server
+   */
+  const refreshSocketToken = async (socketInstance) => {
+    try {
+      const token = await getToken();
+      if (token && socketInstance.connected) {
+        socketInstance.emit("authenticate", { token });
+      }
+    } catch (error) {
+      console.error("Failed to refresh session token:", error);
+    }
+  };
+
+  /**
+   * Schedule a token refresh ahead of expiry
+   */
+  const scheduleTokenRefresh = (socketInstance, expiresAt) => {
+    clearTimeout(tokenRefreshTimeoutRef.current);
+
+    const delay = Math.max(expiresAt - Date.now() - 10000, 5000);
+    tokenRefreshTimeoutRef.current = setTimeout(
+      () => refreshSocketToken(socketInstance),
+      delay
+    );
+  };
+
   /**
    * Schedule reconnection attempt
    */
@@ -256,11 +398,11 @@ export const SocketProvider = ({ children }) => {
   };
 
   /**
-   * Mark messages as read
+   * Mark a chat as read up to a message (the whole chat without one)
    */
-  const markMessagesRead = (chatId) => {
+  const markMessagesRead = (chatId, messageId = null) => {
     if (socket && connected) {
-      socket.emit("mark-read", { chatId });
+      socket.emit("mark-read", { chatId, messageId });
     }
   };
 
@@ -278,7 +420,7 @@ export const SocketProvider = ({ children }) => {
   const getTypingUsers = (chatId) => {
     const typingInChat = [];
     for (const [key, data] of typingUsers) {
-      if (data.chatId === chatId && data.userId !== user?.id) {
+      if (data.chatId === chatId && data.userId !== user?._id) {
         typingInChat.push(data.userId);
       }
     }
@@ -314,6 +456,7 @@ export const SocketProvider = ({ children }) => {
       if (reconnectTimeoutRef.current) {
         clearTimeout(reconnectTimeoutRef.current);
       }
+      clearTimeout(tokenRefreshTimeoutRef.current);
       // Clear all typing timeouts
       for (const timeout of typingTimeoutRef.current.values()) {
         clearTimeout(timeout);
@@ -7,6 +7,7 @@ import { useSocket } from "../contexts/SocketContext";
 import ChatSidebar from "../components/Chat/ChatSidebar";
 import ChatWindow from "../components/Chat/ChatWindow";
 import ChatWelcome from "../components/Chat/ChatWelcome";
+import ThreadPanel from "../components/Chat/ThreadPanel";
 import UserSearchModal from "../components/Chat/UserSearchModal";
 import LoadingSpinner from "../components/UI/LoadingSpinner";
 
@@ -16,7 +17,15 @@ import LoadingSpinner from "../components/UI/LoadingSpinner";
  */
 const ChatPage = () => {
   const { chatId } = useParams();
-  const { chats, currentChat, loading, error, selectChat } = useChat();
+  const {
+    chats,
+    currentChat,
+    loading,
+    error,
+    selectChat,
+    activeThread,
+    closeThread,
+  } = useChat();
   const { connected } = useSocket();
 
   const [showUserSearch, setShowUserSearch] = useState(false);
@@ -125,6 +134,13 @@ const ChatPage = () => {
         )}
       </div>
 
+      {/* Thread Panel */}
+      {currentChat && activeThread && (
+        <div className="fixed inset-0 z-50 bg-white md:relative md:inset-auto md:z-auto md:w-96 md:border-l md:border-gray-200">
+          <ThreadPanel onClose={closeThread} />
+        </div>
+      )}
+
       {/* User Search Modal */}
       <UserSearchModal
         isOpen={showUserSearch}
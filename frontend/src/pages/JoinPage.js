@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { UserGroupIcon, LinkSlashIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "../contexts/AuthContext";
+import { inviteAPI } from "../services/api";
+import LoadingSpinner from "../components/UI/LoadingSpinner";
+import toast from "react-hot-toast";
+
+/**
+ * Join Page Component
+ * Previews the group behind an invite link and lets the user join it
+ */
+const JoinPage = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const loadPreview = async () => {
+      try {
+        setLoading(true);
+        const response = await inviteAPI.getInvite(code);
+        if (response.success) {
+          setPreview(response.data);
+        } else {
+          throw new Error(response.message);
+        }
+      } catch (error) {
+        console.error("Error loading invite:", error);
+        setError(error.message || "This invite link is invalid or has expired");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPreview();
+  }, [code, isAuthenticated]);
+
+  const handleJoin = async () => {
+    try {
+      setJoining(true);
+      const response = await inviteAPI.joinChat(code);
+
+      if (!response.success) {
+        throw new Error(response.message);
+      }
+
+      if (response.data.status === "pending") {
+        setPreview((prev) => ({ ...prev, hasPendingRequest: true }));
+        toast.success(response.message);
+      } else {
+        toast.success(response.message);
+        navigate(`/chat/${response.data.chatId}`);
+      }
+    } catch (error) {
+      console.error("Error joining chat:", error);
+      toast.error(error.message || "Failed to join chat");
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-16">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <LinkSlashIcon className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">
+          Invite unavailable
+        </h1>
+        <p className="text-gray-600 mb-6">{error}</p>
+        <button onClick={() => navigate("/chat")} className="btn-primary">
+          Go to Chats
+        </button>
+      </div>
+    );
+  }
+
+  const { chat, invite, isMember, hasPendingRequest } = preview;
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16">
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 text-center">
+        <div className="w-20 h-20 mx-auto mb-4 rounded-full overflow-hidden bg-gray-200 flex items-center justify-center">
+          {chat.avatar ? (
+            <img
+              src={chat.avatar}
+              alt={chat.name}
+              className="w-full h-full object-cover"
+            />
+          ) : (
+            <UserGroupIcon className="w-10 h-10 text-gray-400" />
+          )}
+        </div>
+
+        <p className="text-sm text-gray-500 mb-1">You've been invited to join</p>
+        <h1 className="text-2xl font-semibold text-gray-900">{chat.name}</h1>
+        {chat.description && (
+          <p className="text-gray-600 mt-2">{chat.description}</p>
+        )}
+        <p className="text-sm text-gray-500 mt-2">
+          {chat.participantCount} member{chat.participantCount === 1 ? "" : "s"}
+        </p>
+
+        {invite.expiresAt && (
+          <p className="text-xs text-gray-400 mt-1">
+            Link expires {new Date(invite.expiresAt).toLocaleString()}
+          </p>
+        )}
+
+        <div className="mt-6">
+          {isMember ? (
+            <button
+              onClick={() => navigate(`/chat/${chat._id}`)}
+              className="btn-primary w-full"
+            >
+              Open Chat
+            </button>
+          ) : hasPendingRequest ? (
+            <p className="text-sm text-gray-600">
+              Your request to join is waiting for an admin to approve it.
+            </p>
+          ) : (
+            <button
+              onClick={handleJoin}
+              disabled={joining}
+              className="btn-primary w-full disabled:opacity-50"
+            >
+              {joining
+                ? "Joining..."
+                : invite.requireApproval
+                ? "Request to Join"
+                : "Join Group"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JoinPage;
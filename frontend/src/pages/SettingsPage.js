@@ -9,6 +9,7 @@ import {
   ShieldCheckIcon,
 } from "@heroicons/react/24/outline";
 import LoadingSpinner from "../components/UI/LoadingSpinner";
+import BlockedUsersSection from "../components/Settings/BlockedUsersSection";
 import toast from "react-hot-toast";
 
 /**
@@ -28,6 +29,8 @@ const SettingsPage = () => {
     privacy: {
       showOnlineStatus: true,
       showLastSeen: true,
+      presenceVisibleTo: "everyone",
+      showNameOnForwards: true,
     },
   });
 
@@ -65,6 +68,16 @@ const SettingsPage = () => {
     }));
   };
 
+  const handlePresenceAudienceChange = (presenceVisibleTo) => {
+    setPreferences((prev) => ({
+      ...prev,
+      privacy: {
+        ...prev.privacy,
+        presenceVisibleTo,
+      },
+    }));
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -351,10 +364,67 @@ const SettingsPage = () => {
                   />
                 </button>
               </div>
+
+              <div className="flex items-center justify-between">
+                <div>
+                  <label className="text-sm font-medium text-gray-900">
+                    Who Can See This
+                  </label>
+                  <p className="text-sm text-gray-500">
+                    Limit your online status and last seen to friends
+                  </p>
+                </div>
+                <select
+                  value={preferences.privacy.presenceVisibleTo || "everyone"}
+                  onChange={(e) => handlePresenceAudienceChange(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="everyone">Everyone</option>
+                  <option value="friends">Friends only</option>
+                </select>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <div>
+                  <label className="text-sm font-medium text-gray-900">
+                    Show Name on Forwards
+                  </label>
+                  <p className="text-sm text-gray-500">
+                    Name you as the sender when others forward your messages
+                  </p>
+                </div>
+                <button
+                  onClick={() => handlePrivacyChange("showNameOnForwards")}
+                  className={`
+                    relative inline-flex h-6 w-11 flex-shrink-0 cursor-pointer rounded-full border-2 border-transparent 
+                    transition-colors duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2
+                    ${
+                      preferences.privacy.showNameOnForwards
+                        ? "bg-blue-600"
+                        : "bg-gray-200"
+                    }
+                  `}
+                >
+                  <span
+                    className={`
+                      pointer-events-none inline-block h-5 w-5 rounded-full bg-white shadow transform ring-0 
+                      transition duration-200 ease-in-out
+                      ${
+                        preferences.privacy.showNameOnForwards
+                          ? "translate-x-5"
+                          : "translate-x-0"
+                      }
+                    `}
+                  />
+                </button>
+              </div>
             </div>
           </div>
         </div>
 
+        {/* Blocked Users */}
+        <BlockedUsersSection />
+
         {/* Account Actions */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -20,7 +20,9 @@ const pendingRequests = new Map();
 api.interceptors.request.use(
   (config) => {
     // Create a unique key for this request
-    const requestKey = `${config.method}:${config.url}:${JSON.stringify(config.data || {})}`;
+    const requestKey = `${config.method}:${config.url}:${JSON.stringify(
+      config.params || {}
+    )}:${JSON.stringify(config.data || {})}`;
     
     // If this request is already pending, return the existing promise
     if (pendingRequests.has(requestKey)) {
@@ -160,9 +162,20 @@ export const userAPI = {
   removeFriend: (userId) => api.delete(`/users/${userId}/friend`),
   getFriends: () => api.get("/users/friends"),
 
+  // Friend requests
+  getIncomingFriendRequests: () => api.get("/users/friend-requests/incoming"),
+  getOutgoingFriendRequests: () => api.get("/users/friend-requests/outgoing"),
+  acceptFriendRequest: (requestId) =>
+    api.post(`/users/friend-requests/${requestId}/accept`),
+  declineFriendRequest: (requestId) =>
+    api.post(`/users/friend-requests/${requestId}/decline`),
+  cancelFriendRequest: (requestId) =>
+    api.post(`/users/friend-requests/${requestId}/cancel`),
+
   // Block management
   blockUser: (userId) => api.post(`/users/${userId}/block`),
   unblockUser: (userId) => api.delete(`/users/${userId}/block`),
+  getBlockedUsers: () => api.get("/users/blocked"),
 };
 
 /**
@@ -186,6 +199,48 @@ export const chatAPI = {
     api.post(`/chats/${chatId}/participants`, { participantIds }),
   removeParticipant: (chatId, participantId) =>
     api.delete(`/chats/${chatId}/participants/${participantId}`),
+
+  // Roles (pass a role to skip several steps at once)
+  promoteParticipant: (chatId, participantId, role) =>
+    api.post(`/chats/${chatId}/participants/${participantId}/promote`, {
+      role,
+    }),
+  demoteParticipant: (chatId, participantId, role) =>
+    api.post(`/chats/${chatId}/participants/${participantId}/demote`, {
+      role,
+    }),
+
+  // Invite links
+  // options: { expiresIn (seconds), maxUses, requireApproval }
+  createInvite: (chatId, options = {}) =>
+    api.post(`/chats/${chatId}/invites`, options),
+  getInvites: (chatId) => api.get(`/chats/${chatId}/invites`),
+  revokeInvite: (chatId, inviteId) =>
+    api.delete(`/chats/${chatId}/invites/${inviteId}`),
+  answerJoinRequest: (chatId, inviteId, userId, approve) =>
+    api.post(
+      `/chats/${chatId}/invites/${inviteId}/requests/${userId}/${
+        approve ? "approve" : "decline"
+      }`
+    ),
+
+  // Pinned messages
+  getPins: (chatId) => api.get(`/chats/${chatId}/pins`),
+  pinMessage: (chatId, messageId) =>
+    api.post(`/chats/${chatId}/pins`, { messageId }),
+  unpinMessage: (chatId, messageId) =>
+    api.delete(`/chats/${chatId}/pins/${messageId}`),
+};
+
+/**
+ * Invite link API endpoints (by code)
+ */
+export const inviteAPI = {
+  // Preview the group behind a link
+  getInvite: (code) => api.get(`/invites/${code}`),
+
+  // Join, or ask to join when the link requires approval
+  joinChat: (code) => api.post(`/invites/${code}/join`),
 };
 
 /**
@@ -193,19 +248,41 @@ export const chatAPI = {
  */
 export const messageAPI = {
   // Get messages for a chat
-  getMessages: (chatId, page = 1, limit = 50) =>
-    api.get(`/messages/${chatId}`, { params: { page, limit } }),
+  // params: { limit, before | after (cursors) | around (message ID) }
+  getMessages: (chatId, params = {}) =>
+    api.get(`/messages/${chatId}`, { params: { limit: 50, ...params } }),
 
-  // Send a message
-  sendMessage: (chatId, content, replyTo = null) =>
-    api.post(`/messages/${chatId}`, { content, replyTo }),
+  // Search messages across the user's chats
+  // params: { q, chatId, senderId, from, to, type, limit, before }
+  searchMessages: (params, signal) =>
+    api.get("/messages/search", { params, signal }),
+
+  // Send a message (threadRoot posts it as a thread reply)
+  sendMessage: (chatId, content, replyTo = null, threadRoot = null) =>
+    api.post(`/messages/${chatId}`, { content, replyTo, threadRoot }),
+
+  // Get a thread's root message and replies
+  // params: { limit, after (cursor) }
+  getThread: (messageId, params = {}) =>
+    api.get(`/messages/${messageId}/thread`, { params }),
 
   // Edit a message
   editMessage: (messageId, content) =>
     api.put(`/messages/${messageId}`, { content }),
 
-  // Delete a message
-  deleteMessage: (messageId) => api.delete(`/messages/${messageId}`),
+  // Delete a message for everyone, or hide it just for you (scope "me")
+  deleteMessage: (messageId, scope = "everyone") =>
+    api.delete(`/messages/${messageId}`, { params: { scope } }),
+
+  // Forward a message to one or more chats
+  forwardMessage: (messageId, chatIds) =>
+    api.post(`/messages/${messageId}/forward`, { chatIds }),
+
+  // Polls (optionIds replaces the current user's votes)
+  getPoll: (messageId) => api.get(`/messages/${messageId}/poll`),
+  votePoll: (messageId, optionIds) =>
+    api.post(`/messages/${messageId}/poll`, { optionIds }),
+  retractPollVote: (messageId) => api.delete(`/messages/${messageId}/poll`),
 
   // Reaction management
   addReaction: (messageId, emoji) =>
@@ -213,8 +290,24 @@ export const messageAPI = {
   removeReaction: (messageId, emoji) =>
     api.delete(`/messages/${messageId}/react`, { data: { emoji } }),
 
-  // Mark message as read
+  // Mark a chat as read up to this message
   markAsRead: (messageId) => api.post(`/messages/${messageId}/read`),
+
+  // Get who has read a message
+  getReceipts: (messageId) => api.get(`/messages/${messageId}/receipts`),
+
+  // Get every version of an edited message (oldest first)
+  getEditHistory: (messageId) => api.get(`/messages/${messageId}/history`),
+
+  // Scheduled messages (the current user's, per chat)
+  getScheduledMessages: (chatId) => api.get(`/messages/${chatId}/scheduled`),
+  scheduleMessage: (chatId, content, sendAt) =>
+    api.post(`/messages/${chatId}/scheduled`, { content, sendAt }),
+  // updates: { text, sendAt }
+  updateScheduledMessage: (chatId, scheduledId, updates) =>
+    api.put(`/messages/${chatId}/scheduled/${scheduledId}`, updates),
+  cancelScheduledMessage: (chatId, scheduledId) =>
+    api.delete(`/messages/${chatId}/scheduled/${scheduledId}`),
 };
 
 /**
@@ -224,15 +317,17 @@ export const apiUtils = {
   // Check API health
   healthCheck: () => api.get("/health"),
 
-  // Handle file uploads (for future use)
-  uploadFile: async (file, onProgress) => {
+  // Upload a file attachment to a chat
+  uploadFile: async (file, chatId, onProgress) => {
     const formData = new FormData();
+    formData.append("chatId", chatId);
     formData.append("file", file);
 
     return api.post("/upload", formData, {
       headers: {
         "Content-Type": "multipart/form-data",
       },
+      timeout: 120000,
       onUploadProgress: (progressEvent) => {
         if (onProgress) {
           const percentCompleted = Math.round(
@@ -243,6 +338,14 @@ export const apiUtils = {
       },
     });
   },
+
+  // Download an attachment as a Blob (file URLs are served under /api)
+  downloadFile: (fileUrl, download = false) =>
+    api.get(fileUrl.replace(/^\/api/, ""), {
+      params: download ? { download: 1 } : undefined,
+      responseType: "blob",
+      timeout: 120000,
+    }),
 };
 
 export default api;
@@ -0,0 +1,45 @@
+// Peaks kept for a voice message's waveform (the server accepts up to 64)
+export const WAVEFORM_SAMPLES = 48;
+
+/**
+ * Format seconds as m:ss
+ */
+export const formatDuration = (seconds = 0) => {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Measure a recording: its duration in seconds and a waveform of peak
+ * levels between 0 and 1. Recorded WebM files carry no duration of their
+ * own, so it is read from the decoded audio.
+ */
+export const analyzeRecording = async (blob, samples = WAVEFORM_SAMPLES) => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContext();
+
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const data = buffer.getChannelData(0);
+    const blockSize = Math.max(1, Math.floor(data.length / samples));
+
+    const peaks = [];
+    for (let i = 0; i < samples; i++) {
+      let peak = 0;
+      const end = Math.min((i + 1) * blockSize, data.length);
+      for (let j = i * blockSize; j < end; j++) {
+        peak = Math.max(peak, Math.abs(data[j]));
+      }
+      peaks.push(peak);
+    }
+
+    // Scale so the loudest peak fills the bar height
+    const loudest = Math.max(...peaks) || 1;
+    return {
+      duration: buffer.duration,
+      waveform: peaks.map((peak) => Math.round((peak / loudest) * 100) / 100),
+    };
+  } finally {
+    context.close();
+  }
+};
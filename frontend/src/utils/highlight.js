@@ -0,0 +1,172 @@
+/**
+ * Lightweight syntax highlighting for fenced code blocks
+ * Splits code into tokens ({ text, kind }) where kind is "keyword",
+ * "string", "number", "comment" or undefined for plain text. Unknown
+ * languages are left as plain text.
+ */
+
+const C_KEYWORDS =
+  "auto break case char const continue default do double else enum extern float for goto if int long register return short signed sizeof static struct switch typedef union unsigned void volatile while";
+
+const LANGUAGES = {
+  javascript: {
+    keywords:
+      "async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while with yield",
+    lineComment: "//",
+    blockComment: true,
+    templateStrings: true,
+  },
+  typescript: {
+    keywords:
+      "abstract any as async await boolean break case catch class const continue declare default delete do else enum export extends false finally for from function if implements import in instanceof interface keyof let namespace never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while yield",
+    lineComment: "//",
+    blockComment: true,
+    templateStrings: true,
+  },
+  python: {
+    keywords:
+      "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+    lineComment: "#",
+  },
+  java: {
+    keywords:
+      "abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch synchronized this throw throws true try var void while",
+    lineComment: "//",
+    blockComment: true,
+  },
+  c: {
+    keywords: C_KEYWORDS,
+    lineComment: "//",
+    blockComment: true,
+  },
+  cpp: {
+    keywords: `${C_KEYWORDS} bool catch class delete false namespace new nullptr private protected public template this throw true try using virtual`,
+    lineComment: "//",
+    blockComment: true,
+  },
+  csharp: {
+    keywords:
+      "abstract as async await bool break case catch class const continue default do double else enum false finally float for foreach if in int interface internal is namespace new null object out override private protected public readonly return sealed static string struct switch this throw true try using var virtual void while",
+    lineComment: "//",
+    blockComment: true,
+  },
+  go: {
+    keywords:
+      "break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var",
+    lineComment: "//",
+    blockComment: true,
+    templateStrings: true,
+  },
+  bash: {
+    keywords:
+      "case do done echo elif else esac exit export fi for function if in local read return then until while",
+    lineComment: "#",
+  },
+  sql: {
+    keywords:
+      "add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union update values view when where",
+    lineComment: "--",
+    blockComment: true,
+    ignoreCase: true,
+  },
+  json: {
+    keywords: "true false null",
+  },
+};
+
+const ALIASES = {
+  js: "javascript",
+  jsx: "javascript",
+  node: "javascript",
+  ts: "typescript",
+  tsx: "typescript",
+  py: "python",
+  "c++": "cpp",
+  "c#": "csharp",
+  cs: "csharp",
+  golang: "go",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Tokenizer regexes are built once per language
+const tokenizers = {};
+
+const getTokenizer = (name) => {
+  if (tokenizers[name]) return tokenizers[name];
+
+  const language = LANGUAGES[name];
+  const comments = [];
+  if (language.blockComment) comments.push("\\/\\*[\\s\\S]*?\\*\\/");
+  if (language.lineComment) {
+    comments.push(`${escapeRegex(language.lineComment)}.*`);
+  }
+
+  const strings = [`"(?:\\\\.|[^"\\\\\\n])*"`, `'(?:\\\\.|[^'\\\\\\n])*'`];
+  if (language.templateStrings) strings.push("`(?:\\\\.|[^`\\\\])*`");
+
+  const pattern = [
+    `(${comments.join("|") || "(?!)"})`,
+    `(${strings.join("|")})`,
+    "(\\b\\d+(?:\\.\\d+)?\\b)",
+    "([A-Za-z_$][\\w$]*)",
+  ].join("|");
+
+  const keywords = language.keywords.split(" ");
+  tokenizers[name] = {
+    regex: new RegExp(pattern, "g"),
+    keywords: new Set(
+      language.ignoreCase ? keywords.map((k) => k.toLowerCase()) : keywords
+    ),
+    ignoreCase: language.ignoreCase,
+  };
+  return tokenizers[name];
+};
+
+/**
+ * Resolve a fence's language name, or null if it cannot be highlighted
+ */
+export const getLanguage = (name = "") => {
+  const key = ALIASES[name.toLowerCase()] || name.toLowerCase();
+  return LANGUAGES[key] ? key : null;
+};
+
+/**
+ * Split code into highlighted tokens
+ */
+export const highlightCode = (code, languageName) => {
+  const name = getLanguage(languageName);
+  if (!name) return [{ text: code }];
+
+  const { regex, keywords, ignoreCase } = getTokenizer(name);
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of code.matchAll(regex)) {
+    let kind;
+    if (match[1]) kind = "comment";
+    else if (match[2]) kind = "string";
+    else if (match[3]) kind = "number";
+    else if (keywords.has(ignoreCase ? match[4].toLowerCase() : match[4])) {
+      kind = "keyword";
+    }
+
+    // Plain identifiers merge into the surrounding text
+    if (!kind) continue;
+
+    if (match.index > lastIndex) {
+      tokens.push({ text: code.slice(lastIndex, match.index) });
+    }
+    tokens.push({ text: match[0], kind });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < code.length) {
+    tokens.push({ text: code.slice(lastIndex) });
+  }
+
+  return tokens;
+};
@@ -0,0 +1,158 @@
+/**
+ * Markdown subset for messages with content.format "markdown"
+ * Text is parsed into a small tree that MarkdownText renders as React
+ * elements, so no HTML from a message ever reaches the page.
+ *
+ * Blocks: fenced code (```lang), quotes (>), lists (-, *, +, 1.) and
+ * paragraphs. Inline: **bold**, *italic*, ~~strike~~, `code` and
+ * auto-linked http(s) and www. URLs.
+ */
+
+const FENCE_REGEX = /^\s*```\s*([\w#+-]*)\s*$/;
+const QUOTE_REGEX = /^\s*> ?(.*)$/;
+const LIST_ITEM_REGEX = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+// Tried in order; the earliest match in the text wins
+const INLINE_RULES = [
+  { type: "code", regex: /`([^`\n]+)`/ },
+  { type: "link", regex: /\b(?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]!?*_~]/i },
+  { type: "bold", regex: /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/ },
+  { type: "strike", regex: /~~(?=\S)([\s\S]*?\S)~~/ },
+  { type: "italic", regex: /\*(?=[^\s*])([^*]*?[^\s*])\*|\b_(?=\S)([^_]*?\S)_\b/ },
+];
+
+/**
+ * Parse inline formatting
+ * e.g. "a **b**" -> [{ type: "text", text: "a " },
+ *                    { type: "bold", children: [{ type: "text", text: "b" }] }]
+ */
+export const parseInline = (text = "") => {
+  const nodes = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    let next = null;
+    for (const rule of INLINE_RULES) {
+      const match = rest.match(rule.regex);
+      if (match && (!next || match.index < next.match.index)) {
+        next = { rule, match };
+      }
+    }
+
+    if (!next) {
+      nodes.push({ type: "text", text: rest });
+      break;
+    }
+
+    const { rule, match } = next;
+    if (match.index > 0) {
+      nodes.push({ type: "text", text: rest.slice(0, match.index) });
+    }
+
+    if (rule.type === "code") {
+      nodes.push({ type: "code", text: match[1] });
+    } else if (rule.type === "link") {
+      const url = match[0];
+      nodes.push({
+        type: "link",
+        text: url,
+        href: /^www\./i.test(url) ? `https://${url}` : url,
+      });
+    } else {
+      nodes.push({
+        type: rule.type,
+        children: parseInline(match[1] ?? match[2]),
+      });
+    }
+
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return nodes;
+};
+
+/**
+ * Parse message text into blocks
+ * { type: "code", language, code } | { type: "quote", children }
+ * | { type: "list", ordered, start, items } | { type: "paragraph", text }
+ */
+export const parseMarkdown = (text = "") => {
+  const lines = text.split(/\r?\n/);
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code runs to the closing fence (or the end of the message)
+    const fence = line.match(FENCE_REGEX);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE_REGEX.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({
+        type: "code",
+        language: fence[1].toLowerCase(),
+        code: code.join("\n"),
+      });
+      continue;
+    }
+
+    if (QUOTE_REGEX.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_REGEX.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_REGEX)[1]);
+        i++;
+      }
+      blocks.push({
+        type: "quote",
+        children: parseMarkdown(quoted.join("\n")),
+      });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM_REGEX);
+    if (item) {
+      const ordered = Boolean(item[2]);
+      const items = [];
+      let match = item;
+      while (match && Boolean(match[2]) === ordered) {
+        items.push(match[3]);
+        i++;
+        match = i < lines.length && lines[i].match(LIST_ITEM_REGEX);
+      }
+      blocks.push({
+        type: "list",
+        ordered,
+        start: ordered ? parseInt(item[2], 10) : undefined,
+        items,
+      });
+      continue;
+    }
+
+    // Blank lines separate paragraphs
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !FENCE_REGEX.test(lines[i]) &&
+      !QUOTE_REGEX.test(lines[i]) &&
+      !LIST_ITEM_REGEX.test(lines[i])
+    ) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: "paragraph", text: paragraph.join("\n") });
+  }
+
+  return blocks;
+};
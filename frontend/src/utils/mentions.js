@@ -0,0 +1,43 @@
+// Mirrors the backend rule: usernames may contain letters, digits, _ . -
+const MENTION_REGEX = /(^|[^\w@])@([\w][\w.-]*)/g;
+
+/**
+ * Split message text into plain and mention segments
+ * e.g. "hi @bob" -> [{ text: "hi " }, { text: "@bob", username: "bob" }]
+ */
+export const splitMentions = (text = "") => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    const username = match[2].replace(/[.-]+$/, "");
+    const start = match.index + match[1].length;
+    const end = start + username.length + 1;
+
+    if (start > lastIndex) {
+      parts.push({ text: text.slice(lastIndex, start) });
+    }
+    parts.push({ text: text.slice(start, end), username });
+    lastIndex = end;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ text: text.slice(lastIndex) });
+  }
+
+  return parts;
+};
+
+/**
+ * Find an in-progress "@query" right before the caret
+ * Returns { query, start } or null
+ */
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(^|\s)@([\w.-]*)$/);
+  if (!match) return null;
+
+  return {
+    query: match[2],
+    start: caret - match[2].length - 1,
+  };
+};
@@ -0,0 +1,52 @@
+// Mirrors the backend permission matrix (backend/utils/permissions.js)
+const ROLES = ["member", "moderator", "admin", "owner"];
+
+const PERMISSIONS = {
+  rename: "admin",
+  invite: "member",
+  remove: "moderator",
+  pin: "moderator",
+  deleteOthersMessages: "moderator",
+  changeSettings: "admin",
+  changeRoles: "admin",
+  manageInvites: "admin",
+};
+
+const INVITES_DISABLED_PERMISSIONS = {
+  invite: "admin",
+};
+
+/**
+ * A user's role in a chat, or null when they are not a participant
+ */
+export const getChatRole = (chat, userId) => {
+  const participant = (chat?.participants || []).find(
+    (p) => (p.user?._id || p.user) === userId
+  );
+  return participant ? participant.role : null;
+};
+
+/**
+ * Check whether a user may perform an action in a chat
+ */
+export const hasChatPermission = (chat, userId, permission) => {
+  const role = getChatRole(chat, userId);
+  if (!role) return false;
+
+  const minimumRole =
+    (chat.settings?.allowInvites === false &&
+      INVITES_DISABLED_PERMISSIONS[permission]) ||
+    PERMISSIONS[permission];
+
+  return (
+    Boolean(minimumRole) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole)
+  );
+};
+
+/**
+ * Pins are open to everyone in direct chats (matches routes/chats.js)
+ */
+export const canPinMessages = (chat, userId) =>
+  chat?.type === "direct"
+    ? Boolean(getChatRole(chat, userId))
+    : hasChatPermission(chat, userId, "pin");
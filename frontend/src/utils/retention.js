@@ -0,0 +1,17 @@
+// Mirrors the periods in backend/config/retention.js
+
+/**
+ * Message retention policies a chat can use (null keeps messages forever)
+ */
+export const RETENTION_OPTIONS = [
+  { value: null, label: "Off" },
+  { value: "24h", label: "24 hours" },
+  { value: "7d", label: "7 days" },
+  { value: "90d", label: "90 days" },
+];
+
+/**
+ * A retention policy in words ("7 days")
+ */
+export const describeRetention = (value) =>
+  RETENTION_OPTIONS.find((option) => option.value === value)?.label || value;
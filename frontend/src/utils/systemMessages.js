@@ -0,0 +1,63 @@
+// Mirrors the actions written by backend/utils/systemMessages.js
+
+import { describeRetention } from "./retention";
+
+/**
+ * Check whether a message is a system notice
+ */
+export const isSystemMessage = (message) =>
+  message?.content?.type === "system";
+
+/**
+ * Describe a system message from the viewer's point of view
+ * ("You added Bob"), falling back to the server's text
+ */
+export const describeSystemMessage = (message, currentUserId) => {
+  const { system, text } = message.content;
+  if (!system) return text;
+
+  const nameOf = (user) =>
+    !user
+      ? "Someone"
+      : user._id === currentUserId
+      ? "You"
+      : user.firstName || user.username;
+
+  const actor = nameOf(message.sender);
+  const targets = (system.targets || [])
+    .filter((target) => target?._id)
+    .map(nameOf)
+    .join(", ");
+  const data = system.data || {};
+
+  switch (system.action) {
+    case "participants_added":
+      return `${actor} added ${targets}`;
+    case "participant_removed":
+      return `${actor} removed ${targets}`;
+    case "participant_left":
+      return `${actor} left`;
+    case "participant_joined":
+      return `${actor} joined using an invite link`;
+    case "chat_renamed":
+      return `${actor} renamed the chat to "${data.name}"`;
+    case "avatar_changed":
+      return `${actor} changed the chat photo`;
+    case "description_changed":
+      return `${actor} changed the chat description`;
+    case "retention_changed":
+      return data.retention
+        ? `${actor} set messages to disappear after ${describeRetention(
+            data.retention
+          )}`
+        : `${actor} turned off disappearing messages`;
+    case "message_pinned":
+      return `${actor} pinned a message`;
+    case "role_changed":
+      return `${actor} made ${targets} ${
+        data.role === "admin" || data.role === "owner" ? "an" : "a"
+      } ${data.role}`;
+    default:
+      return text;
+  }
+};